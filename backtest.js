@@ -0,0 +1,72 @@
+// backtest.js — replay history through the MACD signal pipeline from the command line
+// usage: node backtest.js AAPL TSLA [--from 2025-01-01] [--to 2025-06-30] [--horizons 1,5,20] [--interval 1d] [--provider local]
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { MACDAnalyzer } from "./src/analyzer.js";
+import { createProvider } from "./src/providers/index.js";
+import { runBacktest, backtestRangeError, DEFAULT_HORIZONS } from "./src/backtest.js";
+import { HIST_INTERVAL } from "./src/config.js";
+import { isValidTimeframe, TIMEFRAMES } from "./src/timeframes.js";
+
+function pct(v) {
+  return v == null ? "n/a" : `${(v * 100).toFixed(2)}%`;
+}
+
+function printStats(label, stats, horizons) {
+  console.log(chalk.bold(`${label}: ${stats.signals} signal(s)`));
+  for (const h of horizons) {
+    const s = stats.horizons[h];
+    console.log(`  +${h} bars: win ${pct(s.winRate)}  avg ${pct(s.avgReturn)}  (n=${s.samples})`);
+  }
+  console.log(`  MAE: avg ${pct(stats.avgMae)}  worst ${pct(stats.worstMae)}`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      horizons: { type: "string" },
+      interval: { type: "string" },
+      provider: { type: "string" },
+    },
+  });
+
+  const tickers = positionals.map((t) => t.trim().toUpperCase()).filter(Boolean);
+  if (tickers.length === 0) {
+    console.error("usage: node backtest.js SYMBOL [SYMBOL...] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--horizons 1,5,20] [--interval 1d] [--provider yahoo|local]");
+    process.exit(1);
+  }
+  const interval = values.interval || HIST_INTERVAL;
+  if (!isValidTimeframe(interval)) {
+    console.error(`Unknown interval "${interval}" (expected ${Object.keys(TIMEFRAMES).join(", ")})`);
+    process.exit(1);
+  }
+  const rangeError = backtestRangeError(values.from, values.to);
+  if (rangeError) {
+    console.error(rangeError);
+    process.exit(1);
+  }
+  const horizons = values.horizons
+    ? values.horizons.split(",").map((h) => parseInt(h, 10)).filter((h) => h > 0)
+    : DEFAULT_HORIZONS;
+
+  const analyzer = new MACDAnalyzer({ provider: values.provider ? createProvider(values.provider) : undefined });
+  const report = await runBacktest(analyzer, tickers, { from: values.from, to: values.to, horizons, interval });
+
+  console.log(chalk.magenta(`Backtest ${report.interval} ${report.from.toISOString().split("T")[0]} → ${report.to.toISOString().split("T")[0]}`));
+  for (const r of report.results) {
+    if (r.error) {
+      console.log(chalk.red(`${r.ticker}: ${r.error}`));
+      continue;
+    }
+    printStats(r.ticker, r.stats, horizons);
+  }
+  if (report.results.length > 1) printStats("ALL", report.aggregate, horizons);
+}
+
+main().catch((err) => {
+  console.error(chalk.red(`Backtest failed: ${err.message}`));
+  process.exit(1);
+});
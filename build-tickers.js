@@ -0,0 +1,165 @@
+// build-tickers.js — fill in tickers.csv's metadata columns for every symbol from Yahoo Finance
+// usage: node build-tickers.js [--file tickers.csv] [--max-age 30]
+//
+// Quotes (name, exchange, type, market cap) are fetched 50 symbols at a time, then the asset
+// profile (sector, industry) of each listed stock; preferreds, warrants, rights and units take
+// their issuer's. Requests go through the Yahoo rate limiter, so a full universe takes a few
+// hours. Answers are kept in tickers-meta.json for --max-age days: an interrupted run picks up
+// where it stopped. Values Yahoo doesn't have keep what the file already says.
+import fs from "fs";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { YahooProvider } from "./src/providers/index.js";
+import { Universe, parseUniverseCsv, FILTER_FIELDS } from "./src/universe.js";
+import { derivedSymbol, metadataFromYahoo } from "./src/tickerMetadata.js";
+
+const CACHE_FILE = "./tickers-meta.json";
+const QUOTE_BATCH = 50;
+const DAY_MS = 24 * 3600 * 1000;
+// consecutive failed requests before giving up (Yahoo unreachable or refusing us)
+const MAX_FAILURES = 5;
+
+const COLUMNS = ["symbol", "name", "exchange", "sector", "industry", "assetType", "marketCap"];
+const HEADERS = { assetType: "asset_type", marketCap: "market_cap" };
+
+function readCache() {
+  if (!fs.existsSync(CACHE_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+  } catch (e) {
+    console.error(`Failed reading ${CACHE_FILE}, fetching everything again:`, e.message);
+    return {};
+  }
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Runs request for each item, failing the run after MAX_FAILURES errors in a row; returns how many
+// failed. onError gets the item and error and returns true for an answer that just means "no
+// data" (e.g. a 404).
+async function eachRequest(items, request, { onError = () => false, onProgress = () => {} } = {}) {
+  let failures = 0;
+  let failed = 0;
+  for (let i = 0; i < items.length; i++) {
+    try {
+      await request(items[i]);
+      failures = 0;
+    } catch (err) {
+      if (!onError(items[i], err)) {
+        failures += 1;
+        failed += 1;
+        console.warn(chalk.yellow(`Request failed (${failures}/${MAX_FAILURES}): ${err.message}`));
+        if (failures >= MAX_FAILURES) throw new Error(`giving up after ${MAX_FAILURES} failed requests in a row: ${err.message}`);
+      }
+    }
+    onProgress(i + 1);
+  }
+  return failed;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      file: { type: "string", default: "./tickers.csv" },
+      "max-age": { type: "string", default: "30" },
+    },
+  });
+  const maxAgeMs = Number(values["max-age"]) * DAY_MS;
+  if (!(maxAgeMs >= 0)) {
+    console.error(`Invalid --max-age "${values["max-age"]}" (days)`);
+    process.exit(1);
+  }
+
+  const { rows, skipped } = parseUniverseCsv(fs.readFileSync(values.file, "utf8"));
+  if (skipped.length > 0) console.warn(chalk.yellow(`${skipped.length} problem(s) in ${values.file}: ${skipped.slice(0, 5).join("; ")}`));
+  const symbols = [...rows.keys()];
+  const listed = new Set(symbols);
+  const provider = new YahooProvider();
+  provider.setSymbolOverrides(new Universe(rows).providerOverrides("yahoo"));
+
+  const cache = readCache();
+  const saveCache = () => fs.writeFileSync(CACHE_FILE, JSON.stringify(cache));
+  const fresh = (at) => at && Date.now() - new Date(at).getTime() < maxAgeMs;
+  const entry = (symbol) => (cache[symbol] ||= {});
+  const progress = (label, total, every) => (done) => {
+    if (done % every === 0 || done === total) console.log(chalk.gray(`${label}: ${done}/${total}`));
+  };
+
+  let failed = 0;
+  try {
+    const batches = [];
+    const needQuote = symbols.filter((s) => !fresh(cache[s]?.quoteAt));
+    for (let i = 0; i < needQuote.length; i += QUOTE_BATCH) batches.push(needQuote.slice(i, i + QUOTE_BATCH));
+    console.log(chalk.magenta(`Quotes for ${needQuote.length} of ${symbols.length} symbols`));
+    failed += await eachRequest(
+      batches,
+      async (batch) => {
+        await provider.limiter.consume();
+        const quotes = await provider.client.quote(batch.map((s) => provider.symbol(s)), { return: "array" }, { validateResult: false });
+        const bySymbol = new Map((quotes || []).map((q) => [q.symbol, q]));
+        for (const symbol of batch) {
+          const q = bySymbol.get(provider.symbol(symbol));
+          const { longName, shortName, quoteType, exchange, fullExchangeName, marketCap } = q || {};
+          // a symbol Yahoo doesn't know is remembered too, so it isn't asked for again
+          Object.assign(entry(symbol), { quoteAt: new Date().toISOString(), quote: q ? { longName, shortName, quoteType, exchange, fullExchangeName, marketCap } : null });
+        }
+        saveCache();
+      },
+      { onProgress: progress("quote batches", batches.length, 10) }
+    );
+
+    const needProfile = symbols.filter((s) => !derivedSymbol(s, listed) && cache[s]?.quote?.quoteType === "EQUITY" && !fresh(cache[s].profileAt));
+    console.log(chalk.magenta(`Sector and industry for ${needProfile.length} stocks`));
+    failed += await eachRequest(
+      needProfile,
+      async (symbol) => {
+        await provider.limiter.consume();
+        const result = await provider.client.quoteSummary(provider.symbol(symbol), { modules: ["assetProfile"] }, { validateResult: false });
+        const { sector = null, industry = null } = result?.assetProfile || {};
+        Object.assign(entry(symbol), { profileAt: new Date().toISOString(), profile: { sector, industry } });
+        saveCache();
+      },
+      {
+        // funds and some foreign listings have no profile
+        onError: (symbol, err) => {
+          if (!/not found|no fundamentals|404/i.test(err.message)) return false;
+          Object.assign(entry(symbol), { profileAt: new Date().toISOString(), profile: {} });
+          return true;
+        },
+        onProgress: progress("profiles", needProfile.length, 250),
+      }
+    );
+  } finally {
+    saveCache();
+  }
+
+  const providers = [...new Set([...rows.values()].flatMap((r) => Object.keys(r.providerSymbols)))];
+  const lines = [[...COLUMNS.map((c) => HEADERS[c] || c), ...providers.map((p) => `${p}_symbol`)].join(",")];
+  for (const row of rows.values()) {
+    const derived = derivedSymbol(row.symbol, listed);
+    const meta = metadataFromYahoo({
+      quote: cache[row.symbol]?.quote || undefined,
+      profile: cache[derived?.root || row.symbol]?.profile || undefined,
+      derived,
+    });
+    const out = { ...row, ...Object.fromEntries(Object.entries(meta).filter(([, v]) => v != null)) };
+    lines.push([...COLUMNS.map((c) => csvCell(out[c])), ...providers.map((p) => csvCell(row.providerSymbols[p]))].join(","));
+  }
+  fs.writeFileSync(values.file, lines.join("\n") + "\n");
+
+  const universe = new Universe(parseUniverseCsv(lines.join("\n")).rows);
+  const coverage = Object.keys(FILTER_FIELDS).map((k) => `${k} ${universe.known(k)}`);
+  console.log(chalk.green(`Wrote ${rows.size} tickers to ${values.file} — with metadata: ${coverage.join(", ")}`));
+  if (failed > 0) {
+    console.error(chalk.red(`${failed} request(s) failed; run again to fill in what they missed`));
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(chalk.red(`build-tickers failed: ${err.message}`));
+  process.exit(1);
+});
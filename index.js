@@ -1,5 +1,4 @@
 // macd-momentum-bot.js
-import YahooFinance from "yahoo-finance2";
 import {
   Client,
   GatewayIntentBits,
@@ -7,134 +6,153 @@ import {
   Routes,
   SlashCommandBuilder,
   EmbedBuilder,
+  AttachmentBuilder,
+  ChannelType,
+  PermissionFlagsBits,
 } from "discord.js";
-import dotenv from "dotenv";
-import fs from "fs";
 import chalk from "chalk";
-
-dotenv.config();
-
-const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
-const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID;
-const DISCORD_CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
-const POLL_INTERVAL_SEC = parseInt(process.env.POLL_INTERVAL_SEC || "60", 10);
-
-const yahooFinance = new YahooFinance();
-
-// Safety / tuning
-const MAX_ALERTS_PER_DAY = 20;
-const ALERT_COOLDOWN_MINUTES = 15;
-const HIST_INTERVAL = "1d"; // "1m" or "5m" — shorter = more near-real-time but more rate use
-const HIST_PERIOD_DAYS = 3; // how many days of bars to fetch (gives enough context for MACD)
-const MACD_FAST = 12;
-const MACD_SLOW = 26;
-const MACD_SIGNAL = 9;
-
-// ---- Real 40-per-minute Rate Limiter ----
-class RateLimiter {
-  constructor(maxPerMinute) {
-    this.maxPerMinute = maxPerMinute;
-    this.tokens = maxPerMinute;
-    this.refillRate = maxPerMinute / 60; // tokens per second
-    this.lastRefill = Date.now();
-  }
-
-  async consume() {
-    this._refill();
-
-    while (this.tokens < 1) {
-      await sleep(200); // wait & retry
-      this._refill();
-    }
-
-    this.tokens -= 1;
-  }
-
-  _refill() {
-    const now = Date.now();
-    const elapsedSec = (now - this.lastRefill) / 1000;
-    const refillAmount = elapsedSec * this.refillRate;
-
-    if (refillAmount > 0) {
-      this.tokens = Math.min(
-        this.maxPerMinute,
-        this.tokens + refillAmount
-      );
-      this.lastRefill = now;
-    }
-  }
+import {
+  DISCORD_TOKEN,
+  DISCORD_CLIENT_ID,
+  DISCORD_CHANNEL_ID,
+  POLL_INTERVAL_SEC,
+  SCAN_SHARD_SIZE,
+  SCAN_SESSIONS,
+  MAX_ALERTS_PER_DAY,
+  ALERT_COOLDOWN_MINUTES,
+  PERFORMANCE_UPDATE_MIN,
+  SCAN_TRIGGER_COOLDOWN_MIN,
+} from "./src/config.js";
+import { MACDAnalyzer, macdState } from "./src/analyzer.js";
+import { describeDivergence } from "./src/divergence.js";
+import { runBacktest, backtestRangeError } from "./src/backtest.js";
+import { ScanScheduler } from "./src/scheduler.js";
+import { AlertStore, alertEntry } from "./src/alertStore.js";
+import { Subscriptions, isValidClock, isValidTimeZone } from "./src/subscriptions.js";
+import { PriceAlerts, dayMove, describePriceAlert, MAX_PRICE_ALERTS_PER_USER } from "./src/priceAlerts.js";
+import { AuditLog } from "./src/audit.js";
+import {
+  Watchlists,
+  DEFAULT_WATCHLIST,
+  FOLLOWED_WATCHLIST,
+  isValidWatchlistName,
+  parseSymbolList,
+  tickersToCsv,
+  parseSessions,
+  parseShardCadence,
+  MIN_CADENCE_SEC,
+  MAX_CADENCE_SEC,
+} from "./src/watchlists.js";
+import { SymbolIndex } from "./src/symbolSearch.js";
+import { CircuitBreaker } from "./src/resilience.js";
+import { Quarantine, QUARANTINE_AFTER_FAILURES } from "./src/quarantine.js";
+import { loadUniverse, parseUniverseCsv, parseFilter, describeFilter, isValidSymbol } from "./src/universe.js";
+import { loadPermissions, savePermissions, commandGrant, pruneGrant, checkAccess, changesGlobalState } from "./src/permissions.js";
+import { loadRouting, saveRouting, guildRoutes, resolveChannels, DIGEST_SIGNALS } from "./src/routing.js";
+import { renderChart, chartFileName, CHART_BARS } from "./src/chart/index.js";
+import { PerformanceTracker, summarizeOutcomes, groupOutcomes, PERFORMANCE_HORIZONS } from "./src/performance.js";
+import {
+  marketState,
+  isInSessions,
+  nextSessionStart,
+  tradingDayKey,
+  formatNyTime,
+} from "./src/marketCalendar.js";
+import {
+  loadRules,
+  saveRules,
+  validateRule,
+  describeCondition,
+  explainCondition,
+  DEFAULT_RULES,
+} from "./src/rules.js";
+import {
+  createStrategies,
+  loadStrategyConfig,
+  saveStrategyConfig,
+  DEFAULT_STRATEGY_CONFIG,
+} from "./src/strategies/index.js";
+import {
+  TIMEFRAMES,
+  isIntraday,
+  loadTimeframeSettings,
+  saveTimeframeSettings,
+  timeframeFor,
+} from "./src/timeframes.js";
+
+// Ticker universe with metadata (tickers.csv), loaded once at startup
+const universe = loadUniverse();
+
+// Ranked symbol / company-name matches for autocomplete
+const symbolIndex = new SymbolIndex(universe);
+
+// Without a tickers.csv every symbol is allowed
+function inUniverse(symbol) {
+  return universe.size === 0 || universe.has(symbol);
 }
 
-const yahooLimiter = new RateLimiter(40)
-// === Load Allowed Tickers from CSV ===
-const CSV_TICKERS_FILE = "./tickers.csv";
-
-function loadTickersFromCSV() {
-  if (!fs.existsSync(CSV_TICKERS_FILE)) {
-    console.warn(chalk.yellow("tickers.csv not found — using fallback watchlist"));
-    return null;
-  }
-
+// Named watchlists (watchlists.json), edited with /watchlist; tickers.csv only limits what can be added
+const watchlists = new Watchlists(undefined, { universe: universe.symbols() });
+// a saved filter tickers.csv lacks the metadata for scans fewer tickers than it was meant to
+for (const name of watchlists.names()) {
+  const filter = watchlists.get(name).filter;
+  if (!filter) continue;
   try {
-    const raw = fs.readFileSync(CSV_TICKERS_FILE, "utf8");
-    return raw
-      .split(/\r?\n/)
-      .map((t) => t.trim().toUpperCase())
-      .filter((t) => t.length > 0);
+    const warning = universe.checkFilter(filter);
+    if (warning) console.warn(chalk.yellow(`Watchlist ${name} filter ${describeFilter(filter)}: ${warning}`));
   } catch (err) {
-    console.error("Failed to read tickers.csv:", err);
-    return null;
+    console.warn(chalk.yellow(`Watchlist ${name} filter ${describeFilter(filter)} scans nothing: ${err.message}`));
   }
 }
 
-// Load CSV tickers once at startup
-let CSV_TICKERS = [];
-try {
-  CSV_TICKERS = loadTickersFromCSV() || [];  
-  console.log(chalk.green(`Loaded ${CSV_TICKERS.length} CSV tickers.`));
-} catch (err) {
-  console.error(chalk.red(`Error loading CSV tickers: ${err.message}`));
-}
+// Tickers left out of the scans after repeated not-found / bad-data failures (quarantine.json)
+const quarantine = new Quarantine();
 
+// Default bar timeframe and per-ticker overrides (timeframes.json), editable with /timeframe
+const TIMEFRAME_SETTINGS = loadTimeframeSettings();
 
-// Watchlist persistence
-const WATCHLIST_FILE = "./macd-watchlist.json";
+// Alert rules (alert-rules.json), editable with /rules
+let ALERT_RULES = loadRules();
 
-function loadWatchlist() {
+// Every alert sent (alerts.jsonl), queryable with /alerts
+const alertStore = new AlertStore();
 
-  if (CSV_TICKERS && CSV_TICKERS.length > 0) {
-    console.log(chalk.green(`Loaded ${CSV_TICKERS.length} tickers from tickers.csv`));
-    return CSV_TICKERS;
-  }
-
-  // fallback to original JSON storage
-  if (!fs.existsSync(WATCHLIST_FILE)) {
-    fs.writeFileSync(WATCHLIST_FILE, JSON.stringify(["AAPL", "TSLA", "NVDA"], null, 2));
-  }
-  try {
-    return JSON.parse(fs.readFileSync(WATCHLIST_FILE, "utf8"));
-  } catch (e) {
-    console.error("Failed reading watchlist:", e);
-    return ["AAPL", "TSLA", "NVDA"];
-  }
+// Alert cooldowns / counters
+const lastAlertAt = new Map(); // alert key -> timestamp ms
+const dailyAlerts = new Map(); // alert key -> count
+// counters roll over with the exchange's trading day, not the server's midnight
+let lastDailyReset = tradingDayKey();
+
+// Cooldowns and daily caps are kept per strategy and watchlist, so neither can silence another
+function alertKey(strategy, ticker, watchlist) {
+  return `${strategy}:${ticker}@${watchlist}`;
 }
 
-function saveWatchlist(list) {
-  fs.writeFileSync(WATCHLIST_FILE, JSON.stringify(list, null, 2));
+// Rebuild cooldowns and today's counts from the alert log, so a restart doesn't re-alert.
+// One Discord message counts once, however many rules it carried.
+function restoreAlertCounters() {
+  const recent = Date.now() - 5 * 24 * 3600 * 1000; // older alerts can't affect today or a cooldown
+  const countedMessages = new Set();
+  for (const e of alertStore.entries) {
+    const at = new Date(e.sentAt).getTime();
+    if (at < recent) continue;
+    const key = alertKey(e.strategy, e.ticker, e.watchlist || DEFAULT_WATCHLIST);
+    if (at > (lastAlertAt.get(key) || 0)) lastAlertAt.set(key, at);
+    if (tradingDayKey(new Date(at)) === lastDailyReset && !countedMessages.has(e.messageId)) {
+      countedMessages.add(e.messageId);
+      dailyAlerts.set(key, (dailyAlerts.get(key) || 0) + 1);
+    }
+  }
+  console.log(chalk.green(`Loaded ${alertStore.entries.length} alerts from history (${countedMessages.size} sent today)`));
 }
-let WATCHLIST = loadWatchlist();
-
-// Alert cooldowns / counters
-const lastAlertAt = new Map(); // ticker -> timestamp ms
-const dailyAlerts = new Map(); // ticker -> count
-let lastDailyReset = new Date().toDateString();
+restoreAlertCounters();
 
 function resetDailyCounts() {
-  const today = new Date().toDateString();
+  const today = tradingDayKey();
   if (today !== lastDailyReset) {
     dailyAlerts.clear();
     lastDailyReset = today;
-    console.log(chalk.blue("Daily alert counters reset"));
+    console.log(chalk.blue(`Daily alert counters reset for trading day ${today}`));
   }
 }
 
@@ -150,396 +168,1890 @@ function recordAlert(ticker) {
   lastAlertAt.set(ticker, Date.now());
   dailyAlerts.set(ticker, (dailyAlerts.get(ticker) || 0) + 1);
 }
-
-// ---------- Technical helpers ----------
-function sma(values, period) {
-  if (values.length < period) return null;
-  const slice = values.slice(values.length - period);
-  const s = slice.reduce((a, b) => a + b, 0);
-  return s / period;
-}
-function ema(values, period) {
-  // values: array of numbers (chronological oldest->newest)
-  if (values.length < period) return null;
-  const k = 2 / (period + 1);
-  // start with SMA of first period
-  let emaPrev = sma(values.slice(0, period), period);
-  // iterate from index = period to end
-  for (let i = period; i < values.length; i++) {
-    emaPrev = values[i] * k + emaPrev * (1 - k);
-  }
-  return emaPrev;
-}
-function emaSeries(values, period) {
-  // returns array of EMA values aligned with original values (null before enough pts)
-  const out = new Array(values.length).fill(null);
-  if (values.length < period) return out;
-  // initial SMA at index period-1
-  let prev = values.slice(0, period).reduce((a,b)=>a+b,0) / period;
-  out[period - 1] = prev;
-  const k = 2 / (period + 1);
-  for (let i = period; i < values.length; i++) {
-    prev = values[i] * k + prev * (1 - k);
-    out[i] = prev;
-  }
-  return out;
-}
-function macdSeries(closePrices) {
-  // returns { macd:[], signal:[], hist:[] } arrays aligned with closePrices
-  const fast = emaSeries(closePrices, MACD_FAST);
-  const slow = emaSeries(closePrices, MACD_SLOW);
-  const macd = new Array(closePrices.length).fill(null);
-  for (let i = 0; i < closePrices.length; i++) {
-    if (fast[i] != null && slow[i] != null) {
-      macd[i] = fast[i] - slow[i];
-    }
-  }
-  // compute signal as EMA over macd values (skip nulls)
-  const macdVals = macd.map((v) => (v === null ? 0 : v)); // for emaSeries we need numbers, but we must align carefully
-  // We'll compute signal only for indices where macd has enough consecutive non-null values.
-  const signal = emaSeries(macdVals, MACD_SIGNAL).map((v, idx) => (macd[idx] === null ? null : v));
-  const hist = macd.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
-  return { macd, signal, hist };
-}
-
-// Simple divergence detection:
-// Compare last two local peaks/troughs in price vs macd: if price makes a higher high but macd makes lower high => bearish divergence.
-// We'll do a quick heuristic: find last two price highs (local maxima over window) and corresponding macd values.
-function findLocalExtrema(values, lookback = 10) {
-  // returns array of indices that are local highs (peak) or lows (trough) (very simple)
-  const highs = [];
-  const lows = [];
-  for (let i = lookback; i < values.length - lookback; i++) {
-    const center = values[i];
-    let isHigh = true;
-    let isLow = true;
-    for (let j = i - lookback; j <= i + lookback; j++) {
-      if (j === i) continue;
-      if (values[j] >= center) isHigh = false;
-      if (values[j] <= center) isLow = false;
-    }
-    if (isHigh) highs.push(i);
-    if (isLow) lows.push(i);
-  }
-  return { highs, lows };
-}
-
-function checkDivergence(closePrices, macdSeriesArr) {
-  // returns "bullish-div", "bearish-div", or null
-  const { highs, lows } = findLocalExtrema(closePrices, 6);
-  // bearish divergence: price makes higher high, macd makes lower high
-  if (highs.length >= 2) {
-    const i1 = highs[highs.length - 2];
-    const i2 = highs[highs.length - 1];
-    const priceHigherHigh = closePrices[i2] > closePrices[i1];
-    const macd = macdSeriesArr.macd;
-    if (macd[i1] != null && macd[i2] != null && priceHigherHigh && macd[i2] < macd[i1]) {
-      return "bearish-div";
-    }
-  }
-  // bullish divergence: price makes lower low, macd makes higher low
-  if (lows.length >= 2) {
-    const i1 = lows[lows.length - 2];
-    const i2 = lows[lows.length - 1];
-    const priceLowerLow = closePrices[i2] < closePrices[i1];
-    const macd = macdSeriesArr.macd;
-    if (macd[i1] != null && macd[i2] != null && priceLowerLow && macd[i2] > macd[i1]) {
-      return "bullish-div";
-    }
-  }
-  return null;
+function getAlertNumber(ticker) {
+  return (dailyAlerts.get(ticker) || 0) + 1;
 }
-
-// ---------- Fetcher ----------
-async function sleep(ms) {
-  return new Promise((res) => setTimeout(res, ms));
+// Why canAlert would pass or fail right now, for /analyze
+function describeCooldown(ticker) {
+  resetDailyCounts();
+  const count = dailyAlerts.get(ticker) || 0;
+  if (count >= MAX_ALERTS_PER_DAY) return `❌ daily cap reached (${count}/${MAX_ALERTS_PER_DAY})`;
+  const last = lastAlertAt.get(ticker);
+  const left = last ? ALERT_COOLDOWN_MINUTES - (Date.now() - last) / 60000 : 0;
+  if (left > 0) return `❌ cooling down, ${Math.ceil(left)} min left (${count}/${MAX_ALERTS_PER_DAY} today)`;
+  return `✅ ready (${count}/${MAX_ALERTS_PER_DAY} today)`;
 }
-class Fetcher {
-  constructor() {
-    this.lastRequest = 0;
-  }
 
-  // Fetch intraday bars using yahoo-finance2, returns sorted oldest->newest closes array
-  async fetchCloseSeries(ticker) {
-    await yahooLimiter.consume();   // ONLY rate limit used now
-
-    try {
-      const now = new Date();
-      const period1 = '2025-01-01';
-      const period2 = now.toISOString().split('T')[0];
-
-      const result = await yahooFinance.historical(ticker, {
-        period1,
-        period2,
-        interval: HIST_INTERVAL
-      });
-
-      if (!result || !Array.isArray(result) || result.length === 0) return null;
+// ---------- Discord bot wiring ----------
+const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// Stops every Yahoo request for a while once it is clearly throttling us; one post when that
+// starts and one when it ends, routed as the data-status digest
+const breaker = new CircuitBreaker({
+  onOpen: ({ cooldownMs, failures }) => {
+    console.warn(chalk.yellow(`Data source is rate limiting us (${failures} rate limits) — pausing requests for ${cooldownMs / 60000} min`));
+    sendDigest("data-status", {
+      content: `⚠️ Yahoo is rate limiting the bot. Scans are paused for ${cooldownMs / 60000} min and resume on their own.`,
+    });
+  },
+  onClose: ({ outageMs }) => {
+    console.log(chalk.green(`Data source recovered after ${formatDuration(Math.round(outageMs / 1000))}`));
+    sendDigest("data-status", { content: `✅ Yahoo requests are going through again after ${formatDuration(Math.round(outageMs / 1000))}; scans resumed.` });
+  },
+});
+const analyzer = new MACDAnalyzer({ breaker });
+// rate limiter lane for requests a slash command is waiting on; scans use the background lane
+const INTERACTIVE = "interactive";
+analyzer.fetcher.provider.setSymbolOverrides?.(universe.providerOverrides(analyzer.fetcher.provider.name));
 
-      const sorted = result.sort((a, b) => new Date(a.date) - new Date(b.date));
-      const closes = sorted.map(r => r.close);
+// Strategies run per ticker on every scan; settings in strategies.json, edited with /strategy
+const STRATEGY_CONFIG = loadStrategyConfig();
+const strategies = createStrategies({ analyzer, getRules: () => ALERT_RULES, config: STRATEGY_CONFIG });
 
-      return { closes, raw: sorted };
-    } catch (err) {
-      console.error(chalk.red(`fetchCloseSeries error ${ticker}: ${err.message}`));
-      return null;
-    }
-  }
+// What each alert's ticker did afterwards (alert-performance.json), shown by /performance
+const performance = new PerformanceTracker({ fetcher: analyzer.fetcher, store: alertStore });
 
+function strategyChoices() {
+  return Object.keys(DEFAULT_STRATEGY_CONFIG).map((n) => ({ name: n, value: n }));
 }
 
-// ---------- Analyzer ----------
-class MACDAnalyzer {
-  constructor() {
-    this.fetcher = new Fetcher();
-    // Keep last known macd/signal to detect cross events reliably
-    this.lastState = new Map(); // ticker -> { macdLast, signalLast }
-  }
+function timeframeChoices() {
+  return Object.keys(TIMEFRAMES).map((t) => ({ name: t, value: t }));
+}
 
-  async analyzeTicker(ticker) {
-    const data = await this.fetcher.fetchCloseSeries(ticker);
-    if (!data) return null;
-    const { closes, raw } = data;
-    if (!closes || closes.length < MACD_SLOW + MACD_SIGNAL + 2) {
-      // Not enough bars for stable MACD
-      return null;
-    }
-    const macdObj = macdSeries(closes); // macd, signal, hist aligned
-    // find latest non-null index
-    let idx = macdObj.macd.length - 1;
-    while (idx >= 0 && (macdObj.macd[idx] === null || macdObj.signal[idx] === null)) idx--;
-    if (idx < 1) return null;
-
-    const macdNow = macdObj.macd[idx];
-    const signalNow = macdObj.signal[idx];
-    const macdPrev = macdObj.macd[idx - 1];
-    const signalPrev = macdObj.signal[idx - 1];
-
-    // Detect cross
-    let cross = null;
-    // prev: macdPrev < signalPrev  and now macdNow > signalNow => bullish cross
-    if (
-      macdPrev != null &&
-      signalPrev != null &&
-      macdNow != null &&
-      signalNow != null
-    ) {
-        if (macdPrev < signalPrev && macdNow > signalNow) cross = "bullish-cross";
-        if (macdPrev > signalPrev && macdNow < signalNow) cross = "bearish-cross";
-    }
+const ALERT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
 
-    // divergence
-    const divergence = checkDivergence(closes, macdObj); // "bullish-div" | "bearish-div" | null
-
-    // Basic strength filter: require histogram increase in direction
-    const histNow = macdObj.hist[idx];
-    const histPrev = macdObj.hist[idx - 1];
-
-    // Price info (latest bar)
-    const latestBar = raw[idx];
-    const prevBar = raw[idx - 1];
-
-    return {
-      ticker,
-      cross,
-      divergence,
-      macdNow,
-      signalNow,
-      histNow,
-      histPrev,
-      price: latestBar.close,
-      prevPrice: prevBar.close,
-      timestamp: latestBar.date,
-      raw,
-      idx,
-    };
-  }
+// interval / cadence / shard-cadence / sessions / filter options shared by /watchlist create and schedule
+function watchlistScheduleOptions(s) {
+  return s
+    .addStringOption((o) => o.setName("interval").setDescription("Bar timeframe").addChoices(...timeframeChoices()))
+    .addIntegerOption((o) => o.setName("cadence").setDescription("Seconds between scans of each shard").setMinValue(MIN_CADENCE_SEC).setMaxValue(MAX_CADENCE_SEC))
+    .addStringOption((o) => o.setName("shard-cadence").setDescription('Seconds for single shards, e.g. "1=60, 2-4=900" (shard 1 holds the first tickers; "none" clears)'))
+    .addStringOption((o) => o.setName("sessions").setDescription('Sessions to scan: "always" or any of pre, regular, after'))
+    .addStringOption((o) => o.setName("filter").setDescription('Only scan matching tickers, e.g. exchange=nasdaq industry=semiconductors ("none" clears)'));
 }
 
-// ---------- Discord bot wiring ----------
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
-const analyzer = new MACDAnalyzer();
-
 async function registerCommands() {
   const commands = [
     new SlashCommandBuilder().setName("help").setDescription("Show available commands"),
     new SlashCommandBuilder().setName("status").setDescription("Show bot status"),
-    new SlashCommandBuilder().setName("watchlist").setDescription("Show monitored tickers"),
+    new SlashCommandBuilder()
+      .setName("watchlist")
+      .setDescription("Named watchlists: their tickers, timeframe and scan schedule")
+      .addSubcommand((s) =>
+        s
+          .setName("show")
+          .setDescription("List watchlists, or one watchlist's tickers")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist (omit for all)"))
+          .addStringOption((o) => o.setName("filter").setDescription("Only tickers matching, e.g. sector=technology cap=mega"))
+      )
+      .addSubcommand((s) =>
+        watchlistScheduleOptions(
+          s
+            .setName("create")
+            .setDescription("Create a watchlist")
+            .addStringOption((o) => o.setName("name").setDescription("Name, e.g. swing (a-z, 0-9, -)").setRequired(true))
+        )
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("delete")
+          .setDescription("Delete a watchlist")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("add")
+          .setDescription("Add tickers, or every tickers.csv ticker matching a filter, to a watchlist")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+          .addStringOption((o) => o.setName("symbols").setDescription("Tickers, separated by spaces or commas").setAutocomplete(true))
+          .addStringOption((o) => o.setName("filter").setDescription("e.g. exchange=nasdaq industry=semiconductors"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("remove")
+          .setDescription("Remove tickers from a watchlist")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+          .addStringOption((o) => o.setName("symbols").setDescription("Tickers, separated by spaces or commas").setAutocomplete(true).setRequired(true))
+      )
+      .addSubcommand((s) =>
+        watchlistScheduleOptions(
+          s
+            .setName("schedule")
+            .setDescription("Change a watchlist's timeframe or scan schedule")
+            .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+        ).addBooleanOption((o) => o.setName("reset").setDescription("Go back to the default timeframe and schedule first"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("import")
+          .setDescription("Add the tickers in a CSV file (first column) to a watchlist")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+          .addAttachmentOption((o) => o.setName("file").setDescription("CSV file").setRequired(true))
+          .addBooleanOption((o) => o.setName("replace").setDescription("Replace the watchlist's tickers instead of adding"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("export")
+          .setDescription("Download a watchlist as CSV")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+      ),
     new SlashCommandBuilder()
       .setName("add-ticker")
       .setDescription("Add ticker to monitor")
-      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setRequired(true)),
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) => o.setName("watchlist").setDescription("Watchlist, default \"default\"")),
     new SlashCommandBuilder()
       .setName("remove-ticker")
       .setDescription("Remove ticker")
-      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setRequired(true)),
-    new SlashCommandBuilder().setName("scan-now").setDescription("Run immediate scan"),
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) => o.setName("watchlist").setDescription("Watchlist, default \"default\"")),
+    new SlashCommandBuilder()
+      .setName("scan-now")
+      .setDescription("Run immediate scan")
+      .addStringOption((o) => o.setName("watchlist").setDescription("Only this watchlist (omit for all)")),
+    new SlashCommandBuilder()
+      .setName("backtest")
+      .setDescription("Replay history through the MACD alert rules")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) => o.setName("from").setDescription("Start date (YYYY-MM-DD), default one year ago"))
+      .addStringOption((o) => o.setName("to").setDescription("End date (YYYY-MM-DD), default today"))
+      .addStringOption((o) => o.setName("interval").setDescription("Bar timeframe").addChoices(...timeframeChoices())),
+    new SlashCommandBuilder()
+      .setName("timeframe")
+      .setDescription("Default bar timeframe or a single ticker's")
+      .addSubcommand((s) => s.setName("show").setDescription("Show timeframe settings"))
+      .addSubcommand((s) =>
+        s
+          .setName("set")
+          .setDescription("Set the default timeframe, or one ticker's")
+          .addStringOption((o) => o.setName("interval").setDescription("Bar timeframe").setRequired(true).addChoices(...timeframeChoices()))
+          .addStringOption((o) => o.setName("symbol").setDescription("Ticker (omit to set the default)").setAutocomplete(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("clear")
+          .setDescription("Remove a ticker's override so it uses the watchlist timeframe")
+          .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      ),
+    new SlashCommandBuilder()
+      .setName("rules")
+      .setDescription("View or edit alert rules")
+      .addSubcommand((s) => s.setName("list").setDescription("List alert rules"))
+      .addSubcommand((s) =>
+        s
+          .setName("enable")
+          .setDescription("Enable a rule")
+          .addStringOption((o) => o.setName("name").setDescription("Rule name").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("disable")
+          .setDescription("Disable a rule")
+          .addStringOption((o) => o.setName("name").setDescription("Rule name").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("set")
+          .setDescription("Add or replace a rule from JSON")
+          .addStringOption((o) => o.setName("json").setDescription("Rule JSON (see README)").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("delete")
+          .setDescription("Delete a rule")
+          .addStringOption((o) => o.setName("name").setDescription("Rule name").setRequired(true))
+      )
+      .addSubcommand((s) => s.setName("reset").setDescription("Restore the default rules")),
+    new SlashCommandBuilder()
+      .setName("strategy")
+      .setDescription("View or configure scan strategies")
+      .addSubcommand((s) => s.setName("list").setDescription("List strategies and their settings"))
+      .addSubcommand((s) =>
+        s
+          .setName("enable")
+          .setDescription("Turn a strategy on")
+          .addStringOption((o) => o.setName("name").setDescription("Strategy").setRequired(true).addChoices(...strategyChoices()))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("disable")
+          .setDescription("Turn a strategy off")
+          .addStringOption((o) => o.setName("name").setDescription("Strategy").setRequired(true).addChoices(...strategyChoices()))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("set")
+          .setDescription("Change a strategy threshold")
+          .addStringOption((o) => o.setName("name").setDescription("Strategy").setRequired(true).addChoices(...strategyChoices()))
+          .addStringOption((o) => o.setName("setting").setDescription("Setting, e.g. minRelVolume").setRequired(true))
+          .addNumberOption((o) => o.setName("value").setDescription("New value").setRequired(true))
+      ),
+    new SlashCommandBuilder()
+      .setName("alerts")
+      .setDescription("Show recent alerts")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker (omit for all)").setAutocomplete(true))
+      .addIntegerOption((o) => o.setName("days").setDescription("How many days back, default 7").setMinValue(1).setMaxValue(365)),
+    new SlashCommandBuilder()
+      .setName("performance")
+      .setDescription("How past alerts played out")
+      .addIntegerOption((o) => o.setName("days").setDescription("Alerts from the last N days, default 90").setMinValue(1).setMaxValue(365))
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker (omit for all)").setAutocomplete(true)),
+    new SlashCommandBuilder()
+      .setName("chart")
+      .setDescription("Candlestick + MACD chart")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addIntegerOption((o) => o.setName("bars").setDescription(`Candles to show, default ${CHART_BARS}`).setMinValue(20).setMaxValue(250)),
+    new SlashCommandBuilder()
+      .setName("analyze")
+      .setDescription("MACD readout for any ticker and why it would or wouldn't alert")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true)),
+    new SlashCommandBuilder()
+      .setName("setup")
+      .setDescription("Route alerts to channels in this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((s) => s.setName("show").setDescription("Show this server's routes"))
+      .addSubcommand((s) =>
+        s
+          .setName("default")
+          .setDescription("Channel for every alert without a more specific route")
+          .addChannelOption((o) => o.setName("channel").setDescription("Channel").setRequired(true).addChannelTypes(...ALERT_CHANNEL_TYPES))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("signal")
+          .setDescription("Route one signal type (rule, strategy or scorecard); omit the channel to clear")
+          .addStringOption((o) => o.setName("name").setDescription("Signal, e.g. bearish-cross or scorecard").setRequired(true))
+          .addChannelOption((o) => o.setName("channel").setDescription("Channel").addChannelTypes(...ALERT_CHANNEL_TYPES))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("mute")
+          .setDescription("Stop posting one signal type in this server")
+          .addStringOption((o) => o.setName("name").setDescription("Signal").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("watchlist")
+          .setDescription("Route, mute or clear a watchlist's alerts in this server; omit the channel to clear")
+          .addStringOption((o) => o.setName("name").setDescription("Watchlist").setRequired(true))
+          .addChannelOption((o) => o.setName("channel").setDescription("Channel").addChannelTypes(...ALERT_CHANNEL_TYPES))
+          .addBooleanOption((o) => o.setName("mute").setDescription("Post nothing from this watchlist here"))
+          .addBooleanOption((o) => o.setName("only-routed").setDescription("Only post watchlists routed to a channel here (true) or every one (false)"))
+      )
+      .addSubcommand((s) => s.setName("reset").setDescription("Remove all of this server's routes")),
+    new SlashCommandBuilder()
+      .setName("permissions")
+      .setDescription("Limit commands to roles or users in this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((s) => s.setName("show").setDescription("Show this server's command permissions"))
+      .addSubcommand((s) =>
+        s
+          .setName("allow")
+          .setDescription("Let a role or user run a command")
+          .addStringOption((o) => o.setName("command").setDescription("Command, e.g. add-ticker").setRequired(true))
+          .addRoleOption((o) => o.setName("role").setDescription("Role"))
+          .addUserOption((o) => o.setName("user").setDescription("User"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("revoke")
+          .setDescription("Take a command back from a role or user")
+          .addStringOption((o) => o.setName("command").setDescription("Command").setRequired(true))
+          .addRoleOption((o) => o.setName("role").setDescription("Role"))
+          .addUserOption((o) => o.setName("user").setDescription("User"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("reset")
+          .setDescription("Back to the defaults for one command, or all of them")
+          .addStringOption((o) => o.setName("command").setDescription("Command (omit for all)"))
+      ),
+    new SlashCommandBuilder()
+      .setName("audit")
+      .setDescription("Recent changes made in this server, and shared watchlist or config changes from any server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addUserOption((o) => o.setName("user").setDescription("Only this user's changes"))
+      .addStringOption((o) => o.setName("command").setDescription("Only this command, e.g. rules"))
+      .addIntegerOption((o) => o.setName("days").setDescription("How many days back, default 7").setMinValue(1).setMaxValue(365)),
+    new SlashCommandBuilder()
+      .setName("subscribe")
+      .setDescription("Get a ticker's alerts by DM")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) => o.setName("signal").setDescription("Only this signal, e.g. bullish-cross (omit for all)")),
+    new SlashCommandBuilder()
+      .setName("unsubscribe")
+      .setDescription("Stop DM alerts for a ticker")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) => o.setName("signal").setDescription("Only this signal (omit for all)")),
+    new SlashCommandBuilder()
+      .setName("subscriptions")
+      .setDescription("Your DM subscriptions and delivery settings")
+      .addSubcommand((s) => s.setName("list").setDescription("List your subscriptions and settings"))
+      .addSubcommand((s) =>
+        s
+          .setName("quiet")
+          .setDescription("Quiet hours with no DMs; omit start and end to turn them off")
+          .addStringOption((o) => o.setName("start").setDescription("Start, HH:MM 24-hour"))
+          .addStringOption((o) => o.setName("end").setDescription("End, HH:MM 24-hour"))
+          .addStringOption((o) => o.setName("timezone").setDescription("IANA time zone, default America/New_York"))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("cap")
+          .setDescription("Maximum alert DMs per trading day")
+          .addIntegerOption((o) => o.setName("count").setDescription("DMs per day").setRequired(true).setMinValue(1).setMaxValue(200))
+      ),
+    new SlashCommandBuilder()
+      .setName("alert-price")
+      .setDescription("DM me when a ticker trades above or below a price")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) =>
+        o
+          .setName("direction")
+          .setDescription("Above or below")
+          .setRequired(true)
+          .addChoices({ name: "above", value: "above" }, { name: "below", value: "below" })
+      )
+      .addNumberOption((o) => o.setName("price").setDescription("Price level").setRequired(true).setMinValue(0))
+      .addBooleanOption((o) => o.setName("rearm").setDescription("Fire again each time price crosses back and returns")),
+    new SlashCommandBuilder()
+      .setName("alert-move")
+      .setDescription("DM me when a ticker moves a percentage on the day")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true))
+      .addNumberOption((o) => o.setName("percent").setDescription("e.g. 5 for up 5%, -5 for down 5%").setRequired(true).setMinValue(-100).setMaxValue(1000))
+      .addBooleanOption((o) => o.setName("rearm").setDescription("Fire again on later trading days")),
+    new SlashCommandBuilder()
+      .setName("my-alerts")
+      .setDescription("List your price alerts, or delete one")
+      .addIntegerOption((o) => o.setName("delete").setDescription("ID of the alert to delete")),
+    new SlashCommandBuilder()
+      .setName("price")
+      .setDescription("Get current price for a ticker")
+      .addStringOption((o) => o.setName("symbol").setDescription("Ticker").setAutocomplete(true).setRequired(true)),
   ].map((c) => c.toJSON());
+  COMMAND_NAMES = commands.map((c) => c.name);
 
   const rest = new REST({ version: "10" }).setToken(DISCORD_TOKEN);
   await rest.put(Routes.applicationCommands(DISCORD_CLIENT_ID), { body: commands });
   console.log(chalk.green("Slash commands registered"));
 }
 
-function formatEmbedForAlert(res, type) {
-  const color = type === "bullish" ? 0x00ff00 : 0xff0000;
-  const emoji = type === "bullish" ? "🟢 Bullish MACD" : "🔴 Bearish MACD";
-  const divText = res.divergence ? ` • Divergence: ${res.divergence}` : "";
-  const timeStr = new Date(res.timestamp).toLocaleString();
+function formatBacktestEmbed(report) {
+  const r = report.results[0];
+  const pct = (v) => (v == null ? "n/a" : `${(v * 100).toFixed(2)}%`);
+  const day = (d) => d.toISOString().split("T")[0];
+  const stats = r.stats;
+  const fields = report.horizons.map((h) => ({
+    name: `+${h} bars`,
+    value: `Win ${pct(stats.horizons[h].winRate)}\nAvg ${pct(stats.horizons[h].avgReturn)}\nn=${stats.horizons[h].samples}`,
+    inline: true,
+  }));
+  fields.push({ name: "Max adverse excursion", value: `Avg ${pct(stats.avgMae)} • Worst ${pct(stats.worstMae)}` });
+  const last = r.signals.slice(-5).map((s) => `${day(s.date)} ${s.rule} @ $${s.price.toFixed(2)}${s.divergence ? ` (${s.divergence})` : ""}`);
+  if (last.length > 0) fields.push({ name: "Latest signals", value: last.join("\n") });
+  return new EmbedBuilder()
+    .setTitle(`📈 Backtest ${r.ticker}`)
+    .setDescription(`${day(report.from)} → ${day(report.to)} • ${report.interval} • ${r.bars} bars • **${stats.signals}** signal(s)`)
+    .addFields(fields)
+    .setColor(0x3498db)
+    .setTimestamp();
+}
+
+function formatRulesList(rules) {
+  return rules
+    .map((r) => `${r.enabled === false ? "⚪" : "🟢"} **${r.name}** → ${r.alert} (${r.direction})\n\`${describeCondition(r.when)}\``)
+    .join("\n");
+}
+
+function formatStrategyList() {
+  return strategies
+    .map((st) => {
+      const settings = Object.entries(st.config)
+        .filter(([k]) => k !== "enabled")
+        .map(([k, v]) => `${k}=${v}`)
+        .join(", ");
+      return `${st.enabled ? "🟢" : "⚪"} **${st.name}** (${st.label})${settings ? `\n\`${settings}\`` : ""}`;
+    })
+    .join("\n");
+}
+
+// kept short enough for the 4096-character embed description
+const ALERT_HISTORY_LINES = 20;
+
+function formatAlertHistoryEmbed(entries, { symbol, days }) {
+  const lines = entries.slice(0, ALERT_HISTORY_LINES).map((e) => {
+    const emoji = e.direction === "bearish" ? "🔴" : "🟢";
+    const price = e.price != null ? ` @ $${e.price}` : "";
+    const hist = e.histogram != null ? ` • hist ${e.histogram.toFixed(4)}` : "";
+    const link = e.guildId ? ` • [message](https://discord.com/channels/${e.guildId}/${e.channelId}/${e.messageId})` : "";
+    return `${emoji} ${formatNyTime(new Date(e.sentAt))} **${e.ticker}** ${e.signal}${price}${e.interval ? ` (${e.interval})` : ""}${hist}${link}`;
+  });
+  const more = entries.length > ALERT_HISTORY_LINES ? `\n…and ${entries.length - ALERT_HISTORY_LINES} older` : "";
+  return new EmbedBuilder()
+    .setTitle(`🔔 Alerts — ${symbol || "all tickers"}, last ${days} day(s)`)
+    .setDescription(`**${entries.length}** alert(s)\n${lines.join("\n")}${more}`)
+    .setColor(0x3498db);
+}
+
+// One summary line: sample count, hit rate / average return per horizon, excursions, cross-backs
+function formatOutcomeLine(label, st) {
+  const pct = (v) => (v == null ? "n/a" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`);
+  const horizons = PERFORMANCE_HORIZONS.map((h) => {
+    const x = st.horizons[h];
+    return x.samples ? `${h} ${(x.winRate * 100).toFixed(0)}% ${pct(x.avgReturn)}` : `${h} –`;
+  });
+  const crossBack = st.crossBackSamples ? ` • ↩ ${(st.crossBackRate * 100).toFixed(0)}%` : "";
+  return `**${label}** n=${st.signals} • ${horizons.join(" • ")} • MFE ${pct(st.avgMfe)} MAE ${pct(st.avgMae)}${crossBack}`;
+}
+
+// Embed field values are capped at 1024 characters
+function fieldValue(lines) {
+  const out = [];
+  let len = 0;
+  for (const line of lines) {
+    if (len + line.length + 1 > 1024) break;
+    out.push(line);
+    len += line.length + 1;
+  }
+  return out.join("\n") || "none";
+}
+
+function formatPerformanceEmbed(rows, { title, description }) {
+  const bySignal = groupOutcomes(rows, (e) => e.signal).map(([k, st]) => formatOutcomeLine(k, st));
+  const byDivergence = groupOutcomes(rows, (e) => (e.divergence ? "with divergence" : "without divergence")).map(([k, st]) =>
+    formatOutcomeLine(k, st)
+  );
+  const byTicker = groupOutcomes(rows, (e) => e.ticker).map(([k, st]) => formatOutcomeLine(k, st));
   return new EmbedBuilder()
-    .setTitle(`${emoji} ${res.ticker}`)
-    .setDescription(`Price: $${res.price} • Cross: ${res.cross}${divText}`)
+    .setTitle(title)
+    .setDescription(
+      `${description}\n${formatOutcomeLine("All alerts", summarizeOutcomes(rows))}\n` +
+        "Per horizon: hit rate and average return in the alert's direction. ↩ = MACD crossed back within 20 days."
+    )
     .addFields(
-      { name: "MACD", value: `${res.macdNow.toFixed(6)}`, inline: true },
-      { name: "Signal", value: `${res.signalNow.toFixed(6)}`, inline: true },
-      { name: "Histogram", value: `${res.histNow != null ? res.histNow.toFixed(6) : "N/A"}`, inline: true },
-      { name: "Time", value: `${timeStr}`, inline: true }
+      { name: "By signal", value: fieldValue(bySignal) },
+      { name: "Divergence", value: fieldValue(byDivergence) },
+      { name: "By ticker", value: fieldValue(byTicker) }
     )
-    .setColor(color)
+    .setColor(0x3498db)
     .setTimestamp();
 }
 
-// scanning loop
-let scanning = false;
-async function runScanOnce(channel, tickers = WATCHLIST) {
-  console.log(chalk.magenta(`Starting MACD scan for ${tickers.length} tickers at ${new Date().toLocaleTimeString()}`));
-  for (const sym of tickers) {
+// "NVIDIA Corp • NASDAQ • Technology / Semiconductors\n" from tickers.csv, or "" without metadata
+function describeTicker(symbol) {
+  const row = universe.get(symbol);
+  if (!row) return "";
+  const industry = [row.sector, row.industry].filter(Boolean).join(" / ");
+  const parts = [row.name, row.exchange, industry, row.assetType, row.marketCap && `${row.marketCap} cap`].filter(Boolean);
+  return parts.length > 0 ? `${parts.join(" • ")}\n` : "";
+}
+
+const CORRECTION_LABELS = {
+  "bad-date": "bar(s) with unreadable dates dropped",
+  duplicate: "duplicate bar(s) dropped",
+  "no-close": "bar(s) without a close dropped",
+  placeholder: "empty placeholder bar(s) dropped",
+  "closed-day": "bar(s) on closed days dropped",
+  ohlc: "bar(s) with high/low repaired",
+  adjusted: "bar(s) adjusted for dividends and splits",
+  split: "unadjusted split(s) rescaled",
+};
+
+// What bar cleaning (src/barValidation.js) did to the series behind a result
+function formatQuality(quality, day) {
+  if (!quality) return "not checked";
+  const lines = quality.corrections.map((c) => `${c.count} ${CORRECTION_LABELS[c.type] || c.type}`);
+  if (quality.gaps.count > 0) lines.push(`${quality.gaps.count} bar(s) missing vs. the trading calendar (${quality.gaps.dates.map(day).join(", ")}${quality.gaps.count > quality.gaps.dates.length ? ", …" : ""})`);
+  if (quality.split) lines.push(`⚠️ ${quality.split.ratio} split on ${day(quality.split.date)}: MACD alerts are suppressed until it leaves the lookback window`);
+  return lines.length > 0 ? fieldValue(lines) : "✅ clean";
+}
+
+function formatAnalyzeEmbed(res) {
+  const st = macdState(res);
+  const num = (v) => (v == null ? "N/A" : v.toFixed(4));
+  const day = (d) => new Date(d).toISOString().replace("T", " ").slice(0, isIntraday(res.interval) ? 16 : 10);
+  const lastCross = st.lastCross
+    ? `${st.lastCross.type} ${st.lastCross.barsAgo === 0 ? "on the latest bar" : `${st.lastCross.barsAgo} bar(s) ago`} (${day(st.lastCross.date)})`
+    : `none in the last ${res.idx + 1} bars`;
+
+  const fields = [
+    {
+      name: "MACD",
+      value:
+        `${st.aboveSignal ? "Above" : "Below"} signal • ${st.aboveZero ? "above" : "below"} zero\n` +
+        `MACD ${num(res.macdNow)} • Signal ${num(res.signalNow)} • Hist ${num(res.histNow)}`,
+    },
+    { name: "Last cross", value: lastCross },
+    { name: `Histogram, last ${st.hist.length} bars`, value: `${st.histTrend}: ${st.hist.map(num).join(" → ")}` },
+    {
+      name: "Divergence",
+      value: res.divergences?.length > 0 ? fieldValue(res.divergences.map((d) => describeDivergence(d, { intraday: isIntraday(res.interval) }))) : "none",
+    },
+    { name: "Data", value: formatQuality(res.quality, day) },
+  ];
+
+  // the MACD strategy's alert path: rules, then the per-ticker cooldown
+  for (const rule of ALERT_RULES) {
+    const lines = explainCondition(rule.when, res);
+    const status = rule.enabled === false ? "⚪ disabled" : lines[0].startsWith("✅") ? "✅ matches" : "❌ no match";
+    fields.push({ name: `Rule ${rule.name}: ${status}`, value: fieldValue(lines) });
+  }
+  const macdEnabled = strategies.find((x) => x.name === "macd")?.enabled;
+  const lists = scanningWatchlists(res.ticker);
+  const scanned = lists.length > 0
+    ? `✅ on ${lists.join(", ")}`
+    : followedTickers().includes(res.ticker)
+      ? "⚪ scanned for subscriber DMs and price alerts only"
+      : "⚪ not on a watchlist";
+  fields.push({
+    name: "Alerting",
+    value: fieldValue([
+      `Watchlists: ${scanned}`,
+      `MACD strategy: ${macdEnabled ? "✅ enabled" : "⚪ disabled"}`,
+      ...(lists.length > 0 ? lists : [FOLLOWED]).map((w) => `Cooldown (${w}): ${describeCooldown(alertKey("macd", res.ticker, w))}`),
+    ]),
+  });
+
+  return new EmbedBuilder()
+    .setTitle(`🔎 ${res.ticker} — ${res.interval}`)
+    .setDescription(`${describeTicker(res.ticker)}Price: $${res.price} (prev $${res.prevPrice}) • Bar: ${day(res.timestamp)}`)
+    .addFields(fields.slice(0, 25))
+    .setColor(st.aboveSignal ? 0x00ff00 : 0xff0000)
+    .setTimestamp();
+}
+
+function formatRoutes(routes) {
+  const ch = (id) => (id ? `<#${id}>` : "muted");
+  const signals = Object.entries(routes.signals).map(([sig, id]) => `${sig} → ${ch(id)}`);
+  const watchlists = Object.entries(routes.watchlists).map(([w, id]) => `${w} → ${ch(id)}`);
+  const others = routes.watchlistsOptIn ? "other watchlists muted" : "other watchlists use the default";
+  return [
+    `Default: ${routes.defaultChannel ? ch(routes.defaultChannel) : "none"}`,
+    `Signals: ${signals.join(", ") || "none"}`,
+    `Watchlists: ${[...watchlists, others].join(", ")}`,
+  ].join("\n");
+}
+
+function formatPermissions(guildPerms) {
+  const lines = Object.entries(guildPerms || {}).map(([command, grant]) => {
+    const who = [...grant.roles.map((r) => `<@&${r}>`), ...grant.users.map((u) => `<@${u}>`)];
+    return `/${command} → ${who.join(", ")}`;
+  });
+  return [
+    lines.length > 0 ? lines.join("\n") : "No command limits set.",
+    `Everything else that changes watchlists or settings needs Manage Server. Administrators can run every command.`,
+    `Watchlists, timeframes, rules, strategies and /scan-now are shared by every server the bot is in; /setup and /permissions only affect this one.`,
+  ].join("\n");
+}
+
+// kept short enough for the 4096-character embed description
+const AUDIT_LINES = 25;
+
+// guildId: the server asking; shared changes made from other servers are marked with theirs
+function formatAuditEmbed(entries, { days, guildId }) {
+  const lines = entries.slice(0, AUDIT_LINES).map((e) => {
+    const mark = e.outcome === "denied" ? "⛔" : "•";
+    const from = e.guildId === guildId ? "" : ` (from ${client.guilds.cache.get(e.guildId)?.name || "another server"})`;
+    return `${mark} ${formatNyTime(new Date(e.at))} <@${e.userId}>${from} /${e.command} — ${e.action}`.slice(0, 180);
+  });
+  const more = entries.length > AUDIT_LINES ? `\n…and ${entries.length - AUDIT_LINES} older` : "";
+  return new EmbedBuilder()
+    .setTitle(`📝 Audit log — last ${days} day(s)`)
+    .setDescription(`**${entries.length}** change(s)\n${lines.join("\n")}${more}`)
+    .setColor(0x95a5a6);
+}
+
+// The bot needs to post embeds and chart images in a routed channel
+function missingChannelPermissions(channel) {
+  const perms = channel.permissionsFor(client.user);
+  const needed = { ViewChannel: "View Channel", SendMessages: "Send Messages", EmbedLinks: "Embed Links", AttachFiles: "Attach Files" };
+  return Object.entries(needed)
+    .filter(([flag]) => !perms?.has(PermissionFlagsBits[flag]))
+    .map(([, label]) => label);
+}
+
+function formatSubscriptions(settings) {
+  const subs = settings.subs.map((s) => `${s.ticker}${s.signal ? ` (${s.signal})` : ""}`);
+  const q = settings.quietHours;
+  const sentToday = settings.sent && settings.sent.day === tradingDayKey() ? settings.sent.count : 0;
+  return [
+    `Subscriptions: ${subs.join(", ") || "none"}`,
+    `Quiet hours: ${q ? `${q.start}–${q.end} ${q.timeZone}` : "off"}`,
+    `Daily cap: ${sentToday}/${settings.dailyCap} DMs today`,
+  ].join("\n");
+}
+
+function formatPriceAlertList(alerts) {
+  if (alerts.length === 0) return "You have no price alerts. Create one with /alert-price or /alert-move.";
+  const lines = alerts.map((a) => {
+    const state = a.armed ? "🟢 armed" : `✔ fired ${a.firedAt ? formatNyTime(new Date(a.firedAt)) : ""} at $${a.firedPrice}`;
+    return `\`#${a.id}\` ${describePriceAlert(a)} — ${state}`;
+  });
+  // newest first, within the 2000-character message limit
+  const shown = [];
+  let len = 0;
+  for (const line of lines.reverse()) {
+    if (len + line.length > 1800) break;
+    shown.push(line);
+    len += line.length + 1;
+  }
+  const more = shown.length < lines.length ? `\n…and ${lines.length - shown.length} older` : "";
+  return `Your price alerts:\n${shown.join("\n")}${more}\nDelete one with /my-alerts delete:ID.`;
+}
+
+function formatPriceEmbed(info) {
+  const price = info.regularMarketPrice ?? "N/A";
+  const change = info.regularMarketChange ?? 0;
+  const changePct = info.regularMarketChangePercent ?? 0;
+  const vol = info.regularMarketVolume ?? 0;
+
+  return new EmbedBuilder()
+    .setTitle(`${info.shortName ?? info.symbol} — ${info.symbol}`)
+    .setDescription(`**$${price}**  |  ${change >= 0 ? "+" : ""}${change.toFixed(2)} (${changePct >= 0 ? "+" : ""}${(changePct * 1).toFixed(2)}%)`)
+    .addFields(
+      { name: "Volume", value: `${vol.toLocaleString()}`, inline: true },
+      { name: "Day Range", value: `${info.regularMarketDayLow ?? "N/A"} - ${info.regularMarketDayHigh ?? "N/A"}`, inline: true }
+    )
+    .setTimestamp();
+}
+
+// Scanning runs during the exchange sessions listed ("always" ignores the calendar);
+// watchlists without their own sessions use SCAN_SESSIONS
+function scanSessionOpen(sessions = SCAN_SESSIONS) {
+  return sessions === "always" || isInSessions(new Date(), sessions);
+}
+
+function formatMarketStatus() {
+  const m = marketState();
+  const stateText = m.state === "closed" ? `closed (${m.reason})` : `${m.state} session${m.earlyClose ? ", early close" : ""}`;
+  const next = nextSessionStart(new Date(), ["regular"]);
+  const scanText = SCAN_SESSIONS === "always" ? "always" : SCAN_SESSIONS.join(", ");
+  return `Market: ${stateText} • Next open: ${next ? formatNyTime(next) : "unknown"} • Scanning during: ${scanText}`;
+}
+
+// ---------- alert routing ----------
+// Per-guild channels for each signal (routing.json), edited with /setup
+const ROUTING = loadRouting();
+let fallbackGuildId = null; // guild of DISCORD_CHANNEL_ID, learned at startup
+
+function routeChannels(signal, watchlist) {
+  return resolveChannels(ROUTING, { signal, watchlist, fallbackChannelId: DISCORD_CHANNEL_ID, fallbackGuildId });
+}
+
+// Signal names alerts carry: rule names and the non-MACD strategies
+function alertSignals() {
+  return [...ALERT_RULES.map((r) => r.name), ...strategies.filter((st) => st.name !== "macd").map((st) => st.name)];
+}
+
+// Names /setup signal accepts: alert signals and digests
+function routableSignals() {
+  return [...alertSignals(), ...DIGEST_SIGNALS];
+}
+
+// ---------- permissions and audit ----------
+
+const PERMISSIONS = loadPermissions();
+const auditLog = new AuditLog();
+let COMMAND_NAMES = []; // filled when the slash commands are registered
+let lastScanTriggerAt = 0;
+
+// "rules set", "add-ticker"
+function commandLabel(interaction) {
+  const sub = interaction.options.getSubcommand(false);
+  return sub ? `${interaction.commandName} ${sub}` : interaction.commandName;
+}
+
+// null when the member may run this interaction, otherwise the reason
+function accessDenied(interaction) {
+  const member = interaction.member;
+  // uncached members arrive as raw API data with role ids in an array
+  const roleIds = !member ? [] : Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+  return checkAccess(
+    PERMISSIONS,
+    { guildId: interaction.guildId, command: interaction.commandName, sub: interaction.options.getSubcommand(false) },
+    {
+      userId: interaction.user.id,
+      roleIds,
+      isAdmin: !!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator),
+      canManageGuild: !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild),
+    }
+  );
+}
+
+function audit(interaction, action, outcome = "ok") {
+  const command = commandLabel(interaction);
+  auditLog.record({
+    guildId: interaction.guildId ?? null,
+    userId: interaction.user.id,
+    user: interaction.user.tag,
+    command,
+    action,
+    outcome,
+    shared: changesGlobalState(command),
+  });
+}
+
+// ---------- subscriptions ----------
+// Per-user DM subscriptions (subscriptions.json), managed with /subscribe and /subscriptions
+const subscriptions = new Subscriptions();
+
+// ---------- price alerts ----------
+// Per-user price-level and day-move alerts (price-alerts.json), managed with /alert-price, /alert-move, /my-alerts
+const priceAlerts = new PriceAlerts();
+
+// Check a ticker's price alerts against the bars this poll already fetched
+async function checkPriceAlerts(sym, interval) {
+  const data = analyzer.fetcher.latest(sym, interval) || (await analyzer.fetcher.fetchCloseSeries(sym, interval));
+  if (!data) return;
+  for (const a of priceAlerts.check(sym, dayMove(data.raw, interval))) {
+    const moveText = a.movePct != null ? ` (${a.movePct >= 0 ? "+" : ""}${a.movePct.toFixed(2)}% on the day)` : "";
+    const embed = new EmbedBuilder()
+      .setTitle(`🔔 ${describePriceAlert(a)}`)
+      .setDescription(`${a.ticker} is at **$${a.firedPrice}**${moveText}${a.rearm ? "\nThis alert re-arms once it resets." : ""}`)
+      .setFooter({ text: `Price alert #${a.id} • /my-alerts to manage` })
+      .setColor(0xf1c40f)
+      .setTimestamp();
     try {
-      const res = await analyzer.analyzeTicker(sym);
-      if (!res) {
-        console.log(chalk.gray(`No MACD data for ${sym}`));
+      const user = await client.users.fetch(a.userId);
+      await user.send({ embeds: [embed] });
+    } catch (err) {
+      // DMs closed: fall back to the channel the alert was created in
+      try {
+        const channel = await client.channels.fetch(a.channelId);
+        await channel.send({ content: `<@${a.userId}>`, embeds: [embed] });
+      } catch (e) {
+        console.error(chalk.red(`Could not deliver price alert #${a.id} to ${a.userId}: ${e.message}`));
         continue;
       }
-      if (!res.cross) {
-        // we only alert on cross events; if divergence alone and no cross you could choose to alert, optional.
-        console.log(chalk.gray(`${sym}: no cross (div: ${res.divergence || "none"})`));
+    }
+    console.log(chalk.green(`Price alert #${a.id} fired: ${describePriceAlert(a)} at ${a.firedPrice}`));
+  }
+}
+
+// The tickers a watchlist's scheduler walks: its list, narrowed by its filter if it has one
+function watchlistTickers(name) {
+  const list = watchlists.get(name);
+  return list ? universe.filter(list.tickers, list.filter).filter((t) => !quarantine.isHeld(t)) : [];
+}
+
+// Watchlists whose scan covers `sym`
+function scanningWatchlists(sym) {
+  return watchlists.containing(sym).filter((n) => !watchlists.get(n).filter || universe.matches(sym, watchlists.get(n).filter));
+}
+
+// Tickers no watchlist scans that subscribers or price alerts follow; scanned under FOLLOWED
+const FOLLOWED = FOLLOWED_WATCHLIST;
+function followedTickers() {
+  const scanned = new Set(watchlists.names().flatMap(watchlistTickers));
+  return [...new Set([...subscriptions.tickers(), ...priceAlerts.tickers()])].filter((t) => !scanned.has(t) && !quarantine.isHeld(t));
+}
+
+// A ticker on several watchlists is scanned by each; DMs and price alerts come from the first only
+function followerScan(sym) {
+  return scanningWatchlists(sym)[0] || FOLLOWED;
+}
+
+// Send a non-alert post (e.g. the weekly scorecard) wherever its digest signal is routed
+async function sendDigest(signal, payload) {
+  for (const channelId of routeChannels(signal, null)) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send(payload);
+    } catch (err) {
+      console.error(chalk.red(`Failed to post ${signal} to channel ${channelId}: ${err.message}`));
+    }
+  }
+}
+
+// scanning: one ticker through every enabled strategy; each watchlist's scheduler walks its tickers
+async function scanTicker(sym, { watchlist = DEFAULT_WATCHLIST } = {}) {
+  const list = watchlists.get(watchlist);
+  const interval = timeframeFor(sym, TIMEFRAME_SETTINGS, list?.interval);
+  const notifyFollowers = followerScan(sym) === watchlist;
+  let errors = 0;
+  for (const strategy of strategies.filter((st) => st.enabled)) {
+    try {
+      const { alerts, reason, noData } = await strategy.evaluate(sym, { interval });
+      if (noData) errors += 1;
+      if (alerts.length === 0) {
+        const failure = noData && analyzer.fetcher.failure(sym);
+        console.log(chalk.gray(`${sym} [${strategy.name}]: ${reason}${failure ? ` (${failure.kind})` : ""}`));
         continue;
       }
-      const tickerOk = canAlert(sym);
-      if (!tickerOk) {
-        console.log(chalk.yellow(`Skipped ${sym} due to cooldown or daily limit`));
+      const key = alertKey(strategy.name, sym, watchlist);
+      if (!canAlert(key)) {
+        console.log(chalk.yellow(`Skipped ${sym} [${strategy.name}] due to cooldown or daily limit`));
         continue;
       }
-      // Additional filter: confirm histogram moved in same direction
-      // bullish-cross: histNow > histPrev (gaining positive momentum)
-      let pass = true;
-      if (res.cross !== "bullish-cross") {
-          console.log(chalk.gray(`${sym}: ignoring bearish signals — bullish-only mode`));
-          continue;
+      const alertNumber = getAlertNumber(key);
+
+      // one message per destination channel, holding the alerts routed there;
+      // tickers scanned only for subscribers don't post to channels
+      const groups = new Map(); // channel id -> alerts
+      if (list?.tickers.includes(sym)) {
+        for (const a of alerts) {
+          for (const channelId of routeChannels(a.signal, watchlist)) {
+            if (!groups.has(channelId)) groups.set(channelId, []);
+            groups.get(channelId).push(a);
+          }
+        }
       }
-
-      // histogram rising
-      if (!(res.histNow > res.histPrev)) {
-          console.log(chalk.gray(`${sym}: MACD bullish but histogram not rising -> skip`));
-          continue;
+      // and one DM per subscriber, holding the alerts they subscribed to
+      const dms = new Map(); // user id -> alerts
+      for (const a of notifyFollowers ? alerts : []) {
+        for (const userId of subscriptions.recipients(sym, a.signal)) {
+          if (!dms.has(userId)) dms.set(userId, []);
+          dms.get(userId).push(a);
+        }
       }
-
-      // PRICE rising confirmation
-      if (!(res.price > res.prevPrice)) {
-          console.log(chalk.gray(`${sym}: MACD bullish but price not rising -> skip`));
-          continue;
-      }
-
-      if (!pass) {
-        console.log(chalk.gray(`${sym}: cross detected but histogram not confirming -> no alert`));
+      if (groups.size === 0 && dms.size === 0) {
+        console.log(chalk.gray(`${sym} [${strategy.name}]: ${reason}, but no channel or subscriber wants it`));
         continue;
       }
-      const type = res.cross === "bullish-cross" ? "bullish" : "bearish";
-      const embed = formatEmbedForAlert(res, type);
+
+      let files = [];
       try {
-        await channel.send({ embeds: [embed] });
-        recordAlert(sym);
-        console.log(chalk.green(`Alert sent for ${sym} (${res.cross}${res.divergence ? " + " + res.divergence : ""})`));
+        if (strategy.files) files = strategy.files(alerts);
       } catch (err) {
-        console.error(chalk.red(`Failed to send message for ${sym}: ${err.message}`));
+        // a broken chart shouldn't cost the alert
+        console.error(chalk.red(`Failed to render chart for ${sym}: ${err.message}`));
+      }
+      const embedsFor = (group) => group.map((a, i) => strategy.formatEmbed(a, { alertNumber, chart: files.length > 0 && i === 0 }));
+      const delivered = new Map(); // alert -> messages
+      const deliver = (group, message) => {
+        for (const a of group) delivered.set(a, [...(delivered.get(a) || []), message]);
+      };
+      for (const [channelId, group] of groups) {
+        try {
+          const channel = await client.channels.fetch(channelId);
+          deliver(group, await channel.send({ embeds: embedsFor(group), files }));
+        } catch (err) {
+          errors += 1;
+          console.error(chalk.red(`Failed to send message for ${sym} to channel ${channelId}: ${err.message}`));
+        }
+      }
+      let dmCount = 0;
+      for (const [userId, group] of dms) {
+        const [allowed, why] = subscriptions.canNotify(userId);
+        if (!allowed) {
+          console.log(chalk.gray(`DM of ${sym} to ${userId} skipped (${why})`));
+          continue;
+        }
+        try {
+          const user = await client.users.fetch(userId);
+          deliver(group, await user.send({ embeds: embedsFor(group), files }));
+          subscriptions.recordNotified(userId);
+          dmCount += 1;
+        } catch (err) {
+          // closed DMs are the user's choice, not a scan error
+          console.warn(chalk.yellow(`Could not DM ${userId} about ${sym}: ${err.message}`));
+        }
+      }
+      if (delivered.size > 0) {
+        recordAlert(key);
+        for (const [a, messages] of delivered) alertStore.append(alertEntry(a, messages, { watchlist }));
+        console.log(chalk.green(`Alert sent for ${sym} [${strategy.name}] to ${groups.size} channel(s) and ${dmCount} DM(s) (${reason})`));
       }
     } catch (err) {
-      console.error(chalk.red(`Error analyzing ${sym}: ${err.message}`));
+      errors += 1;
+      console.error(chalk.red(`Error analyzing ${sym} [${strategy.name}]: ${err.message}`));
     }
   }
-  console.log(chalk.green("Scan finished"));
+  try {
+    if (notifyFollowers) await checkPriceAlerts(sym, interval);
+  } catch (err) {
+    errors += 1;
+    console.error(chalk.red(`Error checking price alerts for ${sym}: ${err.message}`));
+  }
+  // a ticker that keeps failing for reasons of its own is held out of the scans
+  const failure = analyzer.fetcher.failure(sym);
+  if (failure?.symbolProblem) {
+    if (quarantine.recordFailure(sym, failure)) {
+      console.warn(chalk.yellow(`Quarantined ${sym} after ${QUARANTINE_AFTER_FAILURES} failed scans (${failure.kind}: ${failure.message})`));
+    }
+  } else if (!failure && quarantine.recordSuccess(sym)) {
+    console.log(chalk.green(`Released ${sym} from quarantine, its data is back`));
+  }
+  return { errors };
+}
+
+// One scheduler per watchlist, plus FOLLOWED; settings are read on every loop so edits apply at once
+const schedulers = new Map(); // watchlist name -> ScanScheduler
+
+function createScheduler(name) {
+  const settings = () => watchlists.get(name) || {};
+  const sessions = () => settings().sessions || SCAN_SESSIONS;
+  return new ScanScheduler({
+    name: name === FOLLOWED ? FOLLOWED : `watchlist:${name}`,
+    getTickers: () => (name === FOLLOWED ? followedTickers() : watchlistTickers(name)),
+    scanTicker: (sym) => scanTicker(sym, { watchlist: name }),
+    holdMs: () => breaker.msUntilClose(),
+    shardSize: SCAN_SHARD_SIZE,
+    // shards are numbered from 1 in settings, as /status shows them
+    cadenceSec: (shard) => settings().shardCadenceSec?.[shard + 1] || settings().cadenceSec || POLL_INTERVAL_SEC,
+    isOpen: () => scanSessionOpen(sessions()),
+    msUntilOpen: () => {
+      if (sessions() === "always") return 60 * 1000;
+      const next = nextSessionStart(new Date(), sessions());
+      // re-check at least every 15 minutes in case the clock or config moved
+      return next ? Math.min(next - Date.now(), 15 * 60 * 1000) : 15 * 60 * 1000;
+    },
+  });
+}
+
+// Match the schedulers to the current watchlists, starting new ones if scanning is on
+let scanning = false;
+function syncSchedulers() {
+  for (const name of [...watchlists.names(), FOLLOWED]) {
+    if (schedulers.has(name)) continue;
+    const scheduler = createScheduler(name);
+    schedulers.set(name, scheduler);
+    if (scanning) scheduler.start();
+  }
+  for (const [name, scheduler] of schedulers) {
+    if (name === FOLLOWED || watchlists.get(name)) continue;
+    scheduler.stop();
+    schedulers.delete(name);
+  }
+}
+syncSchedulers();
+
+// performance tracking: measure open alerts, then post the weekly scorecard when it's due
+let performanceTimer = null;
+async function trackPerformance() {
+  const updated = await performance.update();
+  if (updated > 0) console.log(chalk.gray(`Updated performance for ${updated} alert(s)`));
+  if (performance.scorecardDue()) {
+    const week = performance.rows({ days: 7 }).length;
+    const embed = formatPerformanceEmbed(performance.rows({ days: 28 }), {
+      title: "📊 Weekly alert scorecard",
+      description: `${week} alert(s) this week • outcomes of the last 4 weeks of alerts`,
+    });
+    await sendDigest("scorecard", { embeds: [embed] });
+    performance.markScorecardPosted();
+    console.log(chalk.green("Weekly scorecard posted"));
+  }
 }
 
 // orchestrator: periodic scanning
-let loopHandle = null;
 async function startLoop(client) {
   if (scanning) return;
   scanning = true;
-  const channel = await client.channels.fetch(DISCORD_CHANNEL_ID);
-  // run immediately once
-  runScanOnce(channel).catch((e) => console.error("Initial scan error:", e));
-  loopHandle = setInterval(() => {
-    runScanOnce(channel).catch((e) => console.error("Periodic scan error:", e));
-  }, POLL_INTERVAL_SEC * 1000);
-  console.log(chalk.blue(`Started periodic scanning every ${POLL_INTERVAL_SEC}s`));
+  if (DISCORD_CHANNEL_ID) {
+    try {
+      fallbackGuildId = (await client.channels.fetch(DISCORD_CHANNEL_ID)).guildId ?? null;
+    } catch (err) {
+      console.error(chalk.red(`DISCORD_CHANNEL_ID ${DISCORD_CHANNEL_ID} is not reachable: ${err.message}`));
+    }
+  }
+  for (const scheduler of schedulers.values()) scheduler.start();
+  console.log(chalk.blue(`Started scanning ${watchlists.names().length} watchlist(s) in shards of ${SCAN_SHARD_SIZE}`));
+  const runTracking = () => trackPerformance().catch((e) => console.error(chalk.red(`Performance tracking error: ${e.message}`)));
+  runTracking();
+  performanceTimer = setInterval(runTracking, PERFORMANCE_UPDATE_MIN * 60 * 1000);
 }
 function stopLoop() {
-  if (loopHandle) clearInterval(loopHandle);
   scanning = false;
+  for (const scheduler of schedulers.values()) scheduler.stop();
+  clearInterval(performanceTimer);
+}
+
+function formatDuration(sec) {
+  if (sec == null) return "unknown";
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${sec % 60}s` : `${sec}s`;
+}
+
+function formatSchedulerStatus(st) {
+  const lastPass = st.lastFullPassAt
+    ? `${new Date(st.lastFullPassAt).toLocaleString()} (took ${formatDuration(st.lastPassDurationSec)})`
+    : "never";
+  return [
+    `Scanner: ${!st.running ? "stopped" : st.held ? "held while the data source is paused" : st.busy ? `scanning ${st.currentTicker || ""}` : st.paused ? "paused until the next session" : "waiting for next shard"}`,
+    `Position: ${st.position}/${st.total} (shard ${Math.min(st.shard + 1, st.shards)}/${st.shards}) • ETA: ${formatDuration(st.etaSec)}`,
+    `Last full pass: ${lastPass} • Passes: ${st.passes}`,
+    `Errors: ${st.errorsThisPass} this pass, ${st.errorsLastPass} last pass, ${st.errorsTotal} total`,
+  ].join("\n");
+}
+
+// "1d • every 60s • regular" for a watchlist (or FOLLOWED), defaults filled in
+function describeSchedule(name) {
+  const list = watchlists.get(name) || {};
+  const sessions = list.sessions || SCAN_SESSIONS;
+  return [
+    list.interval || TIMEFRAME_SETTINGS.watchlist,
+    `every ${list.cadenceSec || POLL_INTERVAL_SEC}s`,
+    ...(list.shardCadenceSec ? [describeShardCadence(list.shardCadenceSec)] : []),
+    sessions === "always" ? "always" : sessions.join(", "),
+    ...(list.filter ? [`only ${describeFilter(list.filter)}`] : []),
+  ].join(" • ");
+}
+
+// { 1: 60, 2: 900, 3: 900 } -> "shard 1 every 60s, shards 2-3 every 900s"
+function describeShardCadence(cadence) {
+  const runs = [];
+  for (const shard of Object.keys(cadence).map(Number).sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && last.to === shard - 1 && last.sec === cadence[shard]) last.to = shard;
+    else runs.push({ from: shard, to: shard, sec: cadence[shard] });
+  }
+  return runs.map((r) => (r.from === r.to ? `shard ${r.from}` : `shards ${r.from}-${r.to}`) + ` every ${r.sec}s`).join(", ");
+}
+
+// Why a command's fetch for `symbol` failed, in words, or null when it didn't
+function fetchProblem(symbol) {
+  const failure = analyzer.fetcher.failure(symbol);
+  switch (failure?.kind) {
+    case "rate-limit":
+    case "circuit-open":
+      return `Yahoo is rate limiting the bot; try again in ${Math.max(1, Math.ceil(breaker.msUntilClose() / 60000))} min.`;
+    case "not-found":
+      return `No data for ${symbol}; check the symbol.`;
+    case "transient":
+      return "Couldn't reach Yahoo; try again shortly.";
+    case "bad-data":
+      return `Yahoo sent data for ${symbol} that couldn't be read.`;
+    case "unknown":
+      return `Fetching ${symbol} failed: ${failure.message}`;
+    default:
+      return null;
+  }
+}
+
+// Breaker state, failures by kind and quarantined tickers
+function formatDataSourceStatus() {
+  const b = breaker.status();
+  const state =
+    b.state === "open"
+      ? `⏸️ paused after repeated rate limits, resuming in ${formatDuration(Math.ceil(b.msUntilClose / 1000))}`
+      : b.state === "half-open"
+        ? "retrying after a rate-limit pause"
+        : "✅ ok";
+  const { failures, retries } = analyzer.fetcher.stats;
+  const kinds = Object.entries(failures).map(([kind, n]) => `${kind} ${n}`);
+  const held = quarantine.list();
+  return [
+    `Data source: ${state}${b.trips > 0 ? ` (${b.trips} pause(s) since start)` : ""}`,
+    `Fetch failures: ${kinds.length > 0 ? kinds.join(", ") : "none"} • ${retries} retried`,
+    ...(held.length > 0
+      ? [`Quarantined: ${held.length} ticker(s) (${held.slice(0, 10).map((h) => h.ticker).join(", ")}${held.length > 10 ? ", …" : ""}), retried daily`]
+      : []),
+  ].join("\n");
+}
+
+const LANE_LABELS = { interactive: "commands", followup: "alert follow-ups", background: "scans" };
+
+// Remote providers only: tokens left and what's queued in each lane
+function formatRateLimiterStatus() {
+  const limiter = analyzer.fetcher.provider.limiter;
+  if (!limiter) return null;
+  const s = limiter.status();
+  const lanes = Object.entries(s.lanes)
+    .map(([lane, l]) => `${LANE_LABELS[lane] || lane} ${l.queued}${l.oldestWaitSec !== null ? ` (oldest ${l.oldestWaitSec}s)` : ""}`)
+    .join(", ");
+  return `Rate limit: ${Math.floor(s.tokens)}/${s.maxPerMinute} requests left (${Math.floor(s.reserve)} held for commands) • queued: ${lanes}`;
+}
+
+function formatStatusEmbed() {
+  const fields = [...schedulers].map(([name, scheduler]) => ({
+    name: `${name} — ${describeSchedule(name)}`,
+    value: formatSchedulerStatus(scheduler.status()),
+  }));
+  return new EmbedBuilder()
+    .setTitle("Bot status")
+    .setDescription(
+      [
+        `Monitoring **${watchlists.tickers().length}** tickers on ${watchlists.names().length} watchlist(s) (+${followedTickers().length} for subscriptions and price alerts).`,
+        formatMarketStatus(),
+        `Bar requests: ${analyzer.fetcher.stats.requests} (${analyzer.fetcher.stats.cacheHits} served from cache)`,
+        formatRateLimiterStatus(),
+        formatDataSourceStatus(),
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .addFields(fields.slice(0, 25))
+    .setColor(0x3498db);
+}
+
+// parseFilter, refusing filters on metadata tickers.csv doesn't have at all
+function parseCheckedFilter(text) {
+  const filter = parseFilter(text);
+  universe.checkFilter(filter);
+  return filter;
+}
+
+// Reply suffix for a filter that only part of tickers.csv has the metadata for
+function filterNote(filter) {
+  const warning = filter ? universe.checkFilter(filter) : null;
+  return warning ? `\n⚠️ ${warning}` : "";
+}
+
+// { interval, cadenceSec, shardCadenceSec, sessions, filter } from the /watchlist create|schedule options that were given
+function scheduleOptions(interaction) {
+  const settings = {};
+  const interval = interaction.options.getString("interval");
+  const cadence = interaction.options.getInteger("cadence");
+  const shardCadence = interaction.options.getString("shard-cadence")?.trim();
+  const sessions = interaction.options.getString("sessions");
+  const filter = interaction.options.getString("filter")?.trim();
+  if (interval) settings.interval = interval;
+  if (cadence) settings.cadenceSec = cadence;
+  if (shardCadence) settings.shardCadenceSec = shardCadence.toLowerCase() === "none" ? null : parseShardCadence(shardCadence);
+  if (sessions) settings.sessions = parseSessions(sessions);
+  if (filter) settings.filter = filter.toLowerCase() === "none" ? null : parseCheckedFilter(filter);
+  return settings;
+}
+
+// each symbol is checked for data, so bulk lists go through /watchlist import instead
+const MAX_SYMBOLS_PER_ADD = 25;
+const MAX_IMPORT_BYTES = 512 * 1024;
+
+// Checks each symbol against tickers.csv and for data, adds the good ones; returns the reply text
+async function addToWatchlist(interaction, listName, symbols) {
+  const have = new Set(watchlists.get(listName).tickers);
+  const good = [];
+  const problems = [];
+  for (const symbol of symbols) {
+    if (have.has(symbol)) problems.push(`Already watching ${symbol} on ${listName}.`);
+    else if (!isValidSymbol(symbol) || !inUniverse(symbol)) {
+      problems.push(`❌ ${symbol} is not in tickers.csv.\nUpdate tickers.csv if you want to allow this ticker.`);
+    } else {
+      // Validate ticker by fetching data
+      const test = await analyzer.fetcher.fetchCloseSeries(symbol, undefined, { lane: INTERACTIVE });
+      if (!test || !test.closes || test.closes.length === 0) problems.push(`❌ ${fetchProblem(symbol) || `Could not fetch data for ${symbol}.`} Not added.`);
+      else good.push(symbol);
+    }
+  }
+  if (good.length > 0) {
+    watchlists.add(listName, good);
+    schedulers.get(listName)?.wake();
+    audit(interaction, `added ${good.join(", ")} to ${listName}`);
+  }
+  const done = good.length > 0 ? [`✅ Added ${good.join(", ")} to ${listName}.`] : [];
+  return [...done, ...problems].join("\n").slice(0, 2000);
+}
+
+// ---------- Autocomplete ----------
+// Symbol options suggest from tickers.csv, except where only some tickers make sense:
+// removing from a watchlist, unsubscribing and clearing a timeframe override.
+function autocompleteCandidates(interaction) {
+  const name = interaction.commandName;
+  const sub = interaction.options.getSubcommand(false);
+  if (name === "remove-ticker") {
+    return watchlists.get(interaction.options.getString("watchlist")?.trim().toLowerCase() || DEFAULT_WATCHLIST)?.tickers || [];
+  }
+  if (name === "watchlist" && sub === "remove") {
+    return watchlists.get(interaction.options.getString("name")?.trim().toLowerCase())?.tickers || [];
+  }
+  if (name === "unsubscribe") return [...new Set(subscriptions.settings(interaction.user.id).subs.map((x) => x.ticker))];
+  if (name === "timeframe" && sub === "clear") return Object.keys(TIMEFRAME_SETTINGS.tickers);
+  // without a tickers.csv, at least offer what's already watched
+  return universe.size > 0 ? null : watchlists.tickers();
+}
+
+async function autocompleteSymbols(interaction) {
+  try {
+    const focused = interaction.options.getFocused(true);
+    // "symbols" takes a list: complete its last entry and keep the ones before it
+    const multi = focused.name === "symbols";
+    const text = String(focused.value);
+    const head = multi ? text.slice(0, text.search(/[^\s,;]*$/)) : "";
+    const query = text.slice(head.length);
+    const matches = symbolIndex.search(query, { within: autocompleteCandidates(interaction) });
+    const choices = matches
+      .map(({ symbol, name }) => ({ name: `${head}${symbol}${name ? ` — ${name}` : ""}`.slice(0, 100), value: `${head}${symbol}` }))
+      .filter((c) => c.value.length <= 100);
+    await interaction.respond(choices);
+  } catch (err) {
+    // the user can still type the symbol; an autocomplete failure isn't worth more than a log line
+    console.error(chalk.red(`Autocomplete error: ${err.message}`));
+  }
 }
 
 // ---------- Interaction handler ----------
 client.on("interactionCreate", async (interaction) => {
+  if (interaction.isAutocomplete()) return autocompleteSymbols(interaction);
   if (!interaction.isChatInputCommand()) return;
   const name = interaction.commandName;
   try {
+    const denied = accessDenied(interaction);
+    if (denied) {
+      if (interaction.guildId) audit(interaction, "refused", "denied");
+      return interaction.reply({ content: `⛔ ${denied}`, ephemeral: true });
+    }
+
     if (name === "help") {
       return interaction.reply({
         content:
-          "/help, /status, /watchlist, /add-ticker SYMBOL, /remove-ticker SYMBOL, /scan-now\n\nNote: Use tickers like AAPL, TSLA, NVDA.",
+          "/help, /status, /watchlist show|create|delete|add|remove|schedule|import|export, /add-ticker SYMBOL [watchlist], /remove-ticker SYMBOL [watchlist], /scan-now [watchlist], /backtest SYMBOL [from] [to] [interval], /timeframe show|set|clear, /rules list|enable|disable|set|delete|reset, /strategy list|enable|disable|set, /alerts [symbol] [days], /performance [days] [symbol], /chart SYMBOL [bars], /analyze SYMBOL, /setup show|default|signal|mute|watchlist|reset, /permissions show|allow|revoke|reset, /audit [user] [command] [days], /subscribe SYMBOL [signal], /unsubscribe SYMBOL [signal], /subscriptions list|quiet|cap, /alert-price SYMBOL above|below PRICE, /alert-move SYMBOL PERCENT, /my-alerts [delete], /price SYMBOL\n\nNote: Use tickers like AAPL, TSLA, NVDA.",
         ephemeral: true,
       });
     }
     if (name === "status") {
+      return interaction.reply({ embeds: [formatStatusEmbed()], ephemeral: true });
+    }
+
+    if (name === "watchlist") {
+      const sub = interaction.options.getSubcommand();
+      const listName = interaction.options.getString("name")?.trim().toLowerCase();
+      const filterText = sub === "show" || sub === "add" ? interaction.options.getString("filter")?.trim() : null;
+      let filter = null;
+      if (filterText) {
+        try {
+          filter = parseCheckedFilter(filterText);
+        } catch (err) {
+          return interaction.reply({ content: `❌ Invalid filter: ${err.message}`, ephemeral: true });
+        }
+      }
+
+      if (sub === "show" && !listName) {
+        const lines = watchlists.names().map((n) => {
+          const tickers = watchlists.get(n).tickers;
+          const matching = filter ? ` (${universe.filter(tickers, filter).length} match)` : "";
+          return `**${n}** — ${tickers.length} tickers${matching} • ${describeSchedule(n)}`;
+        });
+        return interaction.reply({ content: `Watchlists:${filterNote(filter)}\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+      }
+
+      if (sub === "create") {
+        if (!isValidWatchlistName(listName)) {
+          return interaction.reply({ content: `❌ Watchlist names are 1-32 characters of a-z, 0-9 or -, and \`${FOLLOWED}\` is reserved.`, ephemeral: true });
+        }
+        let settings;
+        try {
+          settings = scheduleOptions(interaction);
+        } catch (err) {
+          return interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+        }
+        if (!watchlists.create(listName, settings)) {
+          return interaction.reply({ content: `❌ A watchlist named ${listName} already exists.`, ephemeral: true });
+        }
+        syncSchedulers();
+        audit(interaction, `created ${listName} (${describeSchedule(listName)})`);
+        return interaction.reply({
+          content: `✅ Created watchlist ${listName} (${describeSchedule(listName)}). Add tickers with /watchlist add or /watchlist import.${filterNote(settings.filter)}`,
+          ephemeral: true,
+        });
+      }
+
+      const list = watchlists.get(listName);
+      if (!list) {
+        return interaction.reply({ content: `❌ Unknown watchlist "${listName}". Watchlists: ${watchlists.names().join(", ")}`, ephemeral: true });
+      }
+
+      if (sub === "show") {
+        const shown = universe.filter(list.tickers, filter);
+        const count = filter ? `${shown.length} of ${list.tickers.length} tickers match ${describeFilter(filter)}` : `${list.tickers.length} tickers`;
+        return interaction.reply({
+          content: `**${listName}** (${describeSchedule(listName)}) — ${count}:${filterNote(filter)}\n${shown.join(", ") || "none"}`.slice(0, 2000),
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "delete") {
+        if (listName === DEFAULT_WATCHLIST) {
+          return interaction.reply({ content: "❌ The default watchlist can't be deleted; remove its tickers instead.", ephemeral: true });
+        }
+        watchlists.delete(listName);
+        syncSchedulers();
+        // routes to a deleted watchlist would otherwise come back if it's recreated
+        for (const routes of Object.values(ROUTING)) delete routes.watchlists[listName];
+        saveRouting(ROUTING);
+        audit(interaction, `deleted ${listName} (${list.tickers.length} tickers)`);
+        return interaction.reply({ content: `Deleted watchlist ${listName}.`, ephemeral: true });
+      }
+
+      if (sub === "add") {
+        const symbolText = interaction.options.getString("symbols");
+        if (!symbolText && !filter) {
+          return interaction.reply({ content: "❌ Give symbols, a filter, or both.", ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true });
+        if (!symbolText) {
+          // tickers.csv rows are the universe already, so they skip the per-symbol data check
+          const matching = universe.filter(universe.symbols(), filter);
+          if (matching.length === 0) return interaction.editReply(`No tickers in tickers.csv match ${describeFilter(filter)}.${filterNote(filter)}`);
+          const added = watchlists.add(listName, matching);
+          schedulers.get(listName)?.wake();
+          if (added.length > 0) audit(interaction, `added ${added.length} tickers matching ${describeFilter(filter)} to ${listName}`);
+          return interaction.editReply(`✅ Added ${added.length} tickers matching ${describeFilter(filter)} to ${listName} (${matching.length - added.length} already on it).${filterNote(filter)}`);
+        }
+        const symbols = universe.filter(parseSymbolList(symbolText), filter);
+        if (symbols.length === 0) return interaction.editReply(`None of those tickers match ${describeFilter(filter)}.${filterNote(filter)}`);
+        if (symbols.length > MAX_SYMBOLS_PER_ADD) {
+          return interaction.editReply(`❌ Add at most ${MAX_SYMBOLS_PER_ADD} tickers at a time; use /watchlist import for more.`);
+        }
+        return interaction.editReply((await addToWatchlist(interaction, listName, symbols)) + filterNote(filter));
+      }
+
+      if (sub === "remove") {
+        const symbols = parseSymbolList(interaction.options.getString("symbols"));
+        const removed = watchlists.remove(listName, symbols);
+        if (removed.length > 0) audit(interaction, `removed ${removed.join(", ")} from ${listName}`);
+        const missing = symbols.filter((x) => !removed.includes(x));
+        return interaction.reply({
+          content: [
+            removed.length > 0 ? `Removed ${removed.join(", ")} from ${listName}.` : `Nothing removed from ${listName}.`,
+            missing.length > 0 ? `Not on it: ${missing.join(", ")}` : "",
+          ]
+            .filter(Boolean)
+            .join("\n")
+            .slice(0, 2000),
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "schedule") {
+        let settings;
+        try {
+          settings = scheduleOptions(interaction);
+        } catch (err) {
+          return interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+        }
+        if (interaction.options.getBoolean("reset")) settings = { interval: null, cadenceSec: null, shardCadenceSec: null, sessions: null, ...settings };
+        if (Object.keys(settings).length === 0) {
+          return interaction.reply({ content: `${listName}: ${describeSchedule(listName)}`, ephemeral: true });
+        }
+        watchlists.configure(listName, settings);
+        schedulers.get(listName)?.wake();
+        audit(interaction, `${listName} → ${describeSchedule(listName)}`);
+        return interaction.reply({ content: `✅ ${listName} now scans ${describeSchedule(listName)}.${filterNote(settings.filter)}`, ephemeral: true });
+      }
+
+      if (sub === "import") {
+        await interaction.deferReply({ ephemeral: true });
+        const file = interaction.options.getAttachment("file");
+        if (file.size > MAX_IMPORT_BYTES) {
+          return interaction.editReply(`❌ ${file.name} is over ${MAX_IMPORT_BYTES / 1024} KB.`);
+        }
+        const response = await fetch(file.url);
+        if (!response.ok) return interaction.editReply(`❌ Could not download ${file.name} (HTTP ${response.status}).`);
+        const { rows, skipped } = parseUniverseCsv(await response.text());
+        const accepted = [...rows.keys()].filter(inUniverse);
+        const rejected = [...rows.keys()].filter((x) => !inUniverse(x));
+        if (accepted.length === 0) return interaction.editReply(`❌ No usable tickers in ${file.name}.`);
+        const replace = interaction.options.getBoolean("replace") ?? false;
+        let summary;
+        if (replace) {
+          watchlists.replace(listName, accepted);
+          summary = `Replaced ${listName} with ${accepted.length} tickers from ${file.name}.`;
+        } else {
+          const added = watchlists.add(listName, accepted);
+          summary = `Added ${added.length} tickers from ${file.name} to ${listName} (${accepted.length - added.length} already on it).`;
+        }
+        schedulers.get(listName)?.wake();
+        audit(interaction, summary);
+        const notes = [
+          rejected.length > 0 ? `Skipped ${rejected.length} not in tickers.csv: ${rejected.slice(0, 30).join(", ")}${rejected.length > 30 ? ", …" : ""}` : "",
+          skipped.length > 0 ? `Skipped ${skipped.length} unreadable row(s): ${skipped.slice(0, 5).join("; ")}${skipped.length > 5 ? "; …" : ""}` : "",
+        ].filter(Boolean);
+        return interaction.editReply([`✅ ${summary}`, ...notes].join("\n").slice(0, 2000));
+      }
+
+      if (sub === "export") {
+        const file = new AttachmentBuilder(Buffer.from(tickersToCsv(list.tickers)), { name: `${listName}.csv` });
+        return interaction.reply({ content: `${listName}: ${list.tickers.length} tickers`, files: [file], ephemeral: true });
+      }
+    }
+
+    if (name === "add-ticker") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const listName = interaction.options.getString("watchlist")?.trim().toLowerCase() || DEFAULT_WATCHLIST;
+      if (!watchlists.get(listName)) {
+        return interaction.editReply(`❌ Unknown watchlist "${listName}". Watchlists: ${watchlists.names().join(", ")}`);
+      }
+      return interaction.editReply(await addToWatchlist(interaction, listName, [symbol]));
+    }
+
+    if (name === "remove-ticker") {
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const listName = interaction.options.getString("watchlist")?.trim().toLowerCase() || DEFAULT_WATCHLIST;
+      if (!watchlists.get(listName)) {
+        return interaction.reply({ content: `❌ Unknown watchlist "${listName}".`, ephemeral: true });
+      }
+      if (watchlists.remove(listName, [symbol]).length === 0) {
+        return interaction.reply({ content: `${symbol} not in watchlist ${listName}.`, ephemeral: true });
+      }
+      audit(interaction, `removed ${symbol} from ${listName}`);
+      return interaction.reply({ content: `Removed ${symbol} from ${listName}`, ephemeral: true });
+    }
+
+    if (name === "scan-now") {
+      const listName = interaction.options.getString("watchlist")?.trim().toLowerCase();
+      if (listName && !watchlists.get(listName)) {
+        return interaction.reply({ content: `❌ Unknown watchlist "${listName}". Watchlists: ${watchlists.names().join(", ")}`, ephemeral: true });
+      }
+      const waitMs = lastScanTriggerAt + SCAN_TRIGGER_COOLDOWN_MIN * 60000 - Date.now();
+      if (waitMs > 0) {
+        return interaction.reply({
+          content: `⏳ /scan-now was used recently; try again in ${formatDuration(Math.ceil(waitMs / 1000))}.`,
+          ephemeral: true,
+        });
+      }
+      lastScanTriggerAt = Date.now();
+      const targets = listName ? [listName] : [...schedulers.keys()];
+      const busy = targets.filter((n) => !schedulers.get(n).triggerNow());
+      const what = listName || "every watchlist";
+      audit(interaction, `scan of ${what}`);
       return interaction.reply({
-        content: `Monitoring **${WATCHLIST.length}** tickers. Poll interval: ${POLL_INTERVAL_SEC}s.\nScanning: ${scanning}`,
+        content:
+          busy.length === 0
+            ? `Manual scan of ${what} started...`
+            : `Scan of ${what} started; ${busy.join(", ")} ${busy.length === 1 ? "was" : "were"} already mid-pass and will rescan every shard as soon as ${busy.length === 1 ? "it reaches" : "they reach"} them.`,
         ephemeral: true,
       });
     }
-    if (name === "watchlist") {
-      return interaction.reply({ content: `Watchlist:\n${WATCHLIST.join(", ")}`, ephemeral: true });
+
+    if (name === "backtest") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const from = interaction.options.getString("from");
+      const to = interaction.options.getString("to");
+      const rangeError = backtestRangeError(from, to);
+      if (rangeError) return interaction.editReply(`❌ ${rangeError}`);
+
+      const interval = interaction.options.getString("interval") || timeframeFor(symbol, TIMEFRAME_SETTINGS);
+      const report = await runBacktest(analyzer, [symbol], { from, to, interval, rules: ALERT_RULES, lane: INTERACTIVE });
+      const result = report.results[0];
+      if (result.error) {
+        return interaction.editReply(`❌ Backtest failed for ${symbol}: ${result.error}`);
+      }
+      return interaction.editReply({ embeds: [formatBacktestEmbed(report)] });
     }
 
-    if (name === "add-ticker") {
+    if (name === "timeframe") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "show") {
+        const overrides = Object.entries(TIMEFRAME_SETTINGS.tickers).map(([t, i]) => `${t}: ${i}`);
+        return interaction.reply({
+          content: `Default timeframe: **${TIMEFRAME_SETTINGS.watchlist}** (watchlists can set their own with /watchlist schedule)\nTicker overrides: ${overrides.join(", ") || "none"}`,
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "set") {
+        const interval = interaction.options.getString("interval");
+        const symbol = interaction.options.getString("symbol")?.trim().toUpperCase();
+        if (symbol && (!isValidSymbol(symbol) || !inUniverse(symbol))) {
+          return interaction.reply({ content: `❌ ${symbol} is not in tickers.csv.\nUpdate tickers.csv if you want to allow this ticker.`, ephemeral: true });
+        }
+        if (symbol) TIMEFRAME_SETTINGS.tickers[symbol] = interval;
+        else TIMEFRAME_SETTINGS.watchlist = interval;
+        saveTimeframeSettings(TIMEFRAME_SETTINGS);
+        audit(interaction, `${symbol || "default"} → ${interval}`);
+        return interaction.reply({ content: `✅ ${symbol ? `${symbol} now scans` : "Watchlists without their own timeframe now scan"} ${interval} bars.`, ephemeral: true });
+      }
+
+      if (sub === "clear") {
+        const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+        if (!TIMEFRAME_SETTINGS.tickers[symbol]) {
+          return interaction.reply({ content: `${symbol} has no timeframe override.`, ephemeral: true });
+        }
+        delete TIMEFRAME_SETTINGS.tickers[symbol];
+        saveTimeframeSettings(TIMEFRAME_SETTINGS);
+        audit(interaction, `cleared ${symbol} override`);
+        return interaction.reply({ content: `${symbol} now uses its watchlists' timeframe (default ${TIMEFRAME_SETTINGS.watchlist}).`, ephemeral: true });
+      }
+    }
+
+    if (name === "rules") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        return interaction.reply({ content: `Alert rules:\n${formatRulesList(ALERT_RULES)}`, ephemeral: true });
+      }
+
+      if (sub === "enable" || sub === "disable") {
+        const ruleName = interaction.options.getString("name").trim();
+        const rule = ALERT_RULES.find((r) => r.name === ruleName);
+        if (!rule) return interaction.reply({ content: `No rule named ${ruleName}.`, ephemeral: true });
+        rule.enabled = sub === "enable";
+        saveRules(ALERT_RULES);
+        audit(interaction, `${sub}d rule ${ruleName}`);
+        return interaction.reply({ content: `${sub === "enable" ? "Enabled" : "Disabled"} rule ${ruleName}.`, ephemeral: true });
+      }
+
+      if (sub === "set") {
+        let rule;
+        try {
+          rule = JSON.parse(interaction.options.getString("json"));
+          validateRule(rule);
+        } catch (err) {
+          return interaction.reply({ content: `❌ Invalid rule: ${err.message}`, ephemeral: true });
+        }
+        const existing = ALERT_RULES.findIndex((r) => r.name === rule.name);
+        if (existing >= 0) ALERT_RULES[existing] = rule;
+        else ALERT_RULES.push(rule);
+        saveRules(ALERT_RULES);
+        audit(interaction, `${existing >= 0 ? "updated" : "added"} rule ${rule.name}: ${JSON.stringify(rule.when)}`);
+        return interaction.reply({
+          content: `✅ ${existing >= 0 ? "Updated" : "Added"} rule ${rule.name}: \`${describeCondition(rule.when)}\``,
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "delete") {
+        const ruleName = interaction.options.getString("name").trim();
+        if (!ALERT_RULES.some((r) => r.name === ruleName)) {
+          return interaction.reply({ content: `No rule named ${ruleName}.`, ephemeral: true });
+        }
+        ALERT_RULES = ALERT_RULES.filter((r) => r.name !== ruleName);
+        saveRules(ALERT_RULES);
+        audit(interaction, `deleted rule ${ruleName}`);
+        return interaction.reply({ content: `Deleted rule ${ruleName}.`, ephemeral: true });
+      }
+
+      if (sub === "reset") {
+        ALERT_RULES = DEFAULT_RULES.map((r) => ({ ...r }));
+        saveRules(ALERT_RULES);
+        audit(interaction, "reset rules to defaults");
+        return interaction.reply({ content: `Alert rules reset to defaults:\n${formatRulesList(ALERT_RULES)}`, ephemeral: true });
+      }
+    }
+
+    if (name === "strategy") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        return interaction.reply({ content: `Strategies:\n${formatStrategyList()}`, ephemeral: true });
+      }
+
+      const strategyName = interaction.options.getString("name");
+      const config = STRATEGY_CONFIG[strategyName];
+      if (!config) return interaction.reply({ content: `No strategy named ${strategyName}.`, ephemeral: true });
+
+      if (sub === "enable" || sub === "disable") {
+        config.enabled = sub === "enable";
+        saveStrategyConfig(STRATEGY_CONFIG);
+        audit(interaction, `${sub}d strategy ${strategyName}`);
+        return interaction.reply({ content: `${sub === "enable" ? "Enabled" : "Disabled"} strategy ${strategyName}.`, ephemeral: true });
+      }
+
+      if (sub === "set") {
+        const setting = interaction.options.getString("setting").trim();
+        const value = interaction.options.getNumber("value");
+        if (setting === "enabled" || typeof DEFAULT_STRATEGY_CONFIG[strategyName][setting] !== "number") {
+          const known = Object.keys(DEFAULT_STRATEGY_CONFIG[strategyName]).filter((k) => k !== "enabled");
+          return interaction.reply({
+            content: `❌ ${strategyName} has no numeric setting "${setting}". Settings: ${known.join(", ") || "none"}`,
+            ephemeral: true,
+          });
+        }
+        const previous = config[setting];
+        config[setting] = value;
+        saveStrategyConfig(STRATEGY_CONFIG);
+        audit(interaction, `${strategyName}.${setting} ${previous} → ${value}`);
+        return interaction.reply({ content: `✅ ${strategyName}.${setting} = ${value}`, ephemeral: true });
+      }
+    }
+
+    if (name === "alerts") {
+      const symbol = interaction.options.getString("symbol")?.trim().toUpperCase();
+      const days = interaction.options.getInteger("days") || 7;
+      const entries = alertStore.query({ ticker: symbol, days });
+      if (entries.length === 0) {
+        return interaction.reply({ content: `No alerts for ${symbol || "any ticker"} in the last ${days} day(s).`, ephemeral: true });
+      }
+      return interaction.reply({ embeds: [formatAlertHistoryEmbed(entries, { symbol, days })], ephemeral: true });
+    }
+
+    if (name === "performance") {
+      const days = interaction.options.getInteger("days") || 90;
+      const symbol = interaction.options.getString("symbol")?.trim().toUpperCase();
+      const rows = performance.rows({ ticker: symbol, days });
+      if (rows.length === 0) {
+        return interaction.reply({ content: `No alerts for ${symbol || "any ticker"} in the last ${days} day(s).`, ephemeral: true });
+      }
+      const embed = formatPerformanceEmbed(rows, {
+        title: `📊 Alert performance — ${symbol || "all tickers"}`,
+        description: `${rows.length} alert(s) from the last ${days} day(s)`,
+      });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (name === "chart") {
       await interaction.deferReply({ ephemeral: true });
 
       const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const bars = interaction.options.getInteger("bars") || CHART_BARS;
+      const res = await analyzer.analyzeTicker(symbol, { interval: timeframeFor(symbol, TIMEFRAME_SETTINGS), lane: INTERACTIVE });
+      if (!res) {
+        return interaction.editReply(`❌ ${fetchProblem(symbol) || `Not enough data to chart ${symbol}.`}`);
+      }
+      const file = new AttachmentBuilder(renderChart(res, { bars }), { name: chartFileName(symbol) });
+      return interaction.editReply({
+        content: `**${symbol}** ${res.interval} • $${res.price} • Cross: ${res.cross || "none"} • Divergence: ${res.divergence || "none"}`,
+        files: [file],
+      });
+    }
+
+    if (name === "analyze") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      if (!inUniverse(symbol)) {
+        return interaction.editReply(`❌ ${symbol} is not in tickers.csv.`);
+      }
+      const res = await analyzer.analyzeTicker(symbol, { interval: timeframeFor(symbol, TIMEFRAME_SETTINGS), lane: INTERACTIVE });
+      if (!res) {
+        return interaction.editReply(`❌ ${fetchProblem(symbol) || `Not enough data to analyze ${symbol}.`}`);
+      }
+      return interaction.editReply({ embeds: [formatAnalyzeEmbed(res)] });
+    }
 
-      // Validate against CSV list
-      if (CSV_TICKERS.length > 0 && !CSV_TICKERS.includes(symbol)) {
-        return interaction.editReply(
-          `❌ ${symbol} is not in tickers.csv.\nUpdate tickers.csv if you want to allow this ticker.`
-        );
+    if (name === "setup") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "show") {
+        const routes = ROUTING[interaction.guildId] || { defaultChannel: null, signals: {}, watchlists: {}, watchlistsOptIn: false };
+        const fallback =
+          DISCORD_CHANNEL_ID && fallbackGuildId === interaction.guildId && !routes.defaultChannel
+            ? `\nUnrouted alerts fall back to <#${DISCORD_CHANNEL_ID}> (DISCORD_CHANNEL_ID) until a default is set.`
+            : "";
+        return interaction.reply({ content: `Alert routes:\n${formatRoutes(routes)}${fallback}`, ephemeral: true });
       }
 
-      if (WATCHLIST.includes(symbol)) {
-        return interaction.editReply(`Already watching ${symbol}.`);
+      if (sub === "reset") {
+        delete ROUTING[interaction.guildId];
+        saveRouting(ROUTING);
+        audit(interaction, "removed all routes");
+        return interaction.reply({ content: "Removed this server's routes.", ephemeral: true });
       }
 
-      // Validate ticker by fetching data
-      const test = await analyzer.fetcher.fetchCloseSeries(symbol);
-      if (!test || !test.closes || test.closes.length === 0) {
-        return interaction.editReply(`❌ Could not fetch data for ${symbol}. Not added.`);
+      const routes = guildRoutes(ROUTING, interaction.guildId);
+      const channel = interaction.options.getChannel("channel");
+      if (channel) {
+        const missing = missingChannelPermissions(channel);
+        if (missing.length > 0) {
+          return interaction.reply({ content: `❌ I can't post in ${channel}: missing ${missing.join(", ")}.`, ephemeral: true });
+        }
+      }
+
+      if (sub === "default") {
+        routes.defaultChannel = channel.id;
+        saveRouting(ROUTING);
+        audit(interaction, `default → #${channel.name}`);
+        return interaction.reply({ content: `✅ Alerts go to ${channel} unless routed elsewhere.`, ephemeral: true });
       }
 
-      WATCHLIST.push(symbol);
-      saveWatchlist(WATCHLIST);
+      if (sub === "signal" || sub === "mute") {
+        const signal = interaction.options.getString("name").trim();
+        const known = routableSignals();
+        if (!known.includes(signal)) {
+          return interaction.reply({ content: `❌ Unknown signal "${signal}". Signals: ${known.join(", ")}`, ephemeral: true });
+        }
+        if (sub === "mute") routes.signals[signal] = null;
+        else if (channel) routes.signals[signal] = channel.id;
+        else delete routes.signals[signal];
+        saveRouting(ROUTING);
+        audit(interaction, `${signal} → ${sub === "mute" ? "muted" : channel ? `#${channel.name}` : "default"}`);
+        const where = sub === "mute" ? "is muted here" : channel ? `goes to ${channel}` : "follows the default route again";
+        return interaction.reply({ content: `✅ ${signal} ${where}.`, ephemeral: true });
+      }
 
-      return interaction.editReply(`✅ Added ${symbol} to watchlist.`);
+      if (sub === "watchlist") {
+        const watchlist = interaction.options.getString("name").trim();
+        if (!watchlists.get(watchlist)) {
+          return interaction.reply({ content: `❌ Unknown watchlist "${watchlist}". Watchlists: ${watchlists.names().join(", ")}`, ephemeral: true });
+        }
+        const mute = interaction.options.getBoolean("mute");
+        const onlyRouted = interaction.options.getBoolean("only-routed");
+        if (mute && channel) {
+          return interaction.reply({ content: "❌ Give a channel or mute, not both.", ephemeral: true });
+        }
+        if (onlyRouted !== null) routes.watchlistsOptIn = onlyRouted;
+        if (mute) routes.watchlists[watchlist] = null;
+        else if (channel) routes.watchlists[watchlist] = channel.id;
+        else if (onlyRouted === null || mute === false) delete routes.watchlists[watchlist];
+        saveRouting(ROUTING);
+        const route = routes.watchlists[watchlist];
+        const where = route === null ? "muted" : channel ? `#${channel.name}` : route ? `<#${route}>` : "default";
+        audit(interaction, `watchlist ${watchlist} → ${where}${onlyRouted !== null ? `, only routed watchlists ${onlyRouted ? "on" : "off"}` : ""}`);
+        const what =
+          route === null
+            ? "is muted here"
+            : route
+              ? `alerts go to <#${route}>`
+              : routes.watchlistsOptIn
+                ? "isn't posted here (only routed watchlists are)"
+                : "follows the default route";
+        const optIn = onlyRouted === null ? "" : onlyRouted ? " Only watchlists routed to a channel post here now." : " Every watchlist not muted posts here now.";
+        return interaction.reply({ content: `✅ Watchlist ${watchlist} ${what}.${optIn}`, ephemeral: true });
+      }
     }
 
-    if (name === "remove-ticker") {
+    if (name === "permissions") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "show") {
+        return interaction.reply({ content: formatPermissions(PERMISSIONS[interaction.guildId]), ephemeral: true });
+      }
+
+      const command = interaction.options.getString("command")?.trim().replace(/^\//, "").toLowerCase();
+      if (command && !COMMAND_NAMES.includes(command)) {
+        return interaction.reply({ content: `❌ Unknown command "${command}". Commands: ${COMMAND_NAMES.join(", ")}`, ephemeral: true });
+      }
+
+      if (sub === "reset") {
+        if (command) {
+          if (PERMISSIONS[interaction.guildId]) delete PERMISSIONS[interaction.guildId][command];
+          pruneGrant(PERMISSIONS, interaction.guildId, command);
+        } else {
+          delete PERMISSIONS[interaction.guildId];
+        }
+        savePermissions(PERMISSIONS);
+        audit(interaction, command ? `reset /${command}` : "reset all commands");
+        return interaction.reply({ content: `✅ ${command ? `/${command} is` : "All commands are"} back to the defaults.`, ephemeral: true });
+      }
+
+      const role = interaction.options.getRole("role");
+      const user = interaction.options.getUser("user");
+      if (!role && !user) {
+        return interaction.reply({ content: "❌ Give a role, a user or both.", ephemeral: true });
+      }
+      const grant = commandGrant(PERMISSIONS, interaction.guildId, command);
+      const who = [role && `<@&${role.id}>`, user && `<@${user.id}>`].filter(Boolean).join(" and ");
+      const names = [role && `@${role.name}`, user && `@${user.username}`].filter(Boolean).join(" and ");
+
+      if (sub === "allow") {
+        if (role && !grant.roles.includes(role.id)) grant.roles.push(role.id);
+        if (user && !grant.users.includes(user.id)) grant.users.push(user.id);
+        savePermissions(PERMISSIONS);
+        audit(interaction, `allowed ${names} to run /${command}`);
+        return interaction.reply({
+          content: `✅ ${who} can run /${command}. Only the roles and users listed for it can now (plus administrators).`,
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "revoke") {
+        if (role) grant.roles = grant.roles.filter((r) => r !== role.id);
+        if (user) grant.users = grant.users.filter((u) => u !== user.id);
+        pruneGrant(PERMISSIONS, interaction.guildId, command);
+        savePermissions(PERMISSIONS);
+        audit(interaction, `revoked /${command} from ${names}`);
+        const now = PERMISSIONS[interaction.guildId]?.[command] ? "" : ` Nobody is listed any more, so /${command} is back to its default.`;
+        return interaction.reply({ content: `✅ ${who} can no longer run /${command}.${now}`, ephemeral: true });
+      }
+    }
+
+    if (name === "audit") {
+      const user = interaction.options.getUser("user");
+      const command = interaction.options.getString("command")?.trim().replace(/^\//, "").toLowerCase();
+      const days = interaction.options.getInteger("days") || 7;
+      // watchlists, rules, strategies and timeframes are shared, so their changes show from every server
+      const entries = auditLog.query({ guildId: interaction.guildId, includeShared: true, userId: user?.id, command, days });
+      if (entries.length === 0) {
+        return interaction.reply({ content: `No changes recorded in the last ${days} day(s).`, ephemeral: true });
+      }
+      return interaction.reply({ embeds: [formatAuditEmbed(entries, { days, guildId: interaction.guildId })], ephemeral: true });
+    }
+
+    if (name === "subscribe" || name === "unsubscribe") {
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const signal = interaction.options.getString("signal")?.trim() || null;
+      if (signal && !alertSignals().includes(signal)) {
+        return interaction.reply({ content: `❌ Unknown signal "${signal}". Signals: ${alertSignals().join(", ")}`, ephemeral: true });
+      }
+      const what = `${symbol}${signal ? ` ${signal}` : ""}`;
+
+      if (name === "unsubscribe") {
+        const removed = subscriptions.unsubscribe(interaction.user.id, symbol, signal ?? undefined);
+        return interaction.reply({
+          content: removed > 0 ? `Unsubscribed from ${what}.` : `You aren't subscribed to ${what}.`,
+          ephemeral: true,
+        });
+      }
+
+      if (!inUniverse(symbol)) {
+        return interaction.reply({ content: `❌ ${symbol} is not in tickers.csv.`, ephemeral: true });
+      }
+      const added = subscriptions.subscribe(interaction.user.id, symbol, signal);
+      const scanned = watchlists.containing(symbol).length > 0 ? "" : ` ${symbol} isn't on a watchlist, so it is now scanned for subscribers.`;
+      return interaction.reply({
+        content: added ? `✅ You'll get ${what} alerts by DM.${scanned}` : `Already subscribed to ${what}.`,
+        ephemeral: true,
+      });
+    }
+
+    if (name === "subscriptions") {
+      const sub = interaction.options.getSubcommand();
+      const userId = interaction.user.id;
+
+      if (sub === "list") {
+        return interaction.reply({ content: formatSubscriptions(subscriptions.settings(userId)), ephemeral: true });
+      }
+
+      if (sub === "quiet") {
+        const start = interaction.options.getString("start")?.trim();
+        const end = interaction.options.getString("end")?.trim();
+        const timeZone = interaction.options.getString("timezone")?.trim() || "America/New_York";
+        if (!start && !end) {
+          subscriptions.setQuietHours(userId, null);
+          return interaction.reply({ content: "Quiet hours off.", ephemeral: true });
+        }
+        if (!isValidClock(start || "") || !isValidClock(end || "")) {
+          return interaction.reply({ content: "❌ Give both start and end as HH:MM (24-hour), e.g. 22:00 and 07:00.", ephemeral: true });
+        }
+        if (!isValidTimeZone(timeZone)) {
+          return interaction.reply({ content: `❌ Unknown time zone "${timeZone}". Use an IANA name like Europe/London.`, ephemeral: true });
+        }
+        subscriptions.setQuietHours(userId, { start, end, timeZone });
+        return interaction.reply({ content: `✅ No DMs between ${start} and ${end} (${timeZone}).`, ephemeral: true });
+      }
+
+      if (sub === "cap") {
+        const count = interaction.options.getInteger("count");
+        subscriptions.setDailyCap(userId, count);
+        return interaction.reply({ content: `✅ At most ${count} alert DMs per trading day.`, ephemeral: true });
+      }
+    }
+
+    if (name === "alert-price" || name === "alert-move") {
       const symbol = interaction.options.getString("symbol").trim().toUpperCase();
-      if (!WATCHLIST.includes(symbol)) return interaction.reply({ content: `${symbol} not in watchlist.`, ephemeral: true });
-      WATCHLIST = WATCHLIST.filter((s) => s !== symbol);
-      saveWatchlist(WATCHLIST);
-      return interaction.reply({ content: `Removed ${symbol}`, ephemeral: true });
+      if (!inUniverse(symbol)) {
+        return interaction.reply({ content: `❌ ${symbol} is not in tickers.csv.`, ephemeral: true });
+      }
+      const active = priceAlerts.forUser(interaction.user.id).filter((a) => a.armed || a.rearm);
+      if (active.length >= MAX_PRICE_ALERTS_PER_USER) {
+        return interaction.reply({ content: `❌ You already have ${active.length} active price alerts; delete some with /my-alerts.`, ephemeral: true });
+      }
+      const fields = { userId: interaction.user.id, channelId: interaction.channelId, ticker: symbol, rearm: interaction.options.getBoolean("rearm") ?? false };
+      if (name === "alert-price") {
+        Object.assign(fields, { type: "price", op: interaction.options.getString("direction"), level: interaction.options.getNumber("price") });
+      } else {
+        const percent = interaction.options.getNumber("percent");
+        if (percent === 0) return interaction.reply({ content: "❌ The move can't be 0%.", ephemeral: true });
+        Object.assign(fields, { type: "move", percent });
+      }
+      const alert = priceAlerts.add(fields);
+      return interaction.reply({ content: `✅ Price alert #${alert.id}: ${describePriceAlert(alert)}. You'll get a DM when it fires.`, ephemeral: true });
     }
 
-    if (name === "scan-now") {
-      await interaction.reply({ content: "Manual scan started...", ephemeral: true });
-      const channel = await client.channels.fetch(DISCORD_CHANNEL_ID);
-      await runScanOnce(channel, WATCHLIST);
+    if (name === "my-alerts") {
+      const id = interaction.options.getInteger("delete");
+      if (id != null) {
+        const removed = priceAlerts.remove(interaction.user.id, id);
+        return interaction.reply({ content: removed ? `Deleted price alert #${id}.` : `You have no price alert #${id}.`, ephemeral: true });
+      }
+      return interaction.reply({ content: formatPriceAlertList(priceAlerts.forUser(interaction.user.id)), ephemeral: true });
+    }
+
+    if (name === "price") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const symbol = interaction.options.getString("symbol").trim().toUpperCase();
+      const info = await analyzer.fetcher.fetchQuote(symbol, { lane: INTERACTIVE });
+      if (!info) {
+        return interaction.editReply(`❌ ${fetchProblem(symbol) || `Could not fetch price for ${symbol}.`}`);
+      }
+      return interaction.editReply({ embeds: [formatPriceEmbed(info)] });
     }
 
   } catch (err) {
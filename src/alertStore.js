@@ -0,0 +1,63 @@
+// Alert history: an append-only JSONL log of every alert sent (alerts.jsonl).
+// It also backs the cooldowns and daily caps, so a restart can't reset them.
+import { readJsonl, appendJsonl } from "./jsonl.js";
+
+const ALERTS_FILE = "./alerts.jsonl";
+
+// Log entry for one strategy alert from `watchlist`, delivered in `messages` (one per routed channel;
+// the first is the one /alerts links to). MACD fields are null for strategies that don't compute them.
+export function alertEntry(alert, messages, { watchlist = null } = {}) {
+  const [message, ...copies] = messages;
+  const res = alert.res || {};
+  return {
+    ticker: alert.ticker,
+    strategy: alert.strategy,
+    signal: alert.signal,
+    direction: alert.direction,
+    interval: alert.interval ?? null,
+    watchlist,
+    macd: res.macdNow ?? null,
+    macdSignal: res.signalNow ?? null,
+    histogram: res.histNow ?? null,
+    cross: res.cross ?? null,
+    divergence: res.divergence ?? null,
+    divergenceStrength: res.divergences?.[0]?.strength ?? null,
+    price: alert.price ?? null,
+    barTime: alert.barTime ? new Date(alert.barTime).toISOString() : null,
+    guildId: message.guildId ?? null,
+    channelId: message.channelId,
+    messageId: message.id,
+    copies: copies.map((m) => ({ guildId: m.guildId ?? null, channelId: m.channelId, messageId: m.id })),
+  };
+}
+
+// Stable key for one logged alert: a message can carry several rules' alerts
+export function alertId(entry) {
+  return `${entry.messageId}:${entry.signal}`;
+}
+
+export class AlertStore {
+  constructor(file = ALERTS_FILE) {
+    this.file = file;
+    this.entries = readJsonl(file); // oldest first
+  }
+
+  append(entry) {
+    const record = { sentAt: new Date().toISOString(), ...entry };
+    appendJsonl(this.file, record);
+    this.entries.push(record);
+    return record;
+  }
+
+  // Newest first; ticker: exact symbol, days: only alerts sent within the last N days
+  query({ ticker, days } = {}) {
+    const since = days ? Date.now() - days * 24 * 3600 * 1000 : 0;
+    const out = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const e = this.entries[i];
+      if (new Date(e.sentAt).getTime() < since) break;
+      if (!ticker || e.ticker === ticker) out.push(e);
+    }
+    return out;
+  }
+}
@@ -0,0 +1,350 @@
+// MACD analysis pipeline: crosses, fetching and per-ticker analysis (divergence: src/divergence.js).
+// Shared by the Discord bot (index.js) and the backtester (src/backtest.js).
+import chalk from "chalk";
+import { HIST_INTERVAL, MACD_FAST, MACD_SLOW, MACD_SIGNAL, BAR_CACHE_DIR } from "./config.js";
+import { createProvider } from "./providers/index.js";
+import { fetchWindow, completedBars, isIntraday, TIMEFRAMES } from "./timeframes.js";
+import { BarCache, REVISABLE_BARS, hasNewEvent } from "./barCache.js";
+import { cleanBars } from "./barValidation.js";
+import { findDivergences } from "./divergence.js";
+import { CircuitBreaker, FetchError, toFetchError, withRetries } from "./resilience.js";
+import {
+  macdSeries,
+  MacdStream,
+  rsiSeries,
+  bollingerSeries,
+  atrSeries,
+  stochasticSeries,
+  adxSeries,
+  obvSeries,
+  vwapSeries,
+} from "./indicators.js";
+
+// Every secondary indicator series over raw. Each value only depends on the bars up to it, so
+// the series for a whole history can be indexed at any earlier bar without lookahead.
+export function indicatorSeries(raw) {
+  const closes = raw.map((b) => b.close);
+  return {
+    rsi: rsiSeries(closes),
+    bb: bollingerSeries(closes),
+    atr: atrSeries(raw),
+    stoch: stochasticSeries(raw),
+    adx: adxSeries(raw),
+    obv: obvSeries(raw),
+    vwap: vwapSeries(raw),
+  };
+}
+
+// Latest value of each secondary indicator at bar idx, for alerts and filters.
+// series: indicatorSeries of raw (or of a longer history starting at the same bar)
+export function indicatorSnapshot(raw, idx, series = indicatorSeries(raw.slice(0, idx + 1))) {
+  const at = (s) => (s[idx] == null ? null : s[idx]);
+  return {
+    rsi: at(series.rsi),
+    bbUpper: at(series.bb.upper),
+    bbMiddle: at(series.bb.middle),
+    bbLower: at(series.bb.lower),
+    atr: at(series.atr),
+    stochK: at(series.stoch.k),
+    stochD: at(series.stoch.d),
+    adx: at(series.adx.adx),
+    plusDI: at(series.adx.plusDI),
+    minusDI: at(series.adx.minusDI),
+    obv: at(series.obv),
+    vwap: at(series.vwap),
+  };
+}
+
+// Cross of the MACD line over/under the signal line between idx-1 and idx.
+// returns "bullish-cross", "bearish-cross" or null
+export function detectCross(macdObj, idx) {
+  const macdNow = macdObj.macd[idx];
+  const signalNow = macdObj.signal[idx];
+  const macdPrev = macdObj.macd[idx - 1];
+  const signalPrev = macdObj.signal[idx - 1];
+  // prev: macdPrev < signalPrev  and now macdNow > signalNow => bullish cross
+  if (
+    macdPrev != null &&
+    signalPrev != null &&
+    macdNow != null &&
+    signalNow != null
+  ) {
+    if (macdPrev < signalPrev && macdNow > signalNow) return "bullish-cross";
+    if (macdPrev > signalPrev && macdNow < signalNow) return "bearish-cross";
+  }
+  return null;
+}
+
+// Where MACD stands at res.idx: position vs signal and zero, the latest cross within the
+// bars given and the histogram over the last `trendBars` bars
+export function macdState(res, { trendBars = 5 } = {}) {
+  const { macdObj, idx } = res;
+  let lastCross = null;
+  for (let i = idx; i >= 1 && !lastCross; i--) {
+    const cross = detectCross(macdObj, i);
+    if (cross) lastCross = { type: cross, barsAgo: idx - i, date: res.raw[i].date };
+  }
+  const hist = macdObj.hist.slice(Math.max(0, idx - trendBars + 1), idx + 1).filter((v) => v != null);
+  let histTrend = "flat";
+  if (hist.length >= 2) {
+    const steps = hist.slice(1).map((v, i) => v - hist[i]);
+    if (steps.every((d) => d > 0)) histTrend = "rising";
+    else if (steps.every((d) => d < 0)) histTrend = "falling";
+    else histTrend = hist[hist.length - 1] > hist[0] ? "mixed, net rising" : "mixed, net falling";
+  }
+  return {
+    aboveSignal: res.macdNow > res.signalNow,
+    aboveZero: res.macdNow > 0,
+    lastCross,
+    hist,
+    histTrend,
+  };
+}
+
+// ---------- Fetcher ----------
+// Fetch failures don't throw: the fetch methods return null and failure(ticker) says why.
+export class Fetcher {
+  // breaker: shared CircuitBreaker (src/resilience.js), so the caller can hook its open/close
+  constructor(provider = createProvider(), cache, { breaker = new CircuitBreaker() } = {}) {
+    this.provider = provider; // market data source (see src/providers)
+    // local files are already on disk, so only remote providers get a bar cache
+    this.cache = cache !== undefined ? cache : provider.name !== "local" && BAR_CACHE_DIR ? new BarCache(BAR_CACHE_DIR) : null;
+    this.breaker = breaker;
+    this.stats = { requests: 0, cacheHits: 0, retries: 0, failures: {} }; // failures: kind -> count
+    this.lastRequest = 0;
+    this.lastSeries = new Map(); // "TICKER_interval" -> last fetchCloseSeries result, see latest()
+    this.failures = new Map(); // ticker -> FetchError of its last failed fetch, cleared by a success
+  }
+
+  // One provider request through the circuit breaker, with retries for transient failures
+  async _request(ticker, call) {
+    this.breaker.check();
+    try {
+      const result = await withRetries(
+        () => {
+          this.stats.requests += 1;
+          return call();
+        },
+        {
+          onRetry: (err, attempt, waitMs) => {
+            this.stats.retries += 1;
+            console.log(chalk.gray(`Retrying ${ticker} in ${(waitMs / 1000).toFixed(1)}s (attempt ${attempt}, ${err.message})`));
+          },
+        }
+      );
+      this.breaker.recordSuccess();
+      return result;
+    } catch (err) {
+      this.breaker.recordFailure(err.kind);
+      throw err;
+    }
+  }
+
+  _failed(ticker, what, err) {
+    const error = toFetchError(err);
+    this.failures.set(ticker, error);
+    this.stats.failures[error.kind] = (this.stats.failures[error.kind] || 0) + 1;
+    // refused by an open breaker: the breaker reports that once, not per ticker
+    if (error.kind !== "circuit-open") console.error(chalk.red(`${what} ${error.kind} ${ticker}: ${error.message}`));
+    return null;
+  }
+
+  // Why the last fetch for this ticker failed (a FetchError), or null if it succeeded
+  failure(ticker) {
+    return this.failures.get(ticker) || null;
+  }
+
+  // Fetch bars of the given timeframe from the configured provider, returns sorted oldest->newest closes array.
+  // Intraday series only include completed bars, and every series is cleaned (src/barValidation.js);
+  // quality says what was corrected. lane: rate limiter lane (src/rateLimiter.js).
+  async fetchCloseSeries(ticker, interval = HIST_INTERVAL, { lane } = {}) {
+    try {
+      const now = this.provider.now ? await this.provider.now(ticker, interval) : new Date();
+      const { period1, period2 } = fetchWindow(interval, now);
+
+      let bars;
+      if (this.cache) {
+        bars = await this._fetchCached(ticker, interval, { period1, period2, now, lane });
+      } else {
+        bars = await this._request(ticker, () => this.provider.getHistorical(ticker, {
+          period1,
+          period2,
+          interval,
+          lane
+        }));
+      }
+
+      if (!bars || bars.length === 0) throw new FetchError("not-found", `no ${interval} bars`);
+
+      const { bars: clean, quality } = cleanBars(completedBars(bars, interval, now), {
+        interval,
+        inferSplits: !this.provider.reportsSplits
+      });
+      if (clean.length === 0) throw new FetchError("bad-data", `no usable ${interval} bars`);
+      const closes = clean.map(r => r.close);
+
+      const data = { closes, raw: clean, interval, quality, fetchedAt: Date.now() };
+      this.lastSeries.set(`${ticker}_${interval}`, data);
+      this.failures.delete(ticker);
+      return data;
+    } catch (err) {
+      return this._failed(ticker, "fetchCloseSeries", err);
+    }
+  }
+
+  // Fetch only what the cache is missing (plus its revisable tail) and merge it in
+  async _fetchCached(ticker, interval, { period1, period2, now, lane }) {
+    const cached = this.cache.get(ticker, interval);
+    // Intraday: while the last cached bar is still forming, no newer bar can have completed
+    if (cached && cached.length > 0 && isIntraday(interval)) {
+      const last = cached[cached.length - 1];
+      if (now.getTime() < last.date.getTime() + TIMEFRAMES[interval].ms) {
+        this.stats.cacheHits += 1;
+        return cached;
+      }
+    }
+
+    const resume = this.cache.resumeFrom(ticker, interval);
+    const incremental = resume && resume >= new Date(period1);
+    const from = !incremental ? period1 : isIntraday(interval) ? resume : resume.toISOString().split("T")[0];
+
+    let fresh = await this._request(ticker, () => this.provider.getHistorical(ticker, { period1: from, period2, interval, lane }));
+    if (incremental && fresh && hasNewEvent(cached, fresh)) {
+      console.log(chalk.gray(`${ticker} ${interval}: new split or dividend, refetching the cached window`));
+      fresh = await this._request(ticker, () => this.provider.getHistorical(ticker, { period1, period2, interval, lane }));
+    }
+    if (!incremental && (!fresh || fresh.length === 0)) return fresh;
+    return this.cache.merge(ticker, interval, fresh || [], { keepFrom: period1 });
+  }
+
+  // The series this poll already fetched, if it is at most maxAgeMs old, so other checks on the
+  // same ticker can reuse it instead of requesting again
+  latest(ticker, interval = HIST_INTERVAL, maxAgeMs = 60 * 1000) {
+    const data = this.lastSeries.get(`${ticker}_${interval}`);
+    return data && Date.now() - data.fetchedAt <= maxAgeMs ? data : null;
+  }
+
+  // Latest quote for a ticker, or null
+  async fetchQuote(ticker, { lane } = {}) {
+    try {
+      const quote = await this._request(ticker, () => this.provider.getQuote(ticker, { lane }));
+      if (!quote) throw new FetchError("not-found", "no quote");
+      this.failures.delete(ticker);
+      return quote;
+    } catch (err) {
+      return this._failed(ticker, "fetchQuote", err);
+    }
+  }
+
+}
+
+// ---------- Analyzer ----------
+export class MACDAnalyzer {
+  constructor({ provider, cache, breaker } = {}) {
+    this.fetcher = new Fetcher(provider, cache, { breaker });
+    // MACD stream state at the last stable bar, so each poll only feeds the new bars
+    this.lastState = new Map(); // "TICKER_interval" -> { time, close, index, stream, series }
+  }
+
+  async analyzeTicker(ticker, { interval = HIST_INTERVAL, lane } = {}) {
+    const data = await this.fetcher.fetchCloseSeries(ticker, interval, { lane });
+    if (!data) return null;
+    const macdObj = this.updateMacd(`${ticker}_${interval}`, data.raw);
+    const res = this.analyzeBars(ticker, data.raw, { macdObj });
+    return res && { ...res, interval, quality: data.quality };
+  }
+
+  // MACD series for the live scanner, continuing the stream saved at the last stable bar
+  // instead of recomputing from the first bar. Falls back to a full pass when the saved
+  // bar has left the window or its close was revised.
+  updateMacd(key, raw) {
+    const state = this.lastState.get(key);
+    let resumeIdx = -1;
+    if (state) {
+      resumeIdx = raw.findIndex((b) => new Date(b.date).getTime() === state.time);
+      if (resumeIdx >= 0 && (raw[resumeIdx].close !== state.close || state.index < resumeIdx)) resumeIdx = -1;
+    }
+
+    const out = { macd: [], signal: [], hist: [] };
+    let stream;
+    if (resumeIdx >= 0) {
+      const offset = state.index - resumeIdx;
+      for (const k of ["macd", "signal", "hist"]) out[k] = state.series[k].slice(offset, state.index + 1);
+      stream = state.stream.clone();
+    } else {
+      stream = new MacdStream({ fast: MACD_FAST, slow: MACD_SLOW, signal: MACD_SIGNAL });
+    }
+
+    // the last REVISABLE_BARS bars can still change, so the saved state stops before them
+    const stableIdx = raw.length - 1 - REVISABLE_BARS;
+    let snapshot = null;
+    for (let i = resumeIdx + 1; i < raw.length; i++) {
+      const v = raw[i].close == null ? { macd: null, signal: null, hist: null } : stream.update(raw[i].close);
+      out.macd.push(v.macd);
+      out.signal.push(v.signal);
+      out.hist.push(v.hist);
+      if (i === stableIdx) snapshot = stream.clone();
+    }
+    if (snapshot) {
+      const bar = raw[stableIdx];
+      this.lastState.set(key, { time: new Date(bar.date).getTime(), close: bar.close, index: stableIdx, stream: snapshot, series: out });
+    }
+    return out;
+  }
+
+  // Analyze a bar series (oldest->newest) as of bar `end` (default: the last). Looks at nothing
+  // after `end`, so the backtester can replay history without lookahead.
+  // macdObj / indicators: precomputed MACD (see updateMacd, macdSeries) and indicatorSeries
+  // aligned with raw. Both only depend on earlier bars, so the backtester computes them once
+  // for the whole history instead of once per bar.
+  analyzeBars(ticker, raw, { macdObj: precomputed, indicators, end = raw.length - 1 } = {}) {
+    if (end + 1 < MACD_SLOW + MACD_SIGNAL + 2) {
+      // Not enough bars for stable MACD
+      return null;
+    }
+    const macdObj = precomputed || macdSeries(raw.map((r) => r.close), { fast: MACD_FAST, slow: MACD_SLOW, signal: MACD_SIGNAL }); // macd, signal, hist aligned
+    const series = indicators || indicatorSeries(raw);
+    // find latest non-null index
+    let idx = end;
+    while (idx >= 0 && (macdObj.macd[idx] === null || macdObj.signal[idx] === null)) idx--;
+    if (idx < 1) return null;
+
+    const macdNow = macdObj.macd[idx];
+    const signalNow = macdObj.signal[idx];
+
+    // Detect cross
+    const cross = detectCross(macdObj, idx);
+
+    // divergences on the MACD line and histogram (src/divergence.js), strongest first
+    const divergences = findDivergences(raw, macdObj, idx, { atr: series.atr });
+    const div = divergences[0] || null;
+    const divergence = div ? div.type : null; // "bullish-div" | "bearish-div" | "hidden-bullish-div" | ... | null
+
+    // Basic strength filter: require histogram increase in direction
+    const histNow = macdObj.hist[idx];
+    const histPrev = macdObj.hist[idx - 1];
+
+    // Price info (latest bar)
+    const latestBar = raw[idx];
+    const prevBar = raw[idx - 1];
+
+    return {
+      ticker,
+      cross,
+      divergence,
+      macdNow,
+      signalNow,
+      histNow,
+      histPrev,
+      price: latestBar.close,
+      prevPrice: prevBar.close,
+      timestamp: latestBar.date,
+      indicators: indicatorSnapshot(raw, idx, series),
+      raw,
+      idx,
+      macdObj, // full MACD series, for charts
+      divergences,
+    };
+  }
+}
+
@@ -0,0 +1,37 @@
+// Audit log of watchlist and configuration changes (audit.jsonl), one line per change or refused attempt:
+//   { "at": "...", "guildId": "...", "userId": "...", "user": "name", "command": "rules set",
+//     "action": "updated rule bullish-cross", "outcome": "ok" | "denied", "shared": true }
+// shared: the change applies to every server (see GLOBAL_COMMANDS in src/permissions.js).
+import { readJsonl, appendJsonl } from "./jsonl.js";
+
+const AUDIT_FILE = "./audit.jsonl";
+
+export class AuditLog {
+  constructor(file = AUDIT_FILE) {
+    this.file = file;
+    this.entries = readJsonl(file); // oldest first
+  }
+
+  record(fields) {
+    const entry = { at: new Date().toISOString(), ...fields };
+    appendJsonl(this.file, entry);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // Newest first; guildId: that server's entries, plus with includeShared the shared changes made
+  // from any server; userId/command: exact match, days: within the last N days
+  query({ guildId, includeShared = false, userId, command, days } = {}) {
+    const since = days ? Date.now() - days * 24 * 3600 * 1000 : 0;
+    const out = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const e = this.entries[i];
+      if (new Date(e.at).getTime() < since) break;
+      if (guildId && e.guildId !== guildId && !(includeShared && e.shared && e.outcome === "ok")) continue;
+      if (userId && e.userId !== userId) continue;
+      if (command && e.command !== command && !e.command.startsWith(`${command} `)) continue;
+      out.push(e);
+    }
+    return out;
+  }
+}
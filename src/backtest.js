@@ -0,0 +1,133 @@
+// Backtester: replays history bar by bar through the same MACD pipeline and
+// alert rules the live scanner uses, then measures what happened next.
+import { HIST_INTERVAL, MACD_FAST, MACD_SLOW, MACD_SIGNAL } from "./config.js";
+import { indicatorSeries } from "./analyzer.js";
+import { macdSeries } from "./indicators.js";
+import { readRules, matchRules } from "./rules.js";
+import { lookbackDays, isIntraday } from "./timeframes.js";
+import { cleanBars } from "./barValidation.js";
+
+export const DEFAULT_HORIZONS = [1, 5, 20];
+const DAY_MS = 24 * 3600 * 1000;
+
+function isoDate(d) {
+  return d.toISOString().split("T")[0];
+}
+
+// Why a --from/--to pair (YYYY-MM-DD strings, either may be missing) can't bound a backtest, or
+// null. Dates must exist on the calendar (no 2025-02-30) and from can't be after to, which
+// defaults to today.
+export function backtestRangeError(from, to) {
+  for (const d of [from, to]) {
+    if (d == null) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d).getTime()) || isoDate(new Date(d)) !== d) {
+      return `Invalid date "${d}". Use YYYY-MM-DD.`;
+    }
+  }
+  if (from && from > (to || isoDate(new Date()))) {
+    return `Start date ${from} is after ${to ? `end date ${to}` : "today"}.`;
+  }
+  return null;
+}
+
+// Walk the bars one at a time; at bar i the analyzer only ever looks at raw[0..i]. MACD and the
+// other indicators are computed once up front: their value at a bar only depends on earlier bars.
+// Every rule that matches a bar records a signal. Forward returns and excursions are
+// measured in the rule's direction (short for bearish).
+export function backtestBars(analyzer, ticker, raw, { from, to, horizons = DEFAULT_HORIZONS, rules = readRules() } = {}) {
+  const signals = [];
+  const maxHorizon = Math.max(...horizons);
+  const macdObj = macdSeries(raw.map((b) => b.close), { fast: MACD_FAST, slow: MACD_SLOW, signal: MACD_SIGNAL });
+  const indicators = indicatorSeries(raw);
+  for (let i = 1; i < raw.length; i++) {
+    const date = new Date(raw[i].date);
+    if (from && date < from) continue;
+    if (to && date > to) break;
+
+    const res = analyzer.analyzeBars(ticker, raw, { macdObj, indicators, end: i });
+    // res.idx < i means the latest usable bar is older — it was already evaluated
+    if (!res || res.idx !== i) continue;
+
+    for (const rule of matchRules(rules, res)) {
+      const entry = res.price;
+      const dir = rule.direction === "bearish" ? -1 : 1;
+      const returns = {};
+      for (const h of horizons) {
+        const fwd = raw[i + h];
+        returns[h] = fwd && fwd.close != null ? (dir * (fwd.close - entry)) / entry : null;
+      }
+      // max adverse excursion: worst intrabar move against the signal within the longest horizon
+      let mae = 0;
+      for (let j = i + 1; j <= Math.min(i + maxHorizon, raw.length - 1); j++) {
+        const adverse = dir > 0 ? raw[j].low ?? raw[j].close : raw[j].high ?? raw[j].close;
+        if (adverse == null) continue;
+        mae = Math.min(mae, (dir * (adverse - entry)) / entry);
+      }
+
+      signals.push({ date, rule: rule.name, cross: res.cross, divergence: res.divergence, price: entry, returns, mae });
+    }
+  }
+  return { ticker, bars: raw.length, signals, stats: summarizeSignals(signals, horizons) };
+}
+
+// signal count, win rate / average return per horizon, and adverse excursion stats
+export function summarizeSignals(signals, horizons = DEFAULT_HORIZONS) {
+  const byHorizon = {};
+  for (const h of horizons) {
+    const rets = signals.map((s) => s.returns[h]).filter((r) => r != null);
+    byHorizon[h] = {
+      samples: rets.length,
+      winRate: rets.length ? rets.filter((r) => r > 0).length / rets.length : null,
+      avgReturn: rets.length ? rets.reduce((a, b) => a + b, 0) / rets.length : null,
+    };
+  }
+  const maes = signals.map((s) => s.mae);
+  return {
+    signals: signals.length,
+    horizons: byHorizon,
+    avgMae: maes.length ? maes.reduce((a, b) => a + b, 0) / maes.length : null,
+    worstMae: maes.length ? Math.min(...maes) : null,
+  };
+}
+
+// Backtest several tickers with the analyzer's data provider.
+// from/to bound the bars that may signal; forward returns can use bars after `to`.
+// lane: rate limiter lane for the requests (src/rateLimiter.js)
+export async function runBacktest(analyzer, tickers, { from, to, horizons = DEFAULT_HORIZONS, interval = HIST_INTERVAL, rules = readRules(), lane } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 365 * DAY_MS);
+  const provider = analyzer.fetcher.provider;
+
+  const results = [];
+  for (const ticker of tickers) {
+    try {
+      // warm-up bars before `from` so MACD and divergence are settled on the first bar
+      const fetchStart = new Date(start.getTime() - lookbackDays(interval) * DAY_MS);
+      const fetched = await provider.getHistorical(ticker, {
+        period1: isIntraday(interval) ? fetchStart : isoDate(fetchStart),
+        period2: isIntraday(interval) ? new Date() : isoDate(new Date()),
+        interval,
+        lane,
+      });
+      // cleaned like the scanner's bars; splits are adjusted for but, unlike live, don't mute signals
+      const raw = fetched && cleanBars(fetched, { interval, inferSplits: !provider.reportsSplits }).bars;
+      if (!raw || raw.length === 0) {
+        results.push({ ticker, error: "no data" });
+        continue;
+      }
+      results.push(backtestBars(analyzer, ticker, raw, { from: start, to: end, horizons, rules }));
+    } catch (err) {
+      results.push({ ticker, error: err.message });
+    }
+  }
+
+  const allSignals = results.flatMap((r) => r.signals || []);
+  return {
+    from: start,
+    to: end,
+    interval,
+    horizons,
+    results,
+    aggregate: summarizeSignals(allSignals, horizons),
+  };
+}
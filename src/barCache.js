@@ -0,0 +1,83 @@
+// On-disk bar cache: one JSON file per ticker and interval under BAR_CACHE_DIR.
+// Polls fetch only bars from the last few cached ones onward and merge them in, so revised
+// final bars (and the still-forming one) are overwritten instead of duplicated, and a split or
+// dividend that shows up in them has the whole window refetched (see hasNewEvent).
+import fs from "fs";
+import path from "path";
+
+// Trailing cached bars that are refetched every poll because the provider may still revise them
+export const REVISABLE_BARS = 2;
+
+// Whether fresh bars carry a split or dividend the cached bars don't have. The provider adjusts
+// every earlier adjClose (and, for a split, the prices) for it, so the cached bars before it are
+// stale and the whole window has to be fetched again.
+export function hasNewEvent(cached, fresh) {
+  const known = new Map((cached || []).map((b) => [b.date.getTime(), b]));
+  return fresh.some((b) => {
+    if (!b.split && !b.dividend) return false;
+    const old = known.get(new Date(b.date).getTime());
+    return !old || (b.split && !old.split) || (b.dividend && !old.dividend);
+  });
+}
+
+function reviveBars(bars) {
+  return bars.map((b) => ({ ...b, date: new Date(b.date) }));
+}
+
+export class BarCache {
+  constructor(dir) {
+    this.dir = dir;
+    this.memory = new Map(); // "TICKER_interval" -> bars
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _key(ticker, interval) {
+    return `${ticker}_${interval}`;
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  // Cached bars oldest->newest, or null
+  get(ticker, interval) {
+    const key = this._key(ticker, interval);
+    if (this.memory.has(key)) return this.memory.get(key);
+    const file = this._file(key);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const bars = reviveBars(JSON.parse(fs.readFileSync(file, "utf8")).bars || []);
+      this.memory.set(key, bars);
+      return bars;
+    } catch (err) {
+      console.error(`Bar cache unreadable for ${key}, refetching: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Date to fetch from so the revisable tail is refreshed, or null for a full fetch
+  resumeFrom(ticker, interval) {
+    const bars = this.get(ticker, interval);
+    if (!bars || bars.length <= REVISABLE_BARS) return null;
+    return bars[bars.length - REVISABLE_BARS].date;
+  }
+
+  // Merge freshly fetched bars: everything from the first fetched bar on is replaced.
+  // Bars older than `keepFrom` are dropped so the file stays the size of the fetch window.
+  merge(ticker, interval, fresh, { keepFrom } = {}) {
+    const key = this._key(ticker, interval);
+    const cached = this.get(ticker, interval) || [];
+    let merged = cached;
+    if (fresh.length > 0) {
+      const firstFresh = new Date(fresh[0].date).getTime();
+      merged = cached.filter((b) => b.date.getTime() < firstFresh).concat(reviveBars(fresh));
+    }
+    if (keepFrom) {
+      const cutoff = new Date(keepFrom).getTime();
+      merged = merged.filter((b) => b.date.getTime() >= cutoff);
+    }
+    this.memory.set(key, merged);
+    fs.writeFileSync(this._file(key), JSON.stringify({ ticker, interval, updatedAt: new Date(), bars: merged }));
+    return merged;
+  }
+}
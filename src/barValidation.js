@@ -0,0 +1,228 @@
+// Bar validation and cleaning, between the fetcher and the analyzer.
+//
+// cleanBars drops or repairs bars that would feed fake moves into MACD, in this order:
+//   bad-date      unparseable timestamp: dropped
+//   duplicate     two bars for one timestamp (one day, for daily bars): the later row is kept
+//   no-close      null, zero or non-numeric close: dropped
+//   placeholder   zero volume and no range (open = high = low = close): dropped
+//   closed-day    daily bar on a weekend or exchange holiday without volume: dropped
+//   ohlc          missing open/high/low filled from the close, high/low stretched over open and close
+//   adjusted      prices scaled by adjClose / close, so dividends and splits the provider knows
+//                 about don't show up as jumps
+//   split         a split the prices weren't adjusted for: earlier bars are scaled to the new share
+//                 count. Splits come from the provider (bar.split, on the first bar at the new
+//                 share count), and every one is reported, adjusted for already or not. Only for
+//                 providers that don't report them is a close-to-close jump matching a split
+//                 ratio taken for one, and only when volume moved by the inverse ratio too; a
+//                 crash or a doubling stays as it is.
+// and reports the trading-calendar bars (src/marketCalendar.js) missing from the series as gaps;
+// those aren't filled in.
+import { closureReason, sessionsForDay, tradingDayKey } from "./marketCalendar.js";
+import { TIMEFRAMES, isIntraday } from "./timeframes.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+// split ratios looked for (and their reverse splits); 3:2 and smaller are left out, since a 33%
+// one-day move is far likelier than one of those
+const SPLIT_RATIOS = [2, 3, 4, 5, 6, 7, 8, 10, 15, 20, 25, 30, 40, 50, 100];
+const SPLIT_TOLERANCE = 0.04;
+// bars each side of a jump whose median volume must confirm an inferred split, and how far
+// (as a factor) the volume after it may be from the pre-split volume times the ratio
+const VOLUME_BARS = 10;
+const MIN_VOLUME_BARS = 3;
+const VOLUME_TOLERANCE = 1.3;
+// the jump bar's own volume, against the same expectation: a crash trades far more than that
+const MAX_JUMP_DAY_VOLUME = 2.5;
+// dates kept per correction and for gaps, enough to point at the problem
+const MAX_DATES = 5;
+
+function isoDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function nextDay(ymd) {
+  return isoDay(new Date(new Date(ymd).getTime() + DAY_MS));
+}
+
+// Daily bars are keyed by their date (Yahoo stamps them at midnight UTC or at the open, both
+// on the trading day); intraday bars by their timestamp
+function barKey(bar, interval) {
+  return isIntraday(interval) ? bar.date.getTime() : isoDay(bar.date);
+}
+
+function finite(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+// "2:1" for a forward split (price halves), "1:10" for a reverse split
+function ratioText(factor) {
+  return factor >= 1 ? `${+factor.toFixed(4)}:1` : `1:${+(1 / factor).toFixed(4)}`;
+}
+
+// A close-to-close jump matching a split ratio -> { factor, ratio }, factor = old price / new price
+function splitRatio(prevClose, close) {
+  const r = prevClose / close;
+  for (const ratio of SPLIT_RATIOS) {
+    if (Math.abs(r / ratio - 1) < SPLIT_TOLERANCE) return { factor: ratio, ratio: `${ratio}:1` };
+    if (Math.abs(1 / r / ratio - 1) < SPLIT_TOLERANCE) return { factor: 1 / ratio, ratio: `1:${ratio}` };
+  }
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function withinFactor(value, expected, tolerance) {
+  return value > 0 && value / expected <= tolerance && expected / value <= tolerance;
+}
+
+// The provider's split on bar i -> { factor, ratio, rescale }, or null for a malformed one.
+// rescale: the prices across it still need adjusting, i.e. the jump is closer to the split ratio
+// than to no change (with a day's move on top of the split)
+function reportedSplit(bars, i) {
+  const { numerator, denominator } = bars[i].split;
+  if (!(numerator > 0 && denominator > 0) || numerator === denominator) return null;
+  const factor = numerator / denominator;
+  const jump = Math.abs(Math.log(bars[i - 1].close / bars[i].close));
+  const rescale = Math.abs(Math.log(bars[i - 1].close / bars[i].close / factor)) < jump;
+  return { factor, ratio: ratioText(factor), rescale };
+}
+
+// A jump at bar i matching a split ratio, confirmed by volume: the bars after it trade about
+// ratio times the shares the bars before did, and the jump bar itself isn't a volume spike
+function inferredSplit(bars, i) {
+  const split = splitRatio(bars[i - 1].close, bars[i].close);
+  if (!split) return null;
+  const volumes = (from, to) => bars.slice(Math.max(0, from), to).map((b) => b.volume).filter((v) => finite(v) && v > 0);
+  const before = volumes(i - VOLUME_BARS, i);
+  const after = volumes(i + 1, i + 1 + VOLUME_BARS);
+  if (before.length < MIN_VOLUME_BARS || after.length < MIN_VOLUME_BARS) return null;
+  const expected = median(before) * split.factor;
+  if (!withinFactor(median(after), expected, VOLUME_TOLERANCE)) return null;
+  if (!withinFactor(bars[i].volume, expected, MAX_JUMP_DAY_VOLUME)) return null;
+  return { ...split, rescale: true };
+}
+
+function scalePrices(bar, f) {
+  for (const k of ["open", "high", "low", "close"]) if (finite(bar[k])) bar[k] *= f;
+}
+
+// Trading-calendar bars between the first and last bar that the series doesn't have
+function findGaps(bars, interval) {
+  if (bars.length < 2) return [];
+  const missing = [];
+  const first = bars[0].date;
+  const last = bars[bars.length - 1].date;
+  if (!isIntraday(interval)) {
+    const have = new Set(bars.map((b) => isoDay(b.date)));
+    for (let ymd = isoDay(first); ymd <= isoDay(last); ymd = nextDay(ymd)) {
+      if (!have.has(ymd) && !closureReason(ymd)) missing.push(ymd);
+    }
+    return missing;
+  }
+  // intraday: regular-session bars from the session open, every interval
+  const have = new Set(bars.map((b) => b.date.getTime()));
+  const step = TIMEFRAMES[interval].ms;
+  for (let ymd = tradingDayKey(first); ymd <= tradingDayKey(last); ymd = nextDay(ymd)) {
+    const sessions = sessionsForDay(ymd);
+    if (!sessions) continue;
+    for (let t = sessions.regular.start.getTime(); t < sessions.regular.end.getTime(); t += step) {
+      if (t >= first.getTime() && t <= last.getTime() && !have.has(t)) missing.push(new Date(t).toISOString());
+    }
+  }
+  return missing;
+}
+
+// bars: provider bars, oldest->newest. Returns { bars, quality } with fresh bar objects (the
+// input, which may be the bar cache, is left alone). quality:
+//   { corrections: [{ type, count, dates }], gaps: { count, dates }, splits: [{ date, ratio, source, rescaled }], split }
+// splits has every split inside the series, rescaled: whether cleanBars adjusted the prices for
+// it (false when the provider's prices already were); split is the latest, or null. inferSplits:
+// look for splits in the prices, for providers that don't report them (see provider.reportsSplits).
+export function cleanBars(input, { interval = "1d", inferSplits = true } = {}) {
+  const corrections = new Map(); // type -> dates
+  const note = (type, bar) => {
+    if (!corrections.has(type)) corrections.set(type, []);
+    corrections.get(type).push(bar && !isNaN(bar.date) ? bar.date.toISOString() : null);
+  };
+
+  let bars = [];
+  for (const b of input) {
+    const bar = { ...b, date: new Date(b.date) };
+    if (isNaN(bar.date.getTime())) note("bad-date", null);
+    else bars.push(bar);
+  }
+  bars.sort((a, b) => a.date - b.date);
+
+  const byKey = new Map();
+  for (const bar of bars) {
+    const key = barKey(bar, interval);
+    if (byKey.has(key)) note("duplicate", bar);
+    byKey.set(key, bar);
+  }
+  bars = [...byKey.values()];
+
+  bars = bars.filter((bar) => {
+    if (!finite(bar.close) || bar.close <= 0) {
+      note("no-close", bar);
+      return false;
+    }
+    if (bar.volume === 0 && bar.open === bar.close && bar.high === bar.close && bar.low === bar.close) {
+      note("placeholder", bar);
+      return false;
+    }
+    if (!isIntraday(interval) && !bar.volume && closureReason(isoDay(bar.date))) {
+      note("closed-day", bar);
+      return false;
+    }
+    return true;
+  });
+
+  for (const bar of bars) {
+    let repaired = false;
+    for (const k of ["open", "high", "low"]) {
+      if (!finite(bar[k]) || bar[k] <= 0) {
+        bar[k] = bar.close;
+        repaired = true;
+      }
+    }
+    const top = Math.max(bar.open, bar.close);
+    const bottom = Math.min(bar.open, bar.close);
+    if (bar.high < top || bar.low > bottom) {
+      bar.high = Math.max(bar.high, top);
+      bar.low = Math.min(bar.low, bottom);
+      repaired = true;
+    }
+    if (repaired) note("ohlc", bar);
+
+    if (finite(bar.adjClose) && bar.adjClose > 0 && Math.abs(bar.adjClose / bar.close - 1) > 1e-6) {
+      scalePrices(bar, bar.adjClose / bar.close);
+      note("adjusted", bar);
+    }
+  }
+
+  const splits = [];
+  for (let i = 1; i < bars.length; i++) {
+    const source = bars[i].split ? "provider" : inferSplits ? "prices" : null;
+    const split = source === "provider" ? reportedSplit(bars, i) : source === "prices" ? inferredSplit(bars, i) : null;
+    if (!split) continue;
+    if (split.rescale) {
+      for (let j = 0; j < i; j++) scalePrices(bars[j], 1 / split.factor);
+      note("split", bars[i]);
+    }
+    splits.push({ date: bars[i].date.toISOString(), ratio: split.ratio, source, rescaled: split.rescale });
+  }
+
+  const gaps = findGaps(bars, interval);
+  return {
+    bars,
+    quality: {
+      corrections: [...corrections].map(([type, dates]) => ({ type, count: dates.length, dates: dates.filter(Boolean).slice(0, MAX_DATES) })),
+      gaps: { count: gaps.length, dates: gaps.slice(0, MAX_DATES) },
+      splits,
+      split: splits.length > 0 ? splits[splits.length - 1] : null,
+    },
+  };
+}
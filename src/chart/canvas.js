@@ -0,0 +1,162 @@
+// Tiny raster canvas: filled rectangles, thick lines, markers and a 5x7 bitmap font.
+// Colors are 0xRRGGBB numbers.
+import { encodePng } from "./png.js";
+
+// 5x7 glyphs, one number per row, bit 4 = leftmost pixel. Lowercase is drawn as uppercase.
+const FONT = {
+  "0": [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  "1": [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  "2": [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  "3": [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  "4": [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  "5": [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  "6": [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  "7": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  "9": [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  A: [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  D: [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+  Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  " ": [0, 0, 0, 0, 0, 0, 0],
+  ".": [0, 0, 0, 0, 0, 0x0c, 0x0c],
+  ",": [0, 0, 0, 0, 0x0c, 0x04, 0x08],
+  "-": [0, 0, 0, 0x1f, 0, 0, 0],
+  "+": [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  ":": [0, 0x0c, 0x0c, 0, 0x0c, 0x0c, 0],
+  "/": [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0],
+  "%": [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  $: [0x04, 0x0f, 0x14, 0x0e, 0x05, 0x1e, 0x04],
+  "(": [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ")": [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+};
+
+export const GLYPH_WIDTH = 6; // 5 pixels plus spacing, before scaling
+
+export class Canvas {
+  constructor(width, height, background = 0x000000) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const i = (y * this.width + x) * 3;
+    this.pixels[i] = (color >> 16) & 0xff;
+    this.pixels[i + 1] = (color >> 8) & 0xff;
+    this.pixels[i + 2] = color & 0xff;
+  }
+
+  fillRect(x, y, w, h, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+    for (let yy = y0; yy < y1; yy++) {
+      for (let xx = x0; xx < x1; xx++) this.setPixel(xx, yy, color);
+    }
+  }
+
+  // Bresenham line; thickness > 1 stamps a square brush. dash: [on, off] in pixels
+  line(x0, y0, x1, y1, color, { thickness = 1, dash = null } = {}) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const offset = Math.floor((thickness - 1) / 2);
+    let err = dx + dy;
+    let step = 0;
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) {
+        if (thickness > 1) this.fillRect(x0 - offset, y0 - offset, thickness, thickness, color);
+        else this.setPixel(x0, y0, color);
+      }
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y0 += sy;
+      }
+      step += 1;
+    }
+  }
+
+  // Connect consecutive points, skipping gaps (null y)
+  polyline(points, color, options) {
+    for (let i = 1; i < points.length; i++) {
+      const [a, b] = [points[i - 1], points[i]];
+      if (a[1] == null || b[1] == null) continue;
+      this.line(a[0], a[1], b[0], b[1], color, options);
+    }
+  }
+
+  circle(cx, cy, r, color) {
+    for (let y = -r; y <= r; y++) {
+      for (let x = -r; x <= r; x++) if (x * x + y * y <= r * r) this.setPixel(cx + x, cy + y, color);
+    }
+  }
+
+  // Filled triangle pointing up (tip at cx, cy) or down
+  triangle(cx, cy, size, color, pointing = "up") {
+    for (let row = 0; row <= size; row++) {
+      const y = pointing === "up" ? cy + row : cy - row;
+      this.fillRect(cx - row, y, row * 2 + 1, 1, color);
+    }
+  }
+
+  text(x, y, str, color, scale = 1) {
+    let cx = x;
+    for (const ch of String(str).toUpperCase()) {
+      const glyph = FONT[ch] || FONT[" "];
+      for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < 5; col++) {
+          if (glyph[row] & (0x10 >> col)) this.fillRect(cx + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+      cx += GLYPH_WIDTH * scale;
+    }
+    return cx;
+  }
+
+  textWidth(str, scale = 1) {
+    return String(str).length * GLYPH_WIDTH * scale;
+  }
+
+  toPng() {
+    return encodePng(this.width, this.height, this.pixels);
+  }
+}
@@ -0,0 +1,169 @@
+// Alert chart: the last N candles of an analyzer result with a MACD pane below, rendered to PNG
+// in-process (src/chart/canvas.js), so alerts never depend on an external chart service.
+//
+// Price pane: candles, cross markers (the latest cross also gets a dashed line), the strongest
+// divergence's pivots (on the MACD line or histogram, whichever diverged).
+// MACD pane: histogram, MACD and signal lines, zero line.
+import { Canvas } from "./canvas.js";
+import { detectCross } from "../analyzer.js";
+import { MACD_FAST, MACD_SLOW, MACD_SIGNAL } from "../config.js";
+
+export const CHART_BARS = 60;
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const LEFT = 8;
+const RIGHT = 70; // room for axis labels
+const PRICE_TOP = 30;
+const PRICE_BOTTOM = 320;
+const MACD_TOP = 334;
+const MACD_BOTTOM = 470;
+
+const COLORS = {
+  background: 0x1e1f22,
+  grid: 0x34363c,
+  text: 0xdbdee1,
+  muted: 0x8e9297,
+  up: 0x26a69a,
+  down: 0xef5350,
+  macd: 0x2962ff,
+  signal: 0xff9800,
+  cross: 0xf1c40f,
+};
+
+function fmtPrice(v) {
+  return Math.abs(v) >= 1000 ? v.toFixed(0) : v.toFixed(2);
+}
+
+function fmtMacd(v) {
+  return Math.abs(v) >= 10 ? v.toFixed(1) : Math.abs(v) >= 1 ? v.toFixed(2) : v.toFixed(3);
+}
+
+function fmtDate(d, intraday) {
+  const iso = new Date(d).toISOString();
+  return intraday ? `${iso.slice(5, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+// Attachment name for a ticker's chart, referenced from embeds as attachment://<name>
+export function chartFileName(ticker) {
+  return `${ticker.replace(/[^A-Za-z0-9]/g, "_")}-macd.png`;
+}
+
+// res: analyzer result (needs raw, idx, macdObj); bars: how many candles to show
+export function renderChart(res, { bars = CHART_BARS } = {}) {
+  const { raw, macdObj } = res;
+  const end = res.idx + 1;
+  const start = Math.max(0, end - bars);
+  const n = end - start;
+  const canvas = new Canvas(WIDTH, HEIGHT, COLORS.background);
+  const plotW = WIDTH - LEFT - RIGHT;
+  const slot = plotW / n;
+  const xOf = (i) => LEFT + (i - start + 0.5) * slot;
+  const intraday = res.interval && res.interval !== "1d";
+
+  // ---------- scales ----------
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (let i = start; i < end; i++) {
+    const b = raw[i];
+    if (b.close == null) continue;
+    lo = Math.min(lo, b.low ?? b.close);
+    hi = Math.max(hi, b.high ?? b.close);
+  }
+  const pad = (hi - lo) * 0.08 || hi * 0.01 || 1;
+  lo -= pad;
+  hi += pad;
+  const yPrice = (v) => PRICE_BOTTOM - ((v - lo) / (hi - lo)) * (PRICE_BOTTOM - PRICE_TOP);
+
+  let mAbs = 0;
+  for (let i = start; i < end; i++) {
+    for (const v of [macdObj.macd[i], macdObj.signal[i], macdObj.hist[i]]) if (v != null) mAbs = Math.max(mAbs, Math.abs(v));
+  }
+  mAbs = mAbs * 1.1 || 1;
+  const yMacd = (v) => MACD_TOP + ((mAbs - v) / (2 * mAbs)) * (MACD_BOTTOM - MACD_TOP);
+
+  // ---------- grid and axes ----------
+  for (let k = 0; k <= 4; k++) {
+    const v = lo + ((hi - lo) * k) / 4;
+    const y = yPrice(v);
+    canvas.line(LEFT, y, WIDTH - RIGHT, y, COLORS.grid, { dash: [2, 4] });
+    canvas.text(WIDTH - RIGHT + 6, y - 3, fmtPrice(v), COLORS.muted);
+  }
+  canvas.line(LEFT, yMacd(0), WIDTH - RIGHT, yMacd(0), COLORS.grid);
+  canvas.text(WIDTH - RIGHT + 6, yMacd(mAbs / 1.1) - 3, fmtMacd(mAbs / 1.1), COLORS.muted);
+  canvas.text(WIDTH - RIGHT + 6, yMacd(0) - 3, "0", COLORS.muted);
+  canvas.text(WIDTH - RIGHT + 6, yMacd(-mAbs / 1.1) - 3, fmtMacd(-mAbs / 1.1), COLORS.muted);
+  canvas.line(LEFT, (PRICE_BOTTOM + MACD_TOP) / 2, WIDTH - RIGHT, (PRICE_BOTTOM + MACD_TOP) / 2, COLORS.grid);
+  for (const i of [start, start + Math.floor(n / 2), end - 1]) {
+    const label = fmtDate(raw[i].date, intraday);
+    const x = Math.min(Math.max(xOf(i) - canvas.textWidth(label) / 2, LEFT), WIDTH - RIGHT - canvas.textWidth(label));
+    canvas.text(x, MACD_BOTTOM + 12, label, COLORS.muted);
+  }
+
+  // ---------- title ----------
+  const last = raw[res.idx];
+  const div = res.divergences?.[0];
+  const title = `${res.ticker} ${res.interval || "1d"} $${fmtPrice(last.close)}`;
+  let tx = canvas.text(LEFT, 8, title, COLORS.text, 2);
+  if (res.cross) tx = canvas.text(tx + 12, 8, res.cross.replace("-", " "), COLORS.cross, 2);
+  if (div) canvas.text(tx + 12, 8, div.type.replace("-div", " divergence"), div.direction === "bullish" ? COLORS.up : COLORS.down, 2);
+  const macdLabel = `MACD ${MACD_FAST}/${MACD_SLOW}/${MACD_SIGNAL}`;
+  canvas.text(WIDTH - RIGHT - canvas.textWidth(macdLabel), MACD_TOP + 2, macdLabel, COLORS.muted);
+
+  // ---------- candles ----------
+  const bodyW = Math.max(1, Math.floor(slot * 0.6));
+  for (let i = start; i < end; i++) {
+    const b = raw[i];
+    if (b.close == null) continue;
+    const open = b.open ?? b.close;
+    const color = b.close >= open ? COLORS.up : COLORS.down;
+    const x = xOf(i);
+    canvas.line(x, yPrice(b.high ?? b.close), x, yPrice(b.low ?? b.close), color);
+    const top = yPrice(Math.max(open, b.close));
+    canvas.fillRect(x - bodyW / 2, top, bodyW, Math.max(1, yPrice(Math.min(open, b.close)) - top), color);
+  }
+
+  // ---------- MACD pane ----------
+  for (let i = start; i < end; i++) {
+    const h = macdObj.hist[i];
+    if (h == null) continue;
+    const y0 = yMacd(0);
+    const y1 = yMacd(h);
+    canvas.fillRect(xOf(i) - bodyW / 2, Math.min(y0, y1), bodyW, Math.max(1, Math.abs(y1 - y0)), h >= 0 ? COLORS.up : COLORS.down);
+  }
+  const points = (series) => {
+    const out = [];
+    for (let i = start; i < end; i++) out.push([xOf(i), series[i] == null ? null : yMacd(series[i])]);
+    return out;
+  };
+  canvas.polyline(points(macdObj.macd), COLORS.macd, { thickness: 2 });
+  canvas.polyline(points(macdObj.signal), COLORS.signal, { thickness: 2 });
+
+  // ---------- crosses ----------
+  for (let i = Math.max(start, 1); i < end; i++) {
+    const cross = detectCross(macdObj, i);
+    if (!cross) continue;
+    const b = raw[i];
+    const x = xOf(i);
+    if (cross === "bullish-cross") canvas.triangle(x, yPrice(b.low ?? b.close) + 6, 6, COLORS.up, "up");
+    else canvas.triangle(x, yPrice(b.high ?? b.close) - 6, 6, COLORS.down, "down");
+    canvas.circle(x, yMacd(macdObj.macd[i]), 3, COLORS.cross);
+    if (i === res.idx) canvas.line(x, PRICE_TOP, x, MACD_BOTTOM, COLORS.cross, { dash: [4, 4] });
+  }
+
+  // ---------- divergence pivots ----------
+  if (div) {
+    const [p1, p2] = div.pivots;
+    const color = div.direction === "bullish" ? COLORS.up : COLORS.down;
+    if (p1.index >= start) {
+      canvas.line(xOf(p1.index), yPrice(p1.price), xOf(p2.index), yPrice(p2.price), color, { thickness: 2 });
+      canvas.line(xOf(p1.index), yMacd(p1.value), xOf(p2.index), yMacd(p2.value), color, { thickness: 2 });
+      for (const p of [p1, p2]) {
+        canvas.circle(xOf(p.index), yPrice(p.price), 4, color);
+        canvas.circle(xOf(p.index), yMacd(p.value), 4, color);
+      }
+    }
+  }
+
+  return canvas.toPng();
+}
@@ -0,0 +1,42 @@
+// Runtime configuration — read once from the environment (.env via dotenv)
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
+export const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID;
+export const DISCORD_CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
+// Minimum seconds between two scans of the same shard
+export const POLL_INTERVAL_SEC = parseInt(process.env.POLL_INTERVAL_SEC || "60", 10);
+// Tickers per scan shard; shards are scanned in rotation and the position survives restarts
+export const SCAN_SHARD_SIZE = parseInt(process.env.SCAN_SHARD_SIZE || "100", 10);
+// Exchange sessions to scan in: any of "pre", "regular", "after" (comma-separated), or "always"
+export const SCAN_SESSIONS =
+  (process.env.SCAN_SESSIONS || "regular").trim().toLowerCase() === "always"
+    ? "always"
+    : (process.env.SCAN_SESSIONS || "regular").split(",").map((x) => x.trim().toLowerCase()).filter(Boolean);
+
+// Minutes between two /scan-now triggers; a full pass over a big universe ties up the rate limiter
+export const SCAN_TRIGGER_COOLDOWN_MIN = parseInt(process.env.SCAN_TRIGGER_COOLDOWN_MIN || "30", 10);
+
+// Market data source: "yahoo" (live) or "local" (OHLCV files on disk)
+export const DATA_PROVIDER = (process.env.DATA_PROVIDER || "yahoo").toLowerCase();
+export const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || "./fixtures/bars";
+// Yahoo requests per minute, and the share of them held back for slash commands so a running
+// scan can't starve them (see src/rateLimiter.js)
+export const RATE_LIMIT_PER_MIN = parseInt(process.env.RATE_LIMIT_PER_MIN || "40", 10);
+export const RATE_LIMIT_INTERACTIVE_SHARE = parseFloat(process.env.RATE_LIMIT_INTERACTIVE_SHARE || "0.2");
+// Per-ticker bar cache for remote providers; set to an empty string to disable
+export const BAR_CACHE_DIR = process.env.BAR_CACHE_DIR ?? "./cache/bars";
+// Minutes between updates of post-alert performance (returns, excursions, cross-backs)
+export const PERFORMANCE_UPDATE_MIN = parseInt(process.env.PERFORMANCE_UPDATE_MIN || "60", 10);
+
+// Safety / tuning
+export const MAX_ALERTS_PER_DAY = 20;
+export const ALERT_COOLDOWN_MINUTES = 15;
+// Default bar timeframe: "1m", "5m", "15m", "1h" or "1d" — shorter = more near-real-time.
+// Override per ticker with /timeframe; the fetch window is derived from it (src/timeframes.js).
+export const HIST_INTERVAL = process.env.HIST_INTERVAL || "1d";
+export const MACD_FAST = 12;
+export const MACD_SLOW = 26;
+export const MACD_SIGNAL = 9;
@@ -0,0 +1,172 @@
+// MACD divergence: price and the MACD line (or histogram) disagreeing between two swing pivots.
+//
+//   regular bearish  price higher high, indicator lower high   (uptrend losing steam)
+//   regular bullish  price lower low, indicator higher low      (downtrend losing steam)
+//   hidden bearish   price lower high, indicator higher high    (downtrend resuming)
+//   hidden bullish   price higher low, indicator lower low      (uptrend resuming)
+//
+// Pivots are bar highs / lows (the close when a bar has none). A pivot is the most extreme of the
+// PIVOT_LEFT bars before it and is confirmed as soon as CONFIRM_BARS bars after it stayed below
+// (above, for lows), or earlier once price has moved REVERSAL_ATR ATRs back from it. So a pivot
+// is known one or two bars after the fact, and the divergence with it.
+//
+// Only the latest confirmed pivot of each side is compared, against the last few pivots before
+// it, and only while it's recent and price hasn't gone past it since. Between the two pivots
+// price must stay on its side of the line connecting them. Each divergence gets a 0-100 strength:
+// how far price and indicator moved apart between the pivots (price in ATRs, the indicator as a
+// share of its recent range), scaled down for pivots too close together or too far apart.
+import { atrSeries } from "./indicators.js";
+
+const PIVOT_LEFT = 5;
+const CONFIRM_BARS = 2;
+const REVERSAL_ATR = 1;
+// bars between the two pivots: outside MIN..MAX no divergence, IDEAL range scores in full
+const MIN_SPAN = 5;
+const MAX_SPAN = 60;
+const IDEAL_SPAN = [10, 40];
+// earlier pivots compared against the latest one
+const CANDIDATES = 3;
+// bars after confirmation a divergence is still reported for
+const MAX_AGE_BARS = 5;
+
+export const DIVERGENCE_SOURCES = ["macd", "histogram"];
+
+function pivotPrice(bar, side) {
+  return (side === "high" ? bar.high : bar.low) ?? bar.close;
+}
+
+// a further than b in the side's direction
+function beyond(side, a, b) {
+  return side === "high" ? a > b : a < b;
+}
+
+// Confirmed pivots from bar `start` up to bar `end`: [{ index, confirmedIndex }] oldest first
+function confirmedPivots(bars, start, end, side, atr) {
+  const pivots = [];
+  for (let i = Math.max(start, PIVOT_LEFT); i < end; i++) {
+    const price = pivotPrice(bars[i], side);
+    let isPivot = true;
+    for (let j = i - PIVOT_LEFT; j < i && isPivot; j++) if (!beyond(side, price, pivotPrice(bars[j], side))) isPivot = false;
+    if (!isPivot) continue;
+    for (let j = i + 1; j <= end; j++) {
+      if (!beyond(side, price, pivotPrice(bars[j], side))) break; // taken out before it was confirmed
+      const retrace = side === "high" ? price - bars[j].close : bars[j].close - price;
+      if (j - i >= CONFIRM_BARS || (atr[j] != null && retrace >= REVERSAL_ATR * atr[j])) {
+        pivots.push({ index: i, confirmedIndex: j });
+        break;
+      }
+    }
+  }
+  return pivots;
+}
+
+// "bearish" / "bullish" and "regular" / "hidden", or null when price and indicator agree
+function classify(side, price1, price2, value1, value2) {
+  if (side === "high") {
+    if (price2 > price1 && value2 < value1) return { direction: "bearish", kind: "regular" };
+    if (price2 < price1 && value2 > value1) return { direction: "bearish", kind: "hidden" };
+  } else {
+    if (price2 < price1 && value2 > value1) return { direction: "bullish", kind: "regular" };
+    if (price2 > price1 && value2 < value1) return { direction: "bullish", kind: "hidden" };
+  }
+  return null;
+}
+
+// No bar between the pivots pokes through the straight line joining them
+function lineHolds(bars, side, i1, i2) {
+  const p1 = pivotPrice(bars[i1], side);
+  const p2 = pivotPrice(bars[i2], side);
+  for (let k = i1 + 1; k < i2; k++) {
+    const line = p1 + ((p2 - p1) * (k - i1)) / (i2 - i1);
+    if (beyond(side, pivotPrice(bars[k], side), line)) return false;
+  }
+  return true;
+}
+
+function spacingFactor(span) {
+  const [lo, hi] = IDEAL_SPAN;
+  if (span < lo) return 0.5 + (0.5 * (span - MIN_SPAN)) / (lo - MIN_SPAN);
+  if (span > hi) return 1 - (0.5 * (span - hi)) / (MAX_SPAN - hi);
+  return 1;
+}
+
+function strength({ price1, price2, value1, value2, span, atr, scale }) {
+  const priceMove = Math.min(Math.abs(price2 - price1) / atr, 4) / 4;
+  const indicatorMove = Math.min(Math.abs(value2 - value1) / scale, 1);
+  return Math.round(100 * Math.min(1, (priceMove + indicatorMove) / 1.5) * spacingFactor(span));
+}
+
+// Divergences as of bar idx, strongest first. bars: oldest->newest with high/low/close;
+// macdObj: { macd, hist } aligned with bars; atr: ATR series aligned with bars, computed here when
+// not given. Uses nothing after idx, so the backtester can replay it.
+//   [{ type, direction, kind, source, strength, bars,
+//      pivots: [{ index, date, price, value }, { ... }], confirmedAt: { index, date } }]
+// type is "bullish-div", "bearish-div", "hidden-bullish-div" or "hidden-bearish-div".
+export function findDivergences(bars, macdObj, idx = bars.length - 1, { atr = atrSeries(bars.slice(0, idx + 1)) } = {}) {
+  // a pivot is confirmed at most CONFIRM_BARS after it, so older pivots can't be recent enough
+  // to report or close enough to pair with one that is
+  const start = idx - MAX_AGE_BARS - CONFIRM_BARS - MAX_SPAN;
+  const out = [];
+  for (const side of ["high", "low"]) {
+    const pivots = confirmedPivots(bars, start, idx, side, atr);
+    if (pivots.length < 2) continue;
+    const p2 = pivots[pivots.length - 1];
+    if (idx - p2.confirmedIndex > MAX_AGE_BARS) continue;
+    const price2 = pivotPrice(bars[p2.index], side);
+    let superseded = false;
+    for (let k = p2.index + 1; k <= idx && !superseded; k++) superseded = beyond(side, pivotPrice(bars[k], side), price2);
+    if (superseded) continue;
+    const barAtr = atr[p2.index] || price2 * 0.02;
+
+    for (const source of DIVERGENCE_SOURCES) {
+      const values = source === "macd" ? macdObj.macd : macdObj.hist;
+      const value2 = values[p2.index];
+      if (value2 == null) continue;
+      let scale = 0;
+      for (let k = Math.max(0, idx - 2 * MAX_SPAN); k <= idx; k++) if (values[k] != null) scale = Math.max(scale, Math.abs(values[k]));
+      if (scale === 0) continue;
+
+      let best = null;
+      for (const p1 of pivots.slice(-1 - CANDIDATES, -1)) {
+        const span = p2.index - p1.index;
+        const value1 = values[p1.index];
+        if (span < MIN_SPAN || span > MAX_SPAN || value1 == null) continue;
+        const price1 = pivotPrice(bars[p1.index], side);
+        const found = classify(side, price1, price2, value1, value2);
+        if (!found || !lineHolds(bars, side, p1.index, p2.index)) continue;
+        const score = strength({ price1, price2, value1, value2, span, atr: barAtr, scale });
+        if (best && best.strength >= score) continue;
+        best = {
+          type: `${found.kind === "hidden" ? "hidden-" : ""}${found.direction}-div`,
+          ...found,
+          source,
+          strength: score,
+          bars: span,
+          pivots: [
+            { index: p1.index, date: bars[p1.index].date, price: price1, value: value1 },
+            { index: p2.index, date: bars[p2.index].date, price: price2, value: value2 },
+          ],
+          confirmedAt: { index: p2.confirmedIndex, date: bars[p2.confirmedIndex].date },
+        };
+      }
+      if (best) out.push(best);
+    }
+  }
+  return out.sort((a, b) => b.strength - a.strength);
+}
+
+// e.g. "Regular bearish, MACD line (strength 72): price $190.20 (2025-03-03) → $195.10 (2025-03-20),
+// a higher high; MACD 1.2340 → 0.8700, a lower high"
+export function describeDivergence(d, { intraday = false } = {}) {
+  const day = (date) => new Date(date).toISOString().replace("T", " ").slice(0, intraday ? 16 : 10);
+  const [p1, p2] = d.pivots;
+  const side = d.direction === "bearish" ? "high" : "low";
+  const priceWord = p2.price > p1.price ? "higher" : "lower";
+  const valueWord = p2.value > p1.value ? "higher" : "lower";
+  const indicator = d.source === "macd" ? "MACD" : "Histogram";
+  return (
+    `${d.kind === "hidden" ? "Hidden" : "Regular"} ${d.direction}, ${d.source === "macd" ? "MACD line" : "histogram"} (strength ${d.strength}): ` +
+    `price $${p1.price.toFixed(2)} (${day(p1.date)}) → $${p2.price.toFixed(2)} (${day(p2.date)}), a ${priceWord} ${side}; ` +
+    `${indicator} ${p1.value.toFixed(4)} → ${p2.value.toFixed(4)}, a ${valueWord} ${side}`
+  );
+}
@@ -0,0 +1,258 @@
+// ---------- Technical indicators ----------
+// Standalone, dependency-free indicator math. Series functions take values oldest->newest and
+// return arrays aligned with their input (null until the indicator has enough data).
+// Streaming classes produce the same numbers one value at a time.
+//
+// Seeding follows the standard (StockCharts / TA textbook) definitions:
+//   EMA(n)    first value = SMA of the first n inputs, then v*k + prev*(1-k) with k = 2/(n+1)
+//   MACD      EMA(fast) - EMA(slow), defined from the slow EMA's first value
+//   signal    EMA(signal) of the MACD line, seeded with the SMA of the first `signal` real MACD values
+//   histogram MACD - signal
+// Wilder smoothing (RSI, ATR, ADX) is an EMA with k = 1/n, seeded the same way.
+//
+// OHLCV indicators take the bar objects the providers return: { date, open, high, low, close, volume }.
+
+export const MACD_DEFAULTS = { fast: 12, slow: 26, signal: 9 };
+
+export const INDICATOR_DEFAULTS = {
+  rsi: 14,
+  bollinger: { period: 20, mult: 2 },
+  atr: 14,
+  stochastic: { k: 14, d: 3 },
+  adx: 14,
+};
+
+// Simple moving average series (leading nulls are skipped)
+export function smaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  const window = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] == null) continue;
+    window.push(values[i]);
+    sum += values[i];
+    if (window.length > period) sum -= window.shift();
+    if (window.length === period) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Exponential moving average series. Leading nulls are skipped: the EMA is seeded with the SMA
+// of the first `period` non-null values. A null after the seed yields null and leaves the EMA unchanged.
+export function emaSeries(values, period, k = 2 / (period + 1)) {
+  const out = new Array(values.length).fill(null);
+  const stream = new EmaStream(period, k);
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] == null) continue;
+    out[i] = stream.update(values[i]);
+  }
+  return out;
+}
+
+// Wilder's smoothed moving average (RMA)
+export function rmaSeries(values, period) {
+  return emaSeries(values, period, 1 / period);
+}
+
+// Latest SMA / EMA value, or null when there are fewer than `period` values
+export function sma(values, period) {
+  if (values.length < period) return null;
+  return smaSeries(values.slice(values.length - period), period)[period - 1];
+}
+export function ema(values, period) {
+  const series = emaSeries(values, period);
+  return series.length ? series[series.length - 1] : null;
+}
+
+// returns { macd:[], signal:[], hist:[] } arrays aligned with closePrices
+export function macdSeries(closePrices, { fast, slow, signal } = MACD_DEFAULTS) {
+  const fastEma = emaSeries(closePrices, fast);
+  const slowEma = emaSeries(closePrices, slow);
+  const macd = closePrices.map((_, i) =>
+    fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null
+  );
+  // emaSeries skips the leading nulls, so the signal seed only uses real MACD values
+  const signalLine = emaSeries(macd, signal);
+  const hist = macd.map((v, i) => (v === null || signalLine[i] === null ? null : v - signalLine[i]));
+  return { macd, signal: signalLine, hist };
+}
+
+// Relative Strength Index (Wilder), 0..100
+export function rsiSeries(closePrices, period = INDICATOR_DEFAULTS.rsi) {
+  const gains = closePrices.map((c, i) => (i === 0 ? null : Math.max(c - closePrices[i - 1], 0)));
+  const losses = closePrices.map((c, i) => (i === 0 ? null : Math.max(closePrices[i - 1] - c, 0)));
+  const avgGain = rmaSeries(gains, period);
+  const avgLoss = rmaSeries(losses, period);
+  return closePrices.map((_, i) => {
+    if (avgGain[i] === null || avgLoss[i] === null) return null;
+    if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+// Bollinger Bands: SMA(period) +/- mult * population standard deviation
+export function bollingerSeries(closePrices, { period, mult } = INDICATOR_DEFAULTS.bollinger) {
+  const middle = smaSeries(closePrices, period);
+  const upper = new Array(closePrices.length).fill(null);
+  const lower = new Array(closePrices.length).fill(null);
+  for (let i = 0; i < closePrices.length; i++) {
+    if (middle[i] === null) continue;
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (closePrices[j] - middle[i]) ** 2;
+    const sd = Math.sqrt(sq / period);
+    upper[i] = middle[i] + mult * sd;
+    lower[i] = middle[i] - mult * sd;
+  }
+  return { middle, upper, lower };
+}
+
+// True range; the first bar has no previous close, so it is just high - low
+export function trueRangeSeries(bars) {
+  return bars.map((b, i) => {
+    if (i === 0) return b.high - b.low;
+    const prevClose = bars[i - 1].close;
+    return Math.max(b.high - b.low, Math.abs(b.high - prevClose), Math.abs(b.low - prevClose));
+  });
+}
+
+// Average True Range (Wilder)
+export function atrSeries(bars, period = INDICATOR_DEFAULTS.atr) {
+  return rmaSeries(trueRangeSeries(bars), period);
+}
+
+// Stochastic oscillator: %K over `k` bars, %D = SMA(d) of %K
+export function stochasticSeries(bars, { k, d } = INDICATOR_DEFAULTS.stochastic) {
+  const percentK = new Array(bars.length).fill(null);
+  for (let i = k - 1; i < bars.length; i++) {
+    let hh = -Infinity;
+    let ll = Infinity;
+    for (let j = i - k + 1; j <= i; j++) {
+      hh = Math.max(hh, bars[j].high);
+      ll = Math.min(ll, bars[j].low);
+    }
+    percentK[i] = hh === ll ? 50 : (100 * (bars[i].close - ll)) / (hh - ll);
+  }
+  return { k: percentK, d: smaSeries(percentK, d) };
+}
+
+// Average Directional Index with +DI / -DI (Wilder)
+export function adxSeries(bars, period = INDICATOR_DEFAULTS.adx) {
+  const plusDM = bars.map((b, i) => {
+    if (i === 0) return null;
+    const up = b.high - bars[i - 1].high;
+    const down = bars[i - 1].low - b.low;
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = bars.map((b, i) => {
+    if (i === 0) return null;
+    const up = b.high - bars[i - 1].high;
+    const down = bars[i - 1].low - b.low;
+    return down > up && down > 0 ? down : 0;
+  });
+  const tr = trueRangeSeries(bars).map((v, i) => (i === 0 ? null : v));
+  const smTR = rmaSeries(tr, period);
+  const smPlus = rmaSeries(plusDM, period);
+  const smMinus = rmaSeries(minusDM, period);
+
+  const plusDI = bars.map((_, i) => (smTR[i] ? (100 * smPlus[i]) / smTR[i] : null));
+  const minusDI = bars.map((_, i) => (smTR[i] ? (100 * smMinus[i]) / smTR[i] : null));
+  const dx = bars.map((_, i) => {
+    if (plusDI[i] === null || minusDI[i] === null) return null;
+    const sum = plusDI[i] + minusDI[i];
+    return sum === 0 ? 0 : (100 * Math.abs(plusDI[i] - minusDI[i])) / sum;
+  });
+  return { adx: rmaSeries(dx, period), plusDI, minusDI };
+}
+
+// On-Balance Volume, starting at 0 on the first bar
+export function obvSeries(bars) {
+  const out = new Array(bars.length).fill(null);
+  let obv = 0;
+  for (let i = 0; i < bars.length; i++) {
+    if (i > 0) {
+      const vol = bars[i].volume || 0;
+      if (bars[i].close > bars[i - 1].close) obv += vol;
+      else if (bars[i].close < bars[i - 1].close) obv -= vol;
+    }
+    out[i] = obv;
+  }
+  return out;
+}
+
+// Session VWAP of the typical price, reset at each America/New_York calendar day.
+// On daily bars every bar is its own session, so this is just the typical price.
+const sessionFormat = new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York" });
+export function vwapSeries(bars) {
+  const out = new Array(bars.length).fill(null);
+  let session = null;
+  let pv = 0;
+  let vol = 0;
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    const key = sessionFormat.format(new Date(b.date));
+    if (key !== session) {
+      session = key;
+      pv = 0;
+      vol = 0;
+    }
+    const typical = (b.high + b.low + b.close) / 3;
+    pv += typical * (b.volume || 0);
+    vol += b.volume || 0;
+    out[i] = vol > 0 ? pv / vol : typical;
+  }
+  return out;
+}
+
+// ---------- Streaming forms ----------
+export class EmaStream {
+  constructor(period, k = 2 / (period + 1)) {
+    this.period = period;
+    this.k = k;
+    this.seedSum = 0;
+    this.seedCount = 0;
+    this.value = null;
+  }
+
+  // Feed the next value; returns the current EMA (null while seeding)
+  update(v) {
+    if (this.value === null) {
+      this.seedSum += v;
+      this.seedCount += 1;
+      if (this.seedCount === this.period) this.value = this.seedSum / this.period;
+      return this.value;
+    }
+    this.value = v * this.k + this.value * (1 - this.k);
+    return this.value;
+  }
+
+  clone() {
+    return Object.assign(new EmaStream(this.period, this.k), this);
+  }
+}
+
+export class MacdStream {
+  constructor({ fast, slow, signal } = MACD_DEFAULTS) {
+    this.fast = new EmaStream(fast);
+    this.slow = new EmaStream(slow);
+    this.signal = new EmaStream(signal);
+  }
+
+  // Feed the next close; returns { macd, signal, hist } with nulls until each line is defined
+  update(close) {
+    const f = this.fast.update(close);
+    const s = this.slow.update(close);
+    if (f === null || s === null) return { macd: null, signal: null, hist: null };
+    const macd = f - s;
+    const signal = this.signal.update(macd);
+    return { macd, signal, hist: signal === null ? null : macd - signal };
+  }
+
+  // Independent copy, so a saved state can be resumed more than once
+  clone() {
+    const copy = Object.create(MacdStream.prototype);
+    copy.fast = this.fast.clone();
+    copy.slow = this.slow.clone();
+    copy.signal = this.signal.clone();
+    return copy;
+  }
+}
@@ -0,0 +1,25 @@
+// Append-only JSON Lines files: one JSON object per line, read whole at startup.
+import fs from "fs";
+import chalk from "chalk";
+
+export function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  const text = fs.readFileSync(file, "utf8");
+  // start appends on a fresh line if the last write was cut short
+  if (text.length > 0 && !text.endsWith("\n")) fs.appendFileSync(file, "\n");
+  const records = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // a line torn by a crash mid-write shouldn't lose the rest of the log
+      console.warn(chalk.yellow(`Skipping unreadable line in ${file}`));
+    }
+  }
+  return records;
+}
+
+export function appendJsonl(file, record) {
+  fs.appendFileSync(file, JSON.stringify(record) + "\n");
+}
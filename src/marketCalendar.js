@@ -0,0 +1,222 @@
+// NYSE / Nasdaq trading calendar, computed from the exchange holiday rules (no downloads).
+// All session times are America/New_York wall-clock times, so DST is handled by Intl.
+//
+// Sessions on a full day:   pre 04:00-09:30, regular 09:30-16:00, after 16:00-20:00
+// On early-close days:      regular closes 13:00 and after-hours runs 13:00-17:00
+
+const TZ = "America/New_York";
+const DAY_MS = 24 * 3600 * 1000;
+
+// One-off closures not covered by the rules (national days of mourning etc.)
+const SPECIAL_CLOSURES = {
+  "2018-12-05": "National Day of Mourning (George H.W. Bush)",
+  "2025-01-09": "National Day of Mourning (Jimmy Carter)",
+};
+
+export const SESSION_NAMES = ["pre", "regular", "after"];
+
+const partsFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TZ,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  weekday: "short",
+});
+
+// Wall-clock parts of a Date in New York
+function nyParts(date) {
+  const p = {};
+  for (const { type, value } of partsFormat.formatToParts(date)) p[type] = value;
+  return {
+    year: +p.year,
+    month: +p.month,
+    day: +p.day,
+    hour: +p.hour,
+    minute: +p.minute,
+    second: +p.second,
+    ymd: `${p.year}-${p.month}-${p.day}`,
+  };
+}
+
+// Date for a New York wall-clock time on a YYYY-MM-DD day
+function nyTime(ymd, hhmm) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const [hh, mm] = hhmm.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  // offset of New York from UTC at that instant, applied twice to settle across DST changes
+  let ts = guess;
+  for (let i = 0; i < 2; i++) {
+    const p = nyParts(new Date(ts));
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    ts = guess - (wall - ts);
+  }
+  return new Date(ts);
+}
+
+function ymdOf(y, m, d) {
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+function weekday(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+}
+
+function addDays(ymd, n) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + n * DAY_MS).toISOString().split("T")[0];
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(y, m, dow, n) {
+  if (n > 0) {
+    const first = weekday(y, m, 1);
+    return ymdOf(y, m, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const last = weekday(y, m, lastDay);
+  return ymdOf(y, m, lastDay - ((last - dow + 7) % 7));
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easter(y) {
+  const a = y % 19;
+  const b = Math.floor(y / 100);
+  const c = y % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymdOf(y, month, day);
+}
+
+// Fixed-date holiday moved to Friday when on Saturday, Monday when on Sunday
+function observed(y, m, d) {
+  const dow = weekday(y, m, d);
+  if (dow === 6) return addDays(ymdOf(y, m, d), -1);
+  if (dow === 0) return addDays(ymdOf(y, m, d), 1);
+  return ymdOf(y, m, d);
+}
+
+const holidayCache = new Map();
+// { "YYYY-MM-DD": name } of full-day closures in year y
+export function holidaysForYear(y) {
+  if (holidayCache.has(y)) return holidayCache.get(y);
+  const h = {};
+  // New Year's Day: a Saturday holiday is not moved back into the previous year
+  if (weekday(y, 1, 1) !== 6) h[observed(y, 1, 1)] = "New Year's Day";
+  h[nthWeekday(y, 1, 1, 3)] = "Martin Luther King Jr. Day";
+  h[nthWeekday(y, 2, 1, 3)] = "Washington's Birthday";
+  h[addDays(easter(y), -2)] = "Good Friday";
+  h[nthWeekday(y, 5, 1, -1)] = "Memorial Day";
+  if (y >= 2022) h[observed(y, 6, 19)] = "Juneteenth";
+  h[observed(y, 7, 4)] = "Independence Day";
+  h[nthWeekday(y, 9, 1, 1)] = "Labor Day";
+  h[nthWeekday(y, 11, 4, 4)] = "Thanksgiving Day";
+  h[observed(y, 12, 25)] = "Christmas Day";
+  for (const [day, name] of Object.entries(SPECIAL_CLOSURES)) {
+    if (day.startsWith(`${y}-`)) h[day] = name;
+  }
+  holidayCache.set(y, h);
+  return h;
+}
+
+// 13:00 closes: July 3, the day after Thanksgiving and Christmas Eve (when they are Mon-Thu trading days)
+function isEarlyClose(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dow = weekday(y, m, d);
+  if (m === 7 && d === 3 && dow >= 1 && dow <= 4) return true;
+  if (ymd === addDays(nthWeekday(y, 11, 4, 4), 1)) return true;
+  if (m === 12 && d === 24 && dow >= 1 && dow <= 4) return true;
+  return false;
+}
+
+// Why the exchange is closed on a day, or null when it trades
+export function closureReason(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dow = weekday(y, m, d);
+  if (dow === 0 || dow === 6) return "weekend";
+  return holidaysForYear(y)[ymd] || null;
+}
+
+// Session boundaries for a trading day, or null when closed
+export function sessionsForDay(ymd) {
+  if (closureReason(ymd)) return null;
+  const early = isEarlyClose(ymd);
+  return {
+    day: ymd,
+    earlyClose: early,
+    pre: { start: nyTime(ymd, "04:00"), end: nyTime(ymd, "09:30") },
+    regular: { start: nyTime(ymd, "09:30"), end: nyTime(ymd, early ? "13:00" : "16:00") },
+    after: { start: nyTime(ymd, early ? "13:00" : "16:00"), end: nyTime(ymd, early ? "17:00" : "20:00") },
+  };
+}
+
+// { state: "pre" | "regular" | "after" | "closed", day, reason, earlyClose }
+export function marketState(now = new Date()) {
+  const ymd = nyParts(now).ymd;
+  const sessions = sessionsForDay(ymd);
+  if (!sessions) return { state: "closed", day: ymd, reason: closureReason(ymd), earlyClose: false };
+  for (const name of SESSION_NAMES) {
+    if (now >= sessions[name].start && now < sessions[name].end) {
+      return { state: name, day: ymd, reason: null, earlyClose: sessions.earlyClose };
+    }
+  }
+  return { state: "closed", day: ymd, reason: "outside trading hours", earlyClose: sessions.earlyClose };
+}
+
+export function isInSessions(now, sessionNames) {
+  return sessionNames.includes(marketState(now).state);
+}
+
+// Start of the next of the given sessions after `now` (searches up to two weeks ahead)
+export function nextSessionStart(now = new Date(), sessionNames = ["regular"]) {
+  let ymd = nyParts(now).ymd;
+  for (let i = 0; i < 15; i++) {
+    const sessions = sessionsForDay(ymd);
+    if (sessions) {
+      for (const name of SESSION_NAMES) {
+        if (sessionNames.includes(name) && sessions[name].start > now) return sessions[name].start;
+      }
+    }
+    ymd = addDays(ymd, 1);
+  }
+  return null;
+}
+
+// Trading day that `now` belongs to. It rolls over when the next trading day's pre-market
+// opens, so nights, weekends and holidays count toward the previous session.
+export function tradingDayKey(now = new Date()) {
+  let ymd = nyParts(now).ymd;
+  for (let i = 0; i < 15; i++) {
+    const sessions = sessionsForDay(ymd);
+    if (sessions && now >= sessions.pre.start) return ymd;
+    ymd = addDays(ymd, -1);
+  }
+  return ymd;
+}
+
+// e.g. "Mon, Oct 20, 09:30 ET"
+export function formatNyTime(date) {
+  return (
+    date.toLocaleString("en-US", {
+      timeZone: TZ,
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }) + " ET"
+  );
+}
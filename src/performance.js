@@ -0,0 +1,252 @@
+// Post-alert performance: follows every logged alert (src/alertStore.js) forward and records
+// what the stock did next. Outcomes persist in alert-performance.json, keyed by alertId.
+//
+// - returns at +1h (first hourly bar ending an hour or more after the alert) and at the close
+//   +1, +5 and +20 trading days after the alert's day, in the alert's direction (short for bearish)
+// - max favorable / adverse excursion over those 20 trading days, from highs and lows
+// - whether MACD crossed back (opposite cross on the alert's timeframe) within that window
+import fs from "fs";
+import chalk from "chalk";
+import { MACD_FAST, MACD_SLOW, MACD_SIGNAL } from "./config.js";
+import { macdSeries } from "./indicators.js";
+import { detectCross } from "./analyzer.js";
+import { summarizeSignals } from "./backtest.js";
+import { alertId } from "./alertStore.js";
+import { tradingDayKey, sessionsForDay } from "./marketCalendar.js";
+
+const PERFORMANCE_FILE = "./alert-performance.json";
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const PERFORMANCE_HORIZONS = ["1h", "1d", "5d", "20d"];
+const DAY_HORIZONS = { "1d": 1, "5d": 5, "20d": 20 };
+const TRACK_TRADING_DAYS = 20;
+// alerts still unresolved after this long (delisted, data gaps) stop being fetched
+const GIVE_UP_DAYS = 45;
+// rate limiter lane: behind slash commands, ahead of the scans
+const FOLLOWUP = "followup";
+
+function isoDate(d) {
+  return new Date(d).toISOString().split("T")[0];
+}
+
+function addDays(ymd, n) {
+  return isoDate(new Date(ymd).getTime() + n * DAY_MS);
+}
+
+// A daily bar can't change any more once its regular session has closed
+function dailyBarFinal(bar, now) {
+  const day = isoDate(bar.date);
+  const today = tradingDayKey(now);
+  if (day < today) return true;
+  const sessions = sessionsForDay(day);
+  return day === today && (!sessions || now >= sessions.regular.end);
+}
+
+function emptyOutcome() {
+  return {
+    returns: Object.fromEntries(PERFORMANCE_HORIZONS.map((h) => [h, null])),
+    mfe: 0,
+    mae: 0,
+    crossedBack: null,
+    crossedBackAt: null,
+    barsToCrossBack: null,
+    complete: false,
+  };
+}
+
+// Outcome of one alert from the bars available now. daily / hourly: bars oldest->newest;
+// series: bars of the alert's own timeframe, for the cross-back check. Any may be null.
+export function measureAlert(entry, { daily, hourly, series }, now = new Date()) {
+  const out = emptyOutcome();
+  const p0 = entry.price;
+  const dir = entry.direction === "bearish" ? -1 : 1;
+  const sentAt = new Date(entry.sentAt).getTime();
+  const ret = (price) => (dir * (price - p0)) / p0;
+  const excursion = (bar) => {
+    const favorable = dir > 0 ? bar.high ?? bar.close : bar.low ?? bar.close;
+    const adverse = dir > 0 ? bar.low ?? bar.close : bar.high ?? bar.close;
+    if (favorable != null) out.mfe = Math.max(out.mfe, ret(favorable));
+    if (adverse != null) out.mae = Math.min(out.mae, ret(adverse));
+  };
+
+  const alertDay = tradingDayKey(new Date(sentAt));
+  let windowEnd = null; // last day inside the 20-trading-day window, once known
+  if (daily && daily.length > 0) {
+    // index of the alert day's bar: the last bar on or before it
+    let a = -1;
+    for (let i = 0; i < daily.length; i++) if (isoDate(daily[i].date) <= alertDay) a = i;
+    if (a >= 0) {
+      for (const [h, n] of Object.entries(DAY_HORIZONS)) {
+        const bar = daily[a + n];
+        if (bar && bar.close != null && dailyBarFinal(bar, now)) out.returns[h] = ret(bar.close);
+      }
+      for (let j = a + 1; j <= Math.min(a + TRACK_TRADING_DAYS, daily.length - 1); j++) excursion(daily[j]);
+      if (daily[a + TRACK_TRADING_DAYS]) windowEnd = isoDate(daily[a + TRACK_TRADING_DAYS].date);
+    }
+  }
+
+  if (hourly && hourly.length > 0) {
+    const target = sentAt + HOUR_MS;
+    const bar = hourly.find((b) => new Date(b.date).getTime() + HOUR_MS >= target && new Date(b.date).getTime() + HOUR_MS <= now.getTime());
+    if (bar && bar.close != null) out.returns["1h"] = ret(bar.close);
+    // the rest of the alert's own day; later days are covered by the daily bars
+    for (const b of hourly) {
+      const t = new Date(b.date).getTime();
+      if (t >= sentAt && isoDate(t) === alertDay) excursion(b);
+    }
+  }
+
+  // cross-back only applies to MACD alerts
+  if (entry.macd != null && series && series.length > 0 && entry.barTime) {
+    const barTime = new Date(entry.barTime).getTime();
+    const k = series.findIndex((b) => new Date(b.date).getTime() === barTime);
+    if (k >= 0) {
+      const macdObj = macdSeries(series.map((b) => b.close), { fast: MACD_FAST, slow: MACD_SLOW, signal: MACD_SIGNAL });
+      const opposite = dir > 0 ? "bearish-cross" : "bullish-cross";
+      for (let j = k + 1; j < series.length; j++) {
+        if (windowEnd && isoDate(series[j].date) > windowEnd) break;
+        if (detectCross(macdObj, j) === opposite) {
+          out.crossedBack = true;
+          out.crossedBackAt = new Date(series[j].date).toISOString();
+          out.barsToCrossBack = j - k;
+          break;
+        }
+      }
+    }
+    if (out.crossedBack === null && windowEnd && out.returns["20d"] != null) out.crossedBack = false;
+  }
+
+  out.complete = PERFORMANCE_HORIZONS.every((h) => out.returns[h] != null) && (entry.macd == null || out.crossedBack !== null);
+  return out;
+}
+
+function loadState() {
+  const defaults = { outcomes: {}, lastScorecardWeek: null };
+  if (!fs.existsSync(PERFORMANCE_FILE)) return defaults;
+  try {
+    return { ...defaults, ...JSON.parse(fs.readFileSync(PERFORMANCE_FILE, "utf8")) };
+  } catch (e) {
+    console.error(`Failed reading ${PERFORMANCE_FILE}, starting fresh:`, e.message);
+    return defaults;
+  }
+}
+
+// Monday of the week a YYYY-MM-DD day falls in
+function weekKey(ymd) {
+  const dow = new Date(ymd).getUTCDay();
+  return addDays(ymd, -((dow + 6) % 7));
+}
+
+export class PerformanceTracker {
+  // fetcher: shared with the scanner, so tracking reuses its bar cache and rate limiter
+  constructor({ fetcher, store }) {
+    this.fetcher = fetcher;
+    this.store = store;
+    this.state = loadState();
+    this.busy = false;
+  }
+
+  _save() {
+    fs.writeFileSync(PERFORMANCE_FILE, JSON.stringify(this.state, null, 2));
+  }
+
+  outcome(entry) {
+    return this.state.outcomes[alertId(entry)] || null;
+  }
+
+  // Measure every alert that isn't complete yet. Returns how many were updated.
+  async update(now = new Date()) {
+    if (this.busy) return 0;
+    this.busy = true;
+    try {
+      const byTicker = new Map();
+      for (const e of this.store.entries) {
+        const prev = this.outcome(e);
+        if (e.price == null || (prev && prev.complete)) continue;
+        if (!byTicker.has(e.ticker)) byTicker.set(e.ticker, []);
+        byTicker.get(e.ticker).push(e);
+      }
+
+      let updated = 0;
+      for (const [ticker, entries] of byTicker) {
+        try {
+          const daily = (await this.fetcher.fetchCloseSeries(ticker, "1d", { lane: FOLLOWUP }))?.raw || null;
+          const needsHourly = entries.some((e) => this.outcome(e)?.returns["1h"] == null);
+          const hourly = needsHourly ? (await this.fetcher.fetchCloseSeries(ticker, "1h", { lane: FOLLOWUP }))?.raw || null : null;
+          const seriesByInterval = { "1d": daily, "1h": hourly };
+
+          for (const e of entries) {
+            let series = null;
+            if (e.macd != null && e.interval) {
+              if (seriesByInterval[e.interval] === undefined) {
+                seriesByInterval[e.interval] = (await this.fetcher.fetchCloseSeries(ticker, e.interval, { lane: FOLLOWUP }))?.raw || null;
+              }
+              series = seriesByInterval[e.interval];
+            }
+            const outcome = measureAlert(e, { daily, hourly, series }, now);
+            if (now - new Date(e.sentAt) > GIVE_UP_DAYS * DAY_MS) outcome.complete = true;
+            this.state.outcomes[alertId(e)] = { ...outcome, updatedAt: now.toISOString() };
+            updated += 1;
+          }
+        } catch (err) {
+          console.error(chalk.red(`Performance update failed for ${ticker}: ${err.message}`));
+        }
+      }
+      if (updated > 0) this._save();
+      return updated;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  // The scorecard goes out once per week, after the week's last regular session closes
+  scorecardDue(now = new Date()) {
+    const day = tradingDayKey(now);
+    const sessions = sessionsForDay(day);
+    if (!sessions || now < sessions.regular.end) return false;
+    let next = addDays(day, 1);
+    while (!sessionsForDay(next)) next = addDays(next, 1);
+    if (weekKey(next) === weekKey(day)) return false;
+    return this.state.lastScorecardWeek !== weekKey(day);
+  }
+
+  markScorecardPosted(now = new Date()) {
+    this.state.lastScorecardWeek = weekKey(tradingDayKey(now));
+    this._save();
+  }
+
+  // [{ entry, outcome }] for alerts sent in the last `days` days, optionally one ticker
+  rows({ ticker, days } = {}) {
+    return this.store.query({ ticker, days }).map((entry) => ({ entry, outcome: this.outcome(entry) || emptyOutcome() }));
+  }
+}
+
+// Hit rate / average return per horizon (via the backtester's summary), excursions and cross-backs
+export function summarizeOutcomes(rows) {
+  const base = summarizeSignals(
+    rows.map((r) => ({ returns: r.outcome.returns, mae: r.outcome.mae })),
+    PERFORMANCE_HORIZONS
+  );
+  const mfes = rows.map((r) => r.outcome.mfe);
+  const crossResolved = rows.filter((r) => r.outcome.crossedBack !== null);
+  return {
+    ...base,
+    avgMfe: mfes.length ? mfes.reduce((a, b) => a + b, 0) / mfes.length : null,
+    crossBackSamples: crossResolved.length,
+    crossBackRate: crossResolved.length ? crossResolved.filter((r) => r.outcome.crossedBack).length / crossResolved.length : null,
+  };
+}
+
+// [[group, summary]] ordered by alert count
+export function groupOutcomes(rows, keyFn) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyFn(r.entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return [...groups.entries()]
+    .map(([key, list]) => [key, summarizeOutcomes(list)])
+    .sort((a, b) => b[1].signals - a[1].signals);
+}
@@ -0,0 +1,120 @@
+// Who may run which command, per guild (permissions.json):
+//
+//   { "<guildId>": { "add-ticker": { "roles": ["<roleId>"], "users": ["<userId>"] } } }
+//
+// A command with an entry is limited to those roles and users. Commands that change shared state
+// (RESTRICTED_COMMANDS) need Manage Server until they get an entry. Administrators always pass,
+// so a server can't lock itself out.
+//
+// Grants are per server, but most of what they guard isn't: GLOBAL_COMMANDS change state every
+// server the bot is in scans and alerts from, and their audit entries are shown in every server.
+import fs from "fs";
+
+const PERMISSIONS_FILE = "./permissions.json";
+
+// "command" or "command subcommand"; read-only subcommands (list, show) stay open to everyone
+export const RESTRICTED_COMMANDS = [
+  "watchlist create",
+  "watchlist delete",
+  "watchlist add",
+  "watchlist remove",
+  "watchlist schedule",
+  "watchlist import",
+  "add-ticker",
+  "remove-ticker",
+  "scan-now",
+  "timeframe set",
+  "timeframe clear",
+  "rules enable",
+  "rules disable",
+  "rules set",
+  "rules delete",
+  "rules reset",
+  "strategy enable",
+  "strategy disable",
+  "strategy set",
+  "setup",
+  "permissions",
+  "audit",
+];
+
+// Watchlists, timeframes, alert rules, strategies and the scan schedule are one set for the whole
+// bot. /setup, /permissions and /audit only touch the server they are run in.
+export const GLOBAL_COMMANDS = [
+  "watchlist create",
+  "watchlist delete",
+  "watchlist add",
+  "watchlist remove",
+  "watchlist schedule",
+  "watchlist import",
+  "add-ticker",
+  "remove-ticker",
+  "scan-now",
+  "timeframe set",
+  "timeframe clear",
+  "rules enable",
+  "rules disable",
+  "rules set",
+  "rules delete",
+  "rules reset",
+  "strategy enable",
+  "strategy disable",
+  "strategy set",
+];
+
+// label: "command" or "command subcommand", as the audit log records it
+export function changesGlobalState(label) {
+  return GLOBAL_COMMANDS.includes(label);
+}
+
+export function loadPermissions() {
+  if (!fs.existsSync(PERMISSIONS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(PERMISSIONS_FILE, "utf8"));
+  } catch (e) {
+    console.error(`Failed reading ${PERMISSIONS_FILE}, using default permissions:`, e.message);
+    return {};
+  }
+}
+
+export function savePermissions(perms) {
+  fs.writeFileSync(PERMISSIONS_FILE, JSON.stringify(perms, null, 2));
+}
+
+// The command's entry in a guild, created empty on first use
+export function commandGrant(perms, guildId, command) {
+  if (!perms[guildId]) perms[guildId] = {};
+  if (!perms[guildId][command]) perms[guildId][command] = { roles: [], users: [] };
+  return perms[guildId][command];
+}
+
+// Drops a command's entry once nothing is granted, so it falls back to the default
+export function pruneGrant(perms, guildId, command) {
+  const grant = perms[guildId]?.[command];
+  if (grant && grant.roles.length === 0 && grant.users.length === 0) delete perms[guildId][command];
+  if (perms[guildId] && Object.keys(perms[guildId]).length === 0) delete perms[guildId];
+}
+
+function isRestricted(command, sub) {
+  return RESTRICTED_COMMANDS.includes(command) || (sub != null && RESTRICTED_COMMANDS.includes(`${command} ${sub}`));
+}
+
+// Only some of its subcommands are restricted, e.g. rules
+function partlyRestricted(command) {
+  return RESTRICTED_COMMANDS.some((c) => c.startsWith(`${command} `));
+}
+
+// null when allowed, otherwise the reason to show the user.
+// who: { userId, roleIds, isAdmin, canManageGuild }; guildId is null in DMs.
+export function checkAccess(perms, { guildId, command, sub }, who) {
+  const grant = guildId ? perms[guildId]?.[command] : null;
+  // an entry covers the whole command, except the read-only parts of a partly restricted one
+  const guarded = isRestricted(command, sub) || (grant && !partlyRestricted(command));
+  if (!guarded) return null;
+  if (!guildId) return `/${command} can only be run in a server.`;
+  if (who.isAdmin) return null;
+  if (!grant) return who.canManageGuild ? null : `/${command} needs the Manage Server permission.`;
+  if (grant.users.includes(who.userId) || who.roleIds.some((r) => grant.roles.includes(r))) return null;
+  const allowed = [...grant.roles.map((r) => `<@&${r}>`), ...grant.users.map((u) => `<@${u}>`)];
+  return `/${command} is limited to ${allowed.join(", ")} in this server.`;
+}
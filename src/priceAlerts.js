@@ -0,0 +1,132 @@
+// User price alerts (price-alerts.json): a price level crossed, or a % move on the day.
+//
+//   { "nextId": 3, "alerts": [
+//     { "id": 1, "userId": "...", "channelId": "...", "ticker": "NVDA", "type": "price",
+//       "op": "above", "level": 150, "rearm": false, "armed": true, "createdAt": "...", "firedAt": null },
+//     { "id": 2, ..., "type": "move", "percent": -5, "rearm": true, "armed": true, "firedDay": null } ] }
+//
+// An alert fires once, then stays listed as fired. With rearm it fires again after it resets:
+// a price alert once price is back on the other side of the level, a move alert the next trading day.
+import fs from "fs";
+import { tradingDayKey } from "./marketCalendar.js";
+import { isIntraday } from "./timeframes.js";
+
+const PRICE_ALERTS_FILE = "./price-alerts.json";
+
+export const MAX_PRICE_ALERTS_PER_USER = 25;
+
+// { price, prevClose, time, day } from a bar series: the latest close, the previous session's
+// close, and the trading day the latest bar belongs to
+export function dayMove(raw, interval) {
+  if (!raw || raw.length < 2) return null;
+  const last = raw[raw.length - 1];
+  let prev = raw[raw.length - 2];
+  // daily bars are stamped on their trading day (midnight UTC or the open)
+  let day = new Date(last.date).toISOString().split("T")[0];
+  if (isIntraday(interval)) {
+    // the last bar of an earlier trading day
+    day = tradingDayKey(new Date(last.date));
+    prev = null;
+    for (let i = raw.length - 2; i >= 0 && !prev; i--) {
+      if (tradingDayKey(new Date(raw[i].date)) !== day) prev = raw[i];
+    }
+  }
+  return { price: last.close, prevClose: prev ? prev.close : null, time: new Date(last.date), day };
+}
+
+function movePct({ price, prevClose }) {
+  return prevClose ? ((price - prevClose) / prevClose) * 100 : null;
+}
+
+// "NVDA above $150" / "TSLA down 5% on the day"
+export function describePriceAlert(a) {
+  const what =
+    a.type === "price"
+      ? `${a.ticker} ${a.op} $${a.level}`
+      : `${a.ticker} ${a.percent >= 0 ? "up" : "down"} ${Math.abs(a.percent)}% on the day`;
+  return `${what}${a.rearm ? " (re-arms)" : ""}`;
+}
+
+export class PriceAlerts {
+  constructor(file = PRICE_ALERTS_FILE) {
+    this.file = file;
+    this.state = this._load();
+  }
+
+  _load() {
+    const defaults = { nextId: 1, alerts: [] };
+    if (!fs.existsSync(this.file)) return defaults;
+    try {
+      return { ...defaults, ...JSON.parse(fs.readFileSync(this.file, "utf8")) };
+    } catch (e) {
+      console.error(`Failed reading ${this.file}, starting without price alerts:`, e.message);
+      return defaults;
+    }
+  }
+
+  _save() {
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+  }
+
+  // fields: userId, channelId, ticker, type ("price" | "move"), op + level or percent, rearm
+  add(fields) {
+    const alert = { id: this.state.nextId++, ...fields, armed: true, createdAt: new Date().toISOString(), firedAt: null };
+    this.state.alerts.push(alert);
+    this._save();
+    return alert;
+  }
+
+  remove(userId, id) {
+    const before = this.state.alerts.length;
+    this.state.alerts = this.state.alerts.filter((a) => !(a.id === id && a.userId === userId));
+    if (this.state.alerts.length === before) return false;
+    this._save();
+    return true;
+  }
+
+  forUser(userId) {
+    return this.state.alerts.filter((a) => a.userId === userId);
+  }
+
+  // Tickers with an alert that can still fire
+  tickers() {
+    return [...new Set(this.state.alerts.filter((a) => a.armed || a.rearm).map((a) => a.ticker))];
+  }
+
+  // Alerts on `ticker` that fire at this reading; re-arms the ones that have reset.
+  // move: { price, prevClose, time, day } (see dayMove). Returns the fired alerts.
+  check(ticker, move, now = new Date()) {
+    if (!move || move.price == null) return [];
+    const pct = movePct(move);
+    const today = tradingDayKey(now);
+    // until the new session has a bar, the latest move is still the previous session's, which
+    // a move alert may already have fired on
+    const moveIsToday = (move.day ?? today) === today;
+    const fired = [];
+    let changed = false;
+    for (const a of this.state.alerts) {
+      if (a.ticker !== ticker) continue;
+      let hit;
+      if (a.type === "price") hit = a.op === "above" ? move.price >= a.level : move.price <= a.level;
+      else hit = moveIsToday && pct != null && (a.percent >= 0 ? pct >= a.percent : pct <= a.percent);
+
+      if (!a.armed) {
+        const reset = a.type === "price" ? !hit : a.firedDay !== today;
+        if (a.rearm && reset) {
+          a.armed = true;
+          changed = true;
+        }
+        continue;
+      }
+      if (!hit) continue;
+      a.armed = false;
+      a.firedAt = now.toISOString();
+      a.firedDay = today;
+      a.firedPrice = move.price;
+      changed = true;
+      fired.push({ ...a, movePct: pct });
+    }
+    if (changed) this._save();
+    return fired;
+  }
+}
@@ -0,0 +1,27 @@
+// Market data provider selection.
+// Every provider implements:
+//   getHistorical(ticker, { period1, period2, interval, lane }) -> bars sorted oldest->newest
+//   getQuote(ticker, { lane }) -> Yahoo-shaped quote object or null
+// lane is the rate limiter lane a remote provider queues the request in (src/rateLimiter.js).
+// and optionally now(ticker, interval) -> Date, the clock fetch windows are measured from.
+// A provider whose bars always mark splits (bar.split, see src/barValidation.js) sets
+// reportsSplits = true, so price jumps in its data are never taken for splits. Bars may also carry
+// dividend (the amount, on the ex-date bar); with either event the bar cache refetches its window.
+// Tickers are canonical symbols (BRK.B); a provider that spells them differently maps them itself
+// and takes per-symbol corrections through setSymbolOverrides(Map).
+import { DATA_PROVIDER, LOCAL_DATA_DIR } from "../config.js";
+import { YahooProvider } from "./yahoo.js";
+import { LocalProvider } from "./local.js";
+
+export { YahooProvider, LocalProvider };
+
+export function createProvider(name = DATA_PROVIDER) {
+  switch (name) {
+    case "yahoo":
+      return new YahooProvider();
+    case "local":
+      return new LocalProvider({ dir: LOCAL_DATA_DIR });
+    default:
+      throw new Error(`Unknown DATA_PROVIDER "${name}" (expected "yahoo" or "local")`);
+  }
+}
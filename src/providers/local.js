@@ -0,0 +1,127 @@
+// Offline market data from OHLCV files on disk.
+// Looks for <dir>/<TICKER>_<interval>.csv|json first, then <dir>/<TICKER>.csv|json.
+// CSV needs a header row with at least date and close; open/high/low/volume/adjClose are optional,
+// an optional split column marks the first bar after a split ("2:1", or "1:10" for a reverse one)
+// and an optional dividend column the ex-dividend bar (amount per share).
+// JSON is an array of { date, open, high, low, close, volume, adjClose, split, dividend } objects, split as
+// "2:1" or { numerator, denominator }.
+import fs from "fs";
+import path from "path";
+import { TIMEFRAMES } from "../timeframes.js";
+
+const NUMERIC_FIELDS = ["open", "high", "low", "close", "volume", "adjClose", "dividend"];
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim().length > 0);
+  if (lines.length === 0) return [];
+  const header = lines[0].split(",").map((h) => h.trim());
+  // accept "adjclose" / "Adj Close" style headers as adjClose
+  const keys = header.map((h) => {
+    const k = h.toLowerCase().replace(/[\s_]/g, "");
+    if (k === "adjclose") return "adjClose";
+    return k;
+  });
+  return lines.slice(1).map((line) => {
+    const cols = line.split(",");
+    const row = {};
+    keys.forEach((k, i) => {
+      row[k] = cols[i] !== undefined ? cols[i].trim() : "";
+    });
+    return row;
+  });
+}
+
+// "2:1" -> { numerator: 2, denominator: 1 }
+function parseSplit(value) {
+  const m = typeof value === "string" && value.trim().match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+  if (m) return { numerator: Number(m[1]), denominator: Number(m[2]) };
+  if (value && typeof value === "object") return { numerator: Number(value.numerator), denominator: Number(value.denominator) };
+  return null;
+}
+
+function normalizeBar(row) {
+  const bar = { date: new Date(row.date) };
+  for (const f of NUMERIC_FIELDS) {
+    if (row[f] === undefined || row[f] === "" || row[f] === null) continue;
+    const n = Number(row[f]);
+    bar[f] = Number.isFinite(n) ? n : null;
+  }
+  const split = parseSplit(row.split);
+  if (split) bar.split = split;
+  return bar;
+}
+
+export class LocalProvider {
+  constructor({ dir }) {
+    this.name = "local";
+    this.dir = dir;
+    this.cache = new Map(); // file path -> bars (files are read once)
+  }
+
+  _resolveFile(ticker, interval) {
+    const bases = interval ? [`${ticker}_${interval}`, ticker] : [ticker];
+    for (const base of bases) {
+      for (const ext of [".csv", ".json"]) {
+        const file = path.join(this.dir, base + ext);
+        if (fs.existsSync(file)) return file;
+      }
+    }
+    return null;
+  }
+
+  _loadBars(file) {
+    if (this.cache.has(file)) return this.cache.get(file);
+    const text = fs.readFileSync(file, "utf8");
+    const rows = file.endsWith(".json") ? JSON.parse(text) : parseCsv(text);
+    const bars = rows
+      .map(normalizeBar)
+      .filter((b) => !isNaN(b.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+    this.cache.set(file, bars);
+    return bars;
+  }
+
+  async getHistorical(ticker, { period1, period2, interval }) {
+    const file = this._resolveFile(ticker, interval);
+    if (!file) throw new Error(`No local data for ${ticker} in ${this.dir}`);
+    const from = period1 ? new Date(period1) : null;
+    // period2 is a date-only string for daily bars; include that whole day
+    const to = period2 ? new Date(new Date(period2).getTime() + 24 * 3600 * 1000) : null;
+    return this._loadBars(file).filter((b) => (!from || b.date >= from) && (!to || b.date < to));
+  }
+
+  // Replay clock: the local data is treated as current, so "now" is the end of the file's last bar.
+  // Fetch windows derived from now then land on the fixture data however old it is.
+  async now(ticker, interval) {
+    const file = this._resolveFile(ticker, interval);
+    if (!file) return new Date();
+    const bars = this._loadBars(file);
+    if (bars.length === 0) return new Date();
+    const last = bars[bars.length - 1].date.getTime();
+    const tf = TIMEFRAMES[interval];
+    return new Date(last + (tf && interval !== "1d" ? tf.ms : 0));
+  }
+
+  // Quote synthesized from the last two bars, in the same shape Yahoo returns
+  async getQuote(ticker) {
+    const bars = await this.getHistorical(ticker, {});
+    if (bars.length === 0) return null;
+    const last = bars[bars.length - 1];
+    const prev = bars.length > 1 ? bars[bars.length - 2] : null;
+    const recent = bars.slice(-10);
+    const avgVolume = recent.reduce((a, b) => a + (b.volume || 0), 0) / recent.length;
+    const change = prev ? last.close - prev.close : 0;
+    return {
+      symbol: ticker,
+      shortName: ticker,
+      regularMarketPrice: last.close,
+      regularMarketChange: change,
+      regularMarketChangePercent: prev && prev.close ? (change / prev.close) * 100 : 0,
+      regularMarketVolume: last.volume ?? 0,
+      regularMarketDayHigh: last.high,
+      regularMarketDayLow: last.low,
+      regularMarketTime: last.date,
+      averageDailyVolume10Day: avgVolume,
+    };
+  }
+}
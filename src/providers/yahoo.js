@@ -0,0 +1,69 @@
+// Live market data from Yahoo Finance (yahoo-finance2)
+import YahooFinance from "yahoo-finance2";
+import { yahooLimiter } from "../rateLimiter.js";
+
+// Yahoo writes share classes and preferreds with dashes: BRK.B -> BRK-B, ABR^D -> ABR-PD
+export function yahooSymbol(ticker) {
+  return ticker.replace(/[./]/g, "-").replace(/(?<=\w)\^/, "-P");
+}
+
+export class YahooProvider {
+  constructor({ client = new YahooFinance(), limiter = yahooLimiter } = {}) {
+    this.name = "yahoo";
+    this.client = client;
+    this.limiter = limiter;
+    this.overrides = new Map(); // canonical symbol -> Yahoo symbol, from tickers.csv
+    this.reportsSplits = true; // bars carry split events, see getHistorical
+  }
+
+  setSymbolOverrides(overrides) {
+    this.overrides = overrides;
+  }
+
+  symbol(ticker) {
+    return this.overrides.get(ticker) || yahooSymbol(ticker);
+  }
+
+  // Bars sorted oldest->newest: [{ date, open, high, low, close, volume, adjClose, split?, dividend? }],
+  // from the chart endpoint with its split and dividend events. The first bar trading at a split's
+  // new share count carries split: { numerator, denominator } (2:1 -> { 2, 1 }), the ex-dividend
+  // bar dividend: amount per share.
+  async getHistorical(ticker, { period1, period2, interval, lane }) {
+    await this.limiter.consume(lane);
+    const chart = await this.client.chart(this.symbol(ticker), {
+      period1,
+      period2,
+      interval: interval || "1d",
+      events: "split|div",
+      return: "array",
+    });
+    if (!chart || !Array.isArray(chart.quotes)) return [];
+    // rows with every price null are placeholders for days Yahoo has no data for
+    const bars = chart.quotes
+      .filter((q) => q.close != null || q.open != null)
+      .map(({ adjclose, ...q }) => (adjclose == null ? q : { ...q, adjClose: adjclose }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    // events are stamped on their day; they go on the first bar from that day on
+    const barFrom = (date) => {
+      const day = new Date(date).toISOString().split("T")[0];
+      return bars.find((b) => new Date(b.date).toISOString().split("T")[0] >= day);
+    };
+    for (const { date, numerator, denominator } of chart.events?.splits || []) {
+      const bar = barFrom(date);
+      if (bar) bar.split = { numerator, denominator };
+    }
+    for (const { date, amount } of chart.events?.dividends || []) {
+      const bar = barFrom(date);
+      if (bar) bar.dividend = amount;
+    }
+    return bars;
+  }
+
+  // Latest quote (Yahoo quote shape: regularMarketPrice, regularMarketVolume, ...)
+  async getQuote(ticker, { lane } = {}) {
+    await this.limiter.consume(lane);
+    const result = await this.client.quote(this.symbol(ticker));
+    if (!result || typeof result.regularMarketPrice === "undefined") return null;
+    return result;
+  }
+}
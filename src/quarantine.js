@@ -0,0 +1,76 @@
+// Dead-symbol quarantine (quarantine.json): tickers whose fetches keep failing for reasons of their
+// own (not found, unreadable data) are left out of the scans instead of failing every pass.
+//
+//   { "failures": { "XYZ": 2 },
+//     "held": { "ABCD": { "since": "...", "lastTriedAt": "...", "kind": "not-found", "error": "..." } } }
+//
+// A held ticker is tried again once a day; data coming back releases it. Rate limits and network
+// trouble never count against a ticker.
+import fs from "fs";
+
+const QUARANTINE_FILE = "./quarantine.json";
+// consecutive symbol failures before a ticker is held
+export const QUARANTINE_AFTER_FAILURES = 5;
+const RETRY_AFTER_MS = 24 * 3600 * 1000;
+
+export class Quarantine {
+  constructor(file = QUARANTINE_FILE) {
+    this.file = file;
+    this.state = { failures: {}, held: {} };
+    if (fs.existsSync(file)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        this.state = { failures: saved.failures || {}, held: saved.held || {} };
+      } catch (e) {
+        console.error(`Failed reading ${file}, starting with nothing quarantined:`, e.message);
+      }
+    }
+  }
+
+  _save() {
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+  }
+
+  // Held and not due for its daily retry
+  isHeld(ticker, now = Date.now()) {
+    const held = this.state.held[ticker];
+    return Boolean(held) && now - new Date(held.lastTriedAt).getTime() < RETRY_AFTER_MS;
+  }
+
+  // error: a FetchError with symbolProblem set. Returns true when this failure quarantined the ticker.
+  recordFailure(ticker, error, now = new Date()) {
+    const held = this.state.held[ticker];
+    if (held) {
+      Object.assign(held, { lastTriedAt: now.toISOString(), kind: error.kind, error: error.message });
+      this._save();
+      return false;
+    }
+    const failures = (this.state.failures[ticker] || 0) + 1;
+    if (failures < QUARANTINE_AFTER_FAILURES) {
+      this.state.failures[ticker] = failures;
+      this._save();
+      return false;
+    }
+    delete this.state.failures[ticker];
+    this.state.held[ticker] = { since: now.toISOString(), lastTriedAt: now.toISOString(), kind: error.kind, error: error.message };
+    this._save();
+    return true;
+  }
+
+  // Returns true when the ticker was held and is now released
+  recordSuccess(ticker) {
+    const wasHeld = Boolean(this.state.held[ticker]);
+    if (!wasHeld && !this.state.failures[ticker]) return false;
+    delete this.state.failures[ticker];
+    delete this.state.held[ticker];
+    this._save();
+    return wasHeld;
+  }
+
+  // [{ ticker, since, lastTriedAt, kind, error }], longest held first
+  list() {
+    return Object.entries(this.state.held)
+      .map(([ticker, h]) => ({ ticker, ...h }))
+      .sort((a, b) => new Date(a.since) - new Date(b.since));
+  }
+}
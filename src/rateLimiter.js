@@ -0,0 +1,103 @@
+// ---- Rate limiter with priority lanes ----
+// A token bucket refilled at maxPerMinute, shared by three lanes, highest priority first:
+//   interactive  slash commands waiting on an answer
+//   followup     work following up on sent alerts (performance tracking)
+//   background   the watchlist scans
+// Waiting requests are served lane by lane, FIFO within a lane. A reserved share of the bucket
+// can only be spent by interactive requests, so a scan draining the budget still leaves a few
+// tokens for the next command. Waits are a single timer set to when the next token is due.
+import { RATE_LIMIT_PER_MIN, RATE_LIMIT_INTERACTIVE_SHARE } from "./config.js";
+
+export const LANES = ["interactive", "followup", "background"];
+export const DEFAULT_LANE = "background";
+
+export async function sleep(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+export class RateLimiter {
+  // interactiveShare: fraction of maxPerMinute only the interactive lane may use
+  constructor(maxPerMinute, { interactiveShare = 0 } = {}) {
+    this.maxPerMinute = maxPerMinute;
+    this.tokens = maxPerMinute;
+    this.refillRate = maxPerMinute / 60; // tokens per second
+    this.lastRefill = Date.now();
+    this.reserve = Math.min(maxPerMinute - 1, Math.max(0, maxPerMinute * interactiveShare));
+
+    this.queues = Object.fromEntries(LANES.map((lane) => [lane, []]));
+    this.served = Object.fromEntries(LANES.map((lane) => [lane, 0]));
+    this.timer = null;
+  }
+
+  // Resolves once a token is taken for this lane
+  consume(lane = DEFAULT_LANE) {
+    if (!this.queues[lane]) throw new Error(`Unknown rate limiter lane "${lane}" (expected ${LANES.join(", ")})`);
+    return new Promise((resolve) => {
+      this.queues[lane].push({ resolve, queuedAt: Date.now() });
+      this._pump();
+    });
+  }
+
+  // Tokens a request in this lane needs in the bucket before it may take one
+  _needed(lane) {
+    return lane === "interactive" ? 1 : 1 + this.reserve;
+  }
+
+  _pump() {
+    this._refill();
+    for (;;) {
+      const lane = LANES.find((l) => this.queues[l].length > 0);
+      if (!lane) return;
+      const needed = this._needed(lane);
+      if (this.tokens < needed) {
+        // lower lanes need at least as much, so nothing else can go before this one
+        this._wakeIn(((needed - this.tokens) / this.refillRate) * 1000);
+        return;
+      }
+      this.tokens -= 1;
+      this.served[lane] += 1;
+      this.queues[lane].shift().resolve();
+    }
+  }
+
+  // (Re)arm the timer: a new interactive request can need an earlier wake-up than the one set
+  _wakeIn(ms) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._pump();
+    }, Math.ceil(ms));
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsedSec = (now - this.lastRefill) / 1000;
+    const refillAmount = elapsedSec * this.refillRate;
+
+    if (refillAmount > 0) {
+      this.tokens = Math.min(
+        this.maxPerMinute,
+        this.tokens + refillAmount
+      );
+      this.lastRefill = now;
+    }
+  }
+
+  // Snapshot for /status: queued and served requests per lane, and the oldest wait in each
+  status() {
+    this._refill();
+    const now = Date.now();
+    const lanes = {};
+    for (const lane of LANES) {
+      const queue = this.queues[lane];
+      lanes[lane] = {
+        queued: queue.length,
+        served: this.served[lane],
+        oldestWaitSec: queue.length > 0 ? Math.round((now - queue[0].queuedAt) / 1000) : null,
+      };
+    }
+    return { maxPerMinute: this.maxPerMinute, tokens: this.tokens, reserve: this.reserve, lanes };
+  }
+}
+
+export const yahooLimiter = new RateLimiter(RATE_LIMIT_PER_MIN, { interactiveShare: RATE_LIMIT_INTERACTIVE_SHARE });
@@ -0,0 +1,143 @@
+// Resilient fetching: error classification, retries with backoff and a circuit breaker.
+//
+// Every provider failure becomes a FetchError of one kind:
+//   rate-limit  the provider is throttling us (HTTP 429)
+//   transient   network trouble or a 5xx; worth retrying
+//   not-found   unknown or delisted symbol, or no bars at all
+//   bad-data    a response we couldn't read
+//   unknown     anything else
+// plus circuit-open, for requests refused while the breaker is open.
+// Transient failures are retried a few times with jittered exponential backoff. Rate limits
+// aren't retried: they count toward the breaker, which stops all requests for a while once the
+// provider is clearly throttling us.
+import { sleep } from "./rateLimiter.js";
+
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ENETUNREACH", "EHOSTUNREACH"];
+
+export class FetchError extends Error {
+  constructor(kind, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "FetchError";
+    this.kind = kind;
+  }
+
+  // the symbol's own fault, so it counts toward quarantine (src/quarantine.js)
+  get symbolProblem() {
+    return this.kind === "not-found" || this.kind === "bad-data";
+  }
+}
+
+export function classifyError(err) {
+  if (err instanceof FetchError) return err.kind;
+  const status = typeof err?.code === "number" ? err.code : err?.status ?? err?.response?.status;
+  const code = err?.code || err?.cause?.code;
+  const message = String(err?.message || "");
+  if (status === 429 || /too many requests|rate.?limit/i.test(message)) return "rate-limit";
+  if (status === 404 || err?.name === "NotFoundError" || /not found|no data found|delisted|no local data/i.test(message)) return "not-found";
+  if (err?.name === "FailedYahooValidationError" || err instanceof SyntaxError || /not parsable|unexpected token|invalid json/i.test(message)) return "bad-data";
+  if ((status >= 500 && status < 600) || NETWORK_CODES.includes(code) || String(code).startsWith("UND_ERR_") || /fetch failed|socket hang up|network|timed? ?out/i.test(message)) {
+    return "transient";
+  }
+  return "unknown";
+}
+
+export function toFetchError(err) {
+  if (err instanceof FetchError) return err;
+  return new FetchError(classifyError(err), err?.message || String(err), { cause: err });
+}
+
+// Full-jitter exponential backoff: anywhere up to baseMs * 2^attempt, capped at maxMs
+export function backoffMs(attempt, { baseMs = 1000, maxMs = 15000 } = {}) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+// Run fn, retrying transient failures up to `retries` times. Throws the last FetchError.
+export async function withRetries(fn, { retries = 2, baseMs = 1000, maxMs = 15000, onRetry = () => {} } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const error = toFetchError(err);
+      if (error.kind !== "transient" || attempt >= retries) throw error;
+      const wait = backoffMs(attempt, { baseMs, maxMs });
+      onRetry(error, attempt + 1, wait);
+      await sleep(wait);
+    }
+  }
+}
+
+// Opens after `threshold` rate-limit failures within windowMs and refuses requests for cooldownMs.
+// Once that passes requests go through again (half-open): a success closes the breaker, another
+// rate limit reopens it for twice as long, up to maxCooldownMs. onOpen / onClose fire once per
+// outage, not on every reopen.
+export class CircuitBreaker {
+  constructor({ threshold = 5, windowMs = 60 * 1000, cooldownMs = 5 * 60 * 1000, maxCooldownMs = 60 * 60 * 1000, onOpen = () => {}, onClose = () => {} } = {}) {
+    this.threshold = threshold;
+    this.windowMs = windowMs;
+    this.baseCooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+
+    this.failures = []; // timestamps of recent rate-limit failures
+    this.cooldownMs = cooldownMs;
+    this.openedAt = null; // start of the current outage
+    this.openUntil = 0;
+    this.trips = 0;
+  }
+
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() < this.openUntil ? "open" : "half-open";
+  }
+
+  // ms until requests may go through again; 0 unless open
+  msUntilClose() {
+    return Math.max(0, this.openUntil - Date.now());
+  }
+
+  // Throws a circuit-open FetchError while the breaker is open
+  check() {
+    if (this.state !== "open") return;
+    throw new FetchError("circuit-open", `requests paused for ${Math.ceil(this.msUntilClose() / 1000)}s after repeated rate limits`);
+  }
+
+  recordSuccess() {
+    this.failures = [];
+    if (this.openedAt === null) return;
+    const outageMs = Date.now() - this.openedAt;
+    this.openedAt = null;
+    this.openUntil = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.onClose({ outageMs });
+  }
+
+  recordFailure(kind) {
+    if (kind !== "rate-limit") return;
+    const now = Date.now();
+    if (this.state === "half-open") {
+      this.cooldownMs = Math.min(this.maxCooldownMs, this.cooldownMs * 2);
+      this._open(now);
+      return;
+    }
+    this.failures = this.failures.filter((t) => now - t < this.windowMs);
+    this.failures.push(now);
+    if (this.state === "closed" && this.failures.length >= this.threshold) {
+      const failures = this.failures.length;
+      this.openedAt = now;
+      this._open(now);
+      this.onOpen({ cooldownMs: this.cooldownMs, failures });
+    }
+  }
+
+  _open(now) {
+    this.failures = [];
+    this.openUntil = now + this.cooldownMs;
+    this.trips += 1;
+  }
+
+  // Snapshot for /status
+  status() {
+    return { state: this.state, msUntilClose: this.msUntilClose(), openedAt: this.openedAt, trips: this.trips, recentFailures: this.failures.length };
+  }
+}
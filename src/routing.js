@@ -0,0 +1,65 @@
+// Alert routing: which channel in each guild receives which signal, stored in routing.json.
+//
+//   {
+//     "<guildId>": {
+//       "defaultChannel": "<channelId>",                 // everything not routed below
+//       "signals": { "bearish-cross": "<channelId>", "divergence": null },   // null = muted
+//       "watchlists": { "default": "<channelId>", "penny": null },         // null = muted
+//       "watchlistsOptIn": false      // true: only watchlists routed to a channel above post here
+//     }
+//   }
+//
+// A signal is a rule name, a strategy name (e.g. volume-momentum) or a digest (DIGEST_SIGNALS).
+// A muted (or, with watchlistsOptIn, unrouted) watchlist posts nothing in that guild. Otherwise
+// signal routes win over watchlist routes, which win over the guild default.
+import fs from "fs";
+
+const ROUTING_FILE = "./routing.json";
+
+// Posts that aren't alerts but can be routed like one
+// (data-status: the data source throttling us, and recovering)
+export const DIGEST_SIGNALS = ["scorecard", "data-status"];
+
+export function loadRouting() {
+  if (!fs.existsSync(ROUTING_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(ROUTING_FILE, "utf8"));
+  } catch (e) {
+    console.error(`Failed reading ${ROUTING_FILE}, no routes configured:`, e.message);
+    return {};
+  }
+}
+
+export function saveRouting(routing) {
+  fs.writeFileSync(ROUTING_FILE, JSON.stringify(routing, null, 2));
+}
+
+// The guild's routes, created empty on first use
+export function guildRoutes(routing, guildId) {
+  if (!routing[guildId]) routing[guildId] = { defaultChannel: null, signals: {}, watchlists: {}, watchlistsOptIn: false };
+  return routing[guildId];
+}
+
+// Whether the guild takes alerts from `watchlist` at all
+function followsWatchlist(routes, watchlist) {
+  if (!routes || !watchlist || !routes.watchlists) return true;
+  const route = routes.watchlists[watchlist];
+  return route !== null && !(routes.watchlistsOptIn && !route);
+}
+
+// Channel ids that should receive `signal` (from `watchlist`, if any), at most one per guild.
+// fallbackChannelId (DISCORD_CHANNEL_ID) is the default of its guild until one is set there.
+export function resolveChannels(routing, { signal, watchlist, fallbackChannelId, fallbackGuildId }) {
+  const out = [];
+  const guilds = { ...routing };
+  if (fallbackChannelId && !(fallbackGuildId && routing[fallbackGuildId])) guilds[fallbackGuildId || "fallback"] = null;
+  for (const [guildId, routes] of Object.entries(guilds)) {
+    if (!followsWatchlist(routes, watchlist)) continue;
+    const defaultChannel = routes?.defaultChannel || (guildId === (fallbackGuildId || "fallback") ? fallbackChannelId : null);
+    let channel;
+    if (routes && Object.prototype.hasOwnProperty.call(routes.signals, signal)) channel = routes.signals[signal];
+    else channel = (watchlist && routes?.watchlists[watchlist]) || defaultChannel;
+    if (channel && !out.includes(channel)) out.push(channel);
+  }
+  return out;
+}
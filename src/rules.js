@@ -0,0 +1,234 @@
+// Alert rules: declarative conditions over an analyzer result, stored in alert-rules.json.
+//
+// A rule looks like:
+//   {
+//     "name": "bullish-cross",            // unique id used by /rules
+//     "alert": "Bullish MACD cross",      // the alert this rule produces
+//     "direction": "bullish",             // "bullish" | "bearish" (embed color, backtest side)
+//     "enabled": true,
+//     "when": { "all": [ { "cross": "bullish" }, { "histogram": "rising" } ] }
+//   }
+//
+// Conditions combine with { "all": [...] }, { "any": [...] } and { "not": cond }. Leaves:
+//   { "cross": "bullish" | "bearish" | "any" | "none" }
+//   { "divergence": "bullish" | "bearish" | "hidden-bullish" | "hidden-bearish" | "any" | "none" }
+//   { "divergenceStrength": { "min": 50 } }        (strongest divergence, 0-100; see src/divergence.js)
+//   { "histogram": "rising" | "falling" }
+//   { "price": "rising" | "falling" }
+//   { "priceChangePct": { "min": 1, "max": 5 } }   (either bound optional, also for divergenceStrength)
+//   { "macd": "above-zero" | "below-zero" }
+import fs from "fs";
+
+const RULES_FILE = "./alert-rules.json";
+
+// Reproduces the original hardcoded filters; the other two are off until enabled.
+export const DEFAULT_RULES = [
+  {
+    name: "bullish-cross",
+    alert: "Bullish MACD",
+    direction: "bullish",
+    enabled: true,
+    when: { all: [{ cross: "bullish" }, { histogram: "rising" }, { price: "rising" }] },
+  },
+  {
+    name: "bearish-cross",
+    alert: "Bearish MACD",
+    direction: "bearish",
+    enabled: false,
+    when: { all: [{ cross: "bearish" }, { histogram: "falling" }, { price: "falling" }] },
+  },
+  {
+    name: "divergence",
+    alert: "MACD Divergence",
+    direction: "bullish",
+    enabled: false,
+    when: { all: [{ divergence: "bullish" }, { cross: "none" }] },
+  },
+];
+
+const LEAF_VALUES = {
+  cross: ["bullish", "bearish", "any", "none"],
+  divergence: ["bullish", "bearish", "hidden-bullish", "hidden-bearish", "any", "none"],
+  histogram: ["rising", "falling"],
+  price: ["rising", "falling"],
+  macd: ["above-zero", "below-zero"],
+};
+
+// leaves taking { min, max } instead of one of LEAF_VALUES
+const RANGE_LEAVES = ["priceChangePct", "divergenceStrength"];
+
+function inRange(v, { min, max }) {
+  return (min === undefined || v >= min) && (max === undefined || v <= max);
+}
+
+// Throws an Error describing the first problem found
+export function validateCondition(cond, path = "when") {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) {
+    throw new Error(`${path} must be an object`);
+  }
+  const keys = Object.keys(cond);
+  if (keys.length !== 1) throw new Error(`${path} must have exactly one key, got ${keys.join(", ") || "none"}`);
+  const [key] = keys;
+  const value = cond[key];
+
+  if (key === "all" || key === "any") {
+    if (!Array.isArray(value) || value.length === 0) throw new Error(`${path}.${key} must be a non-empty array`);
+    value.forEach((c, i) => validateCondition(c, `${path}.${key}[${i}]`));
+    return;
+  }
+  if (key === "not") return validateCondition(value, `${path}.not`);
+  if (RANGE_LEAVES.includes(key)) {
+    if (!value || typeof value !== "object") throw new Error(`${path}.${key} must be { min, max }`);
+    for (const [k, v] of Object.entries(value)) {
+      if (k !== "min" && k !== "max") throw new Error(`${path}.${key} has unknown bound "${k}"`);
+      if (typeof v !== "number") throw new Error(`${path}.${key}.${k} must be a number`);
+    }
+    return;
+  }
+  if (!LEAF_VALUES[key]) throw new Error(`${path} has unknown condition "${key}"`);
+  if (!LEAF_VALUES[key].includes(value)) {
+    throw new Error(`${path}.${key} must be one of ${LEAF_VALUES[key].join(", ")}`);
+  }
+}
+
+export function validateRule(rule) {
+  if (!rule || typeof rule !== "object") throw new Error("rule must be an object");
+  if (typeof rule.name !== "string" || !/^[a-z0-9-]{1,32}$/.test(rule.name)) {
+    throw new Error("name must be 1-32 chars of a-z, 0-9 or -");
+  }
+  if (typeof rule.alert !== "string" || rule.alert.trim().length === 0) throw new Error("alert must be a non-empty string");
+  if (rule.direction !== "bullish" && rule.direction !== "bearish") throw new Error('direction must be "bullish" or "bearish"');
+  if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") throw new Error("enabled must be true or false");
+  validateCondition(rule.when);
+}
+
+export function loadRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    fs.writeFileSync(RULES_FILE, JSON.stringify(DEFAULT_RULES, null, 2));
+  }
+  return readRules();
+}
+
+// Same as loadRules without writing the defaults out, for read-only callers like the backtester
+export function readRules() {
+  if (!fs.existsSync(RULES_FILE)) return DEFAULT_RULES.map((r) => ({ ...r }));
+  try {
+    const rules = JSON.parse(fs.readFileSync(RULES_FILE, "utf8"));
+    rules.forEach(validateRule);
+    return rules;
+  } catch (e) {
+    console.error(`Failed reading ${RULES_FILE}, using default rules:`, e.message);
+    return DEFAULT_RULES.map((r) => ({ ...r }));
+  }
+}
+
+export function saveRules(rules) {
+  fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2));
+}
+
+function matchesKind(actual, wanted) {
+  // actual is e.g. "bullish-cross" / "bearish-div" / null
+  if (wanted === "any") return actual != null;
+  if (wanted === "none") return actual == null;
+  return actual != null && actual.startsWith(`${wanted}-`);
+}
+
+export function evaluateCondition(cond, res) {
+  const [key] = Object.keys(cond);
+  const value = cond[key];
+  switch (key) {
+    case "all":
+      return value.every((c) => evaluateCondition(c, res));
+    case "any":
+      return value.some((c) => evaluateCondition(c, res));
+    case "not":
+      return !evaluateCondition(value, res);
+    case "cross":
+      return matchesKind(res.cross, value);
+    case "divergence":
+      // any of the divergences found, not only the strongest
+      if (value === "any" || value === "none") return matchesKind(res.divergence, value);
+      return (res.divergences || []).some((d) => matchesKind(d.type, value));
+    case "divergenceStrength":
+      return res.divergences?.length > 0 && inRange(res.divergences[0].strength, value);
+    case "histogram":
+      if (res.histNow == null || res.histPrev == null) return false;
+      return value === "rising" ? res.histNow > res.histPrev : res.histNow < res.histPrev;
+    case "price":
+      return value === "rising" ? res.price > res.prevPrice : res.price < res.prevPrice;
+    case "priceChangePct": {
+      if (!res.prevPrice) return false;
+      return inRange(((res.price - res.prevPrice) / res.prevPrice) * 100, value);
+    }
+    case "macd":
+      return value === "above-zero" ? res.macdNow > 0 : res.macdNow < 0;
+    default:
+      return false;
+  }
+}
+
+// Enabled rules whose conditions hold for this analyzer result
+export function matchRules(rules, res) {
+  return rules.filter((r) => r.enabled !== false && evaluateCondition(r.when, res));
+}
+
+// Short human-readable form, e.g. "cross bullish AND histogram rising"
+export function describeCondition(cond) {
+  const [key] = Object.keys(cond);
+  const value = cond[key];
+  if (key === "all" || key === "any") {
+    const parts = value.map((c) => {
+      const inner = describeCondition(c);
+      const [k] = Object.keys(c);
+      return k === "all" || k === "any" ? `(${inner})` : inner;
+    });
+    return parts.join(key === "all" ? " AND " : " OR ");
+  }
+  if (key === "not") return `NOT (${describeCondition(value)})`;
+  if (RANGE_LEAVES.includes(key)) {
+    const unit = key === "priceChangePct" ? "%" : "";
+    const bounds = [];
+    if (value.min !== undefined) bounds.push(`≥ ${value.min}${unit}`);
+    if (value.max !== undefined) bounds.push(`≤ ${value.max}${unit}`);
+    return `${key === "priceChangePct" ? "price change" : "divergence strength"} ${bounds.join(" and ")}`;
+  }
+  return `${key} ${value}`;
+}
+
+// The value a leaf condition looked at, for explanations
+function observedValue(key, res) {
+  const num = (v, digits) => (v == null ? "n/a" : v.toFixed(digits));
+  switch (key) {
+    case "cross":
+      return res.cross || "none";
+    case "divergence":
+      return res.divergences?.length > 0 ? res.divergences.map((d) => d.type).join(", ") : res.divergence || "none";
+    case "divergenceStrength":
+      return res.divergences?.length > 0 ? String(res.divergences[0].strength) : "no divergence";
+    case "histogram":
+      return `${num(res.histPrev, 4)} → ${num(res.histNow, 4)}`;
+    case "price":
+      return `${res.prevPrice} → ${res.price}`;
+    case "priceChangePct":
+      return res.prevPrice ? `${(((res.price - res.prevPrice) / res.prevPrice) * 100).toFixed(2)}%` : "n/a";
+    case "macd":
+      return num(res.macdNow, 4);
+    default:
+      return "n/a";
+  }
+}
+
+// Condition tree as lines marked pass/fail, each leaf with the value it saw, e.g.
+//   ✅ all of:
+//     ❌ cross bullish (is none)
+export function explainCondition(cond, res, depth = 0) {
+  const indent = "\u2003".repeat(depth); // em spaces: Discord keeps them at the start of a line
+  const mark = evaluateCondition(cond, res) ? "✅" : "❌";
+  const [key] = Object.keys(cond);
+  const value = cond[key];
+  if (key === "all" || key === "any") {
+    return [`${indent}${mark} ${key} of:`, ...value.flatMap((c) => explainCondition(c, res, depth + 1))];
+  }
+  if (key === "not") return [`${indent}${mark} not:`, ...explainCondition(value, res, depth + 1)];
+  return [`${indent}${mark} ${describeCondition(cond)} (is ${observedValue(key, res)})`];
+}
@@ -0,0 +1,258 @@
+// Scan scheduler: walks a ticker universe in fixed-size shards, one ticker at a time.
+// - only one pass runs per scheduler, so a slow universe can't pile up overlapping scans
+// - each shard is rescanned once its cadence has elapsed since its last run; the cadence can
+//   differ per shard, and shards that aren't due yet are skipped in the rotation
+// - the cursor is saved after every shard (and when the scheduler is stopped mid-shard), so a
+//   restart resumes at the shard the last pass stopped in
+// - with isOpen, scanning pauses while it returns false, after one final pass once it closes
+// - with holdMs, scanning waits between tickers while it returns more than 0
+import fs from "fs";
+import chalk from "chalk";
+
+const STATE_FILE = "./scan-state.json";
+
+function readAllState() {
+  if (!fs.existsSync(STATE_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+  } catch (e) {
+    console.error(`Failed reading ${STATE_FILE}, starting fresh:`, e.message);
+    return {};
+  }
+}
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+export class ScanScheduler {
+  // getTickers: () => current universe; scanTicker: async (ticker) => { errors } (throwing counts as an error)
+  // cadenceSec: number, or (shardIndex) => number for per-shard cadence
+  // isOpen: () => whether scanning is allowed now; msUntilOpen: () => how long to pause when not
+  // holdMs: () => ms to wait before the next ticker, e.g. while the data source refuses requests
+  constructor({ name, getTickers, scanTicker, shardSize, cadenceSec, isOpen = () => true, msUntilOpen = () => 60000, holdMs = () => 0 }) {
+    this.name = name;
+    this.getTickers = getTickers;
+    this.scanTicker = scanTicker;
+    this.shardSize = shardSize;
+    this.cadenceSec = cadenceSec;
+    this.isOpen = isOpen;
+    this.msUntilOpen = msUntilOpen;
+    this.holdMs = holdMs;
+    this.wasOpen = false;
+    this.finalShardsLeft = 0; // shards left in an end-of-session or manual pass while closed
+
+    this.running = false;
+    this.busy = false; // a shard is being scanned right now
+    this.currentTicker = null;
+    this.secPerTicker = null; // moving average, for the ETA
+    this._wake = null;
+
+    const saved = readAllState()[name] || {};
+    this.state = {
+      shard: saved.shard || 0,
+      offset: saved.offset || 0,
+      shardLastRun: saved.shardLastRun || {}, // shard index -> ms
+      passStartedAt: saved.passStartedAt || null,
+      lastFullPassAt: saved.lastFullPassAt || null,
+      lastPassDurationSec: saved.lastPassDurationSec || null,
+      passes: saved.passes || 0,
+      errorsThisPass: saved.errorsThisPass || 0,
+      errorsLastPass: saved.errorsLastPass || 0,
+      errorsTotal: saved.errorsTotal || 0,
+    };
+  }
+
+  _save() {
+    const all = readAllState();
+    all[this.name] = this.state;
+    fs.writeFileSync(STATE_FILE, JSON.stringify(all, null, 2));
+  }
+
+  _cadenceMs(shardIdx) {
+    const sec = typeof this.cadenceSec === "function" ? this.cadenceSec(shardIdx) : this.cadenceSec;
+    return sec * 1000;
+  }
+
+  // Sleep until `ms` passes or wake() is called
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+      this._wake = done;
+    });
+  }
+
+  wake() {
+    if (this._wake) this._wake();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._loop().catch((e) => {
+      console.error(chalk.red(`Scheduler ${this.name} stopped: ${e.message}`));
+      this.running = false;
+    });
+  }
+
+  stop() {
+    this.running = false;
+    this.wake();
+  }
+
+  // Mark every shard due so the loop rescans them as soon as possible (one pass even while
+  // closed). Returns false when a pass is already in progress (it just continues).
+  triggerNow() {
+    const wasBusy = this.busy;
+    if (this.paused) this.finalShardsLeft = Math.ceil(this.getTickers().length / this.shardSize);
+    this.state.shardLastRun = {};
+    this._save();
+    this.wake();
+    return !wasBusy;
+  }
+
+  get paused() {
+    return !this.wasOpen && this.finalShardsLeft === 0;
+  }
+
+  async _loop() {
+    while (this.running) {
+      const shards = chunk(this.getTickers(), this.shardSize);
+      if (shards.length === 0) {
+        await this._sleep(this._cadenceMs(0));
+        continue;
+      }
+      if (this.state.shard >= shards.length) {
+        this.state.shard = 0;
+        this.state.offset = 0;
+      }
+
+      if (this.isOpen()) {
+        this.wasOpen = true;
+        this.finalShardsLeft = 0;
+      } else {
+        if (this.wasOpen) {
+          // the session just closed: scan every shard once more to catch the closing bars
+          this.wasOpen = false;
+          this.finalShardsLeft = shards.length;
+          this.state.shardLastRun = {};
+          console.log(chalk.blue(`[${this.name}] Session closed — running a final pass over ${shards.length} shard(s)`));
+        }
+        if (this.finalShardsLeft === 0) {
+          await this._sleep(Math.max(this.msUntilOpen(), 1000));
+          continue;
+        }
+      }
+
+      const { idx, dueAt } = this._nextShard(shards.length);
+      if (Date.now() < dueAt) {
+        await this._sleep(dueAt - Date.now());
+        continue;
+      }
+
+      await this._runShard(idx, shards[idx], shards.length);
+      if (this.finalShardsLeft > 0 && !this.wasOpen) {
+        this.finalShardsLeft -= 1;
+        if (this.finalShardsLeft === 0) console.log(chalk.blue(`[${this.name}] Final pass done — paused until the next session`));
+      }
+    }
+  }
+
+  // The shard to scan next and when it is due: a shard stopped partway through first, otherwise the
+  // first due shard in rotation order from the current one, otherwise the one due soonest
+  _nextShard(shardCount) {
+    const dueAt = (idx) => (this.state.shardLastRun[idx] || 0) + this._cadenceMs(idx);
+    if (this.state.offset > 0) return { idx: this.state.shard, dueAt: Date.now() };
+    let next = null;
+    for (let k = 0; k < shardCount; k++) {
+      const idx = (this.state.shard + k) % shardCount;
+      if (dueAt(idx) <= Date.now()) return { idx, dueAt: dueAt(idx) };
+      if (!next || dueAt(idx) < next.dueAt) next = { idx, dueAt: dueAt(idx) };
+    }
+    return next;
+  }
+
+  async _runShard(idx, shard, shardCount) {
+    this.busy = true;
+    if (!this.state.passStartedAt) this.state.passStartedAt = Date.now();
+    console.log(chalk.magenta(`[${this.name}] Scanning shard ${idx + 1}/${shardCount} (${shard.length} tickers) from #${this.state.offset + 1}`));
+
+    try {
+      for (let i = this.state.offset; i < shard.length; i++) {
+        for (let hold = this.holdMs(); hold > 0 && this.running; hold = this.holdMs()) await this._sleep(hold);
+        if (!this.running) {
+          this._save();
+          return;
+        }
+        const sym = shard[i];
+        this.currentTicker = sym;
+        const started = Date.now();
+        let errors = 0;
+        try {
+          const result = await this.scanTicker(sym);
+          errors = (result && result.errors) || 0;
+        } catch (err) {
+          console.error(chalk.red(`[${this.name}] Error scanning ${sym}: ${err.message}`));
+          errors = 1;
+        }
+        const sec = (Date.now() - started) / 1000;
+        this.secPerTicker = this.secPerTicker === null ? sec : this.secPerTicker * 0.9 + sec * 0.1;
+        this.state.errorsThisPass += errors;
+        this.state.errorsTotal += errors;
+        this.state.offset = i + 1;
+      }
+
+      this.state.shardLastRun[idx] = Date.now();
+      this.state.shard = idx + 1;
+      this.state.offset = 0;
+      if (this.state.shard >= shardCount) {
+        this.state.shard = 0;
+        this.state.passes += 1;
+        this.state.lastFullPassAt = Date.now();
+        if (this.state.passStartedAt) {
+          this.state.lastPassDurationSec = Math.round((Date.now() - this.state.passStartedAt) / 1000);
+        }
+        this.state.passStartedAt = null;
+        this.state.errorsLastPass = this.state.errorsThisPass;
+        this.state.errorsThisPass = 0;
+        console.log(chalk.green(`[${this.name}] Full pass #${this.state.passes} finished`));
+      }
+      this._save();
+    } finally {
+      this.busy = false;
+      this.currentTicker = null;
+    }
+  }
+
+  // Snapshot for /status
+  status() {
+    const total = this.getTickers().length;
+    const position = Math.min(this.state.shard * this.shardSize + this.state.offset, total);
+    const remaining = total - position;
+    return {
+      name: this.name,
+      running: this.running,
+      busy: this.busy,
+      paused: this.paused,
+      held: this.holdMs() > 0,
+      currentTicker: this.currentTicker,
+      position,
+      total,
+      shard: this.state.shard,
+      shards: Math.ceil(total / this.shardSize),
+      etaSec: this.secPerTicker === null ? null : Math.round(remaining * this.secPerTicker),
+      lastFullPassAt: this.state.lastFullPassAt,
+      lastPassDurationSec: this.state.lastPassDurationSec,
+      passes: this.state.passes,
+      errorsThisPass: this.state.errorsThisPass,
+      errorsLastPass: this.state.errorsLastPass,
+      errorsTotal: this.state.errorsTotal,
+    };
+  }
+}
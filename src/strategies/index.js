@@ -0,0 +1,47 @@
+// Scan strategies. Each strategy exposes:
+//   name, label, enabled, config (its thresholds)
+//   evaluate(ticker, { interval, lane }) -> { alerts: [{ strategy, ticker, signal, direction, ... }], reason, noData }
+//   formatEmbed(alert, { alertNumber, chart }) -> EmbedBuilder
+//   files(alerts) -> attachments sent with the alert message (optional; chart: embed shows them)
+// Per-strategy settings persist in strategies.json and are edited with /strategy.
+import fs from "fs";
+import { MacdStrategy } from "./macd.js";
+import { VolumeMomentumStrategy, VOLUME_MOMENTUM_DEFAULTS } from "./volumeMomentum.js";
+
+const STRATEGIES_FILE = "./strategies.json";
+
+export const DEFAULT_STRATEGY_CONFIG = {
+  macd: { enabled: true },
+  "volume-momentum": { ...VOLUME_MOMENTUM_DEFAULTS },
+};
+
+export function loadStrategyConfig() {
+  let saved = {};
+  if (fs.existsSync(STRATEGIES_FILE)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(STRATEGIES_FILE, "utf8"));
+    } catch (e) {
+      console.error(`Failed reading ${STRATEGIES_FILE}, using defaults:`, e.message);
+    }
+  }
+  // saved values override defaults, so new settings pick up their default
+  const config = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_STRATEGY_CONFIG)) {
+    config[name] = { ...defaults, ...(saved[name] || {}) };
+  }
+  return config;
+}
+
+export function saveStrategyConfig(config) {
+  fs.writeFileSync(STRATEGIES_FILE, JSON.stringify(config, null, 2));
+}
+
+// Strategies share the config objects, so edits apply to the next scan without a restart
+export function createStrategies({ analyzer, getRules, config }) {
+  return [
+    new MacdStrategy({ analyzer, getRules, config: config.macd }),
+    new VolumeMomentumStrategy({ fetcher: analyzer.fetcher, config: config["volume-momentum"] }),
+  ];
+}
+
+export { MacdStrategy, VolumeMomentumStrategy };
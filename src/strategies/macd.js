@@ -0,0 +1,104 @@
+// MACD strategy: analyzer result run through the alert rules (src/rules.js)
+import { EmbedBuilder, AttachmentBuilder } from "discord.js";
+import { matchRules } from "../rules.js";
+import { renderChart, chartFileName } from "../chart/index.js";
+import { describeDivergence } from "../divergence.js";
+import { isIntraday } from "../timeframes.js";
+
+// RSI / ADX / ATR / Bollinger readout for alert embeds
+function indicatorFields(ind) {
+  if (!ind) return [];
+  const fmt = (v, digits = 2) => (v == null ? "N/A" : v.toFixed(digits));
+  return [
+    { name: "RSI", value: fmt(ind.rsi, 1), inline: true },
+    { name: "ADX", value: `${fmt(ind.adx, 1)} (+DI ${fmt(ind.plusDI, 1)} / -DI ${fmt(ind.minusDI, 1)})`, inline: true },
+    { name: "ATR", value: fmt(ind.atr), inline: true },
+    { name: "Bollinger", value: `${fmt(ind.bbLower)} – ${fmt(ind.bbUpper)}`, inline: true },
+    { name: "Stoch %K/%D", value: `${fmt(ind.stochK, 1)} / ${fmt(ind.stochD, 1)}`, inline: true },
+    { name: "VWAP", value: fmt(ind.vwap), inline: true },
+  ];
+}
+
+// What diverged, pivot by pivot; the strongest first
+function divergenceFields(res) {
+  if (!res.divergences?.length) return [];
+  const intraday = isIntraday(res.interval || "1d");
+  const lines = res.divergences.map((d) => describeDivergence(d, { intraday }));
+  return [{ name: "Divergence", value: lines.join("\n").slice(0, 1024) }];
+}
+
+function formatEmbedForAlert(res, rule) {
+  const color = rule.direction === "bullish" ? 0x00ff00 : 0xff0000;
+  const emoji = rule.direction === "bullish" ? "🟢" : "🔴";
+  const divText = res.divergence ? ` • Divergence: ${res.divergence}` : "";
+  const timeStr = new Date(res.timestamp).toLocaleString();
+  return new EmbedBuilder()
+    .setTitle(`${emoji} ${rule.alert} ${res.ticker}`)
+    .setDescription(`Price: $${res.price} • ${res.interval || "1d"} • Cross: ${res.cross || "none"}${divText}`)
+    .addFields(
+      { name: "MACD", value: `${res.macdNow.toFixed(6)}`, inline: true },
+      { name: "Signal", value: `${res.signalNow.toFixed(6)}`, inline: true },
+      { name: "Histogram", value: `${res.histNow != null ? res.histNow.toFixed(6) : "N/A"}`, inline: true },
+      { name: "Time", value: `${timeStr}`, inline: true }
+    )
+    .addFields(divergenceFields(res))
+    .addFields(indicatorFields(res.indicators))
+    .setColor(color)
+    .setTimestamp();
+}
+
+export class MacdStrategy {
+  constructor({ analyzer, getRules, config }) {
+    this.name = "macd";
+    this.label = "MACD";
+    this.analyzer = analyzer;
+    this.getRules = getRules; // rules can be replaced at runtime by /rules
+    this.config = config;
+  }
+
+  get enabled() {
+    return this.config.enabled !== false;
+  }
+
+  // -> { alerts: [{ strategy, ticker, signal, direction, price, barTime, ... }], reason }
+  async evaluate(ticker, { interval, lane } = {}) {
+    const res = await this.analyzer.analyzeTicker(ticker, { interval, lane });
+    if (!res) return { alerts: [], reason: "no MACD data", noData: true };
+    // a split in the window, whether we or the provider adjusted the prices for it: the adjustment
+    // may be off by a bar or a ratio, so a cross near it may be an artifact
+    if (res.quality?.split) {
+      return { alerts: [], reason: `alerts suppressed: ${res.quality.split.ratio} split on ${res.quality.split.date.split("T")[0]} inside the lookback window` };
+    }
+    const matched = matchRules(this.getRules(), res);
+    if (matched.length === 0) {
+      return { alerts: [], reason: `no rule matched (cross: ${res.cross || "none"}, div: ${res.divergence || "none"})` };
+    }
+    return {
+      alerts: matched.map((rule) => ({
+        strategy: this.name,
+        ticker,
+        signal: rule.name,
+        direction: rule.direction,
+        interval: res.interval,
+        price: res.price,
+        barTime: res.timestamp,
+        rule,
+        res,
+      })),
+      reason: matched.map((r) => r.name).join(", "),
+    };
+  }
+
+  // chart: show the attached chart (see files) in this embed; one embed per message does
+  formatEmbed(alert, { chart = false } = {}) {
+    const embed = formatEmbedForAlert(alert.res, alert.rule);
+    if (chart) embed.setImage(`attachment://${chartFileName(alert.ticker)}`);
+    return embed;
+  }
+
+  // Candles + MACD chart of the alerted bars
+  files(alerts) {
+    const res = alerts[0].res;
+    return [new AttachmentBuilder(renderChart(res), { name: chartFileName(res.ticker) })];
+  }
+}
@@ -0,0 +1,101 @@
+// Volume momentum strategy: big % move on heavy relative volume, from the latest quote
+import { EmbedBuilder } from "discord.js";
+
+export const VOLUME_MOMENTUM_DEFAULTS = {
+  enabled: false,
+  minVolume: 500000,
+  minPriceChange: 5.0, // absolute % change on the day
+  minRelVolume: 1.3, // volume / average daily volume
+  minPrice: 0.01,
+  maxPrice: 1000,
+};
+
+// Quote -> { ticker, price, change_pct, volume, rel_volume, timestamp }
+export function quoteToMomentumData(ticker, quote) {
+  const price = quote.regularMarketPrice;
+  const change_pct = quote.regularMarketChangePercent ?? 0;
+  const volume = quote.regularMarketVolume ?? 0;
+  const avgVolume = quote.averageDailyVolume3Month || quote.averageDailyVolume10Day || 1;
+  const rel_volume = avgVolume > 0 ? parseFloat((volume / avgVolume).toFixed(2)) : 1.0;
+  return {
+    ticker,
+    price,
+    change_pct,
+    volume,
+    rel_volume,
+    timestamp: quote.regularMarketTime ? new Date(quote.regularMarketTime) : new Date(),
+  };
+}
+
+export class VolumeMomentumStrategy {
+  constructor({ fetcher, config }) {
+    this.name = "volume-momentum";
+    this.label = "Volume momentum";
+    this.fetcher = fetcher;
+    this.config = config;
+  }
+
+  get enabled() {
+    return this.config.enabled !== false;
+  }
+
+  // returns [passed, reason]
+  checkMomentum(data) {
+    const c = this.config;
+    if (!data) return [false, "No data"];
+    if (data.price > c.maxPrice) return [false, "Price too high"];
+    if (data.price < c.minPrice) return [false, "Price too low"];
+    if (data.volume < c.minVolume) return [false, "Volume too low"];
+    if (Math.abs(data.change_pct) < c.minPriceChange) return [false, "Move too small"];
+    if (data.rel_volume < c.minRelVolume) return [false, "RelVol too low"];
+    return [true, "Momentum detected!"];
+  }
+
+  async evaluate(ticker, { lane } = {}) {
+    const quote = await this.fetcher.fetchQuote(ticker, { lane });
+    if (!quote) return { alerts: [], reason: "no quote", noData: true };
+    const data = quoteToMomentumData(ticker, quote);
+    const [isMomentum, reason] = this.checkMomentum(data);
+    if (!isMomentum) return { alerts: [], reason };
+    return {
+      alerts: [
+        {
+          strategy: this.name,
+          ticker,
+          signal: this.name,
+          direction: data.change_pct > 0 ? "bullish" : "bearish",
+          price: data.price,
+          barTime: data.timestamp,
+          data,
+        },
+      ],
+      reason,
+    };
+  }
+
+  formatEmbed(alert, { alertNumber } = {}) {
+    const data = alert.data;
+    const color = data.change_pct > 0 ? 0x00ff00 : 0xff0000;
+    const emoji = data.change_pct > 0 ? "🟢" : "🔴";
+    const time = data.timestamp.toLocaleTimeString();
+    const change = Number(data.change_pct).toFixed(2);
+
+    return new EmbedBuilder()
+      .setTitle(`${emoji} ${data.ticker} | Volume momentum${alertNumber ? ` | Alert #${alertNumber}` : ""}`)
+      .setDescription(`**$${data.price}** | ${data.change_pct > 0 ? "+" : ""}${change}%`)
+      .setColor(color)
+      .addFields(
+        {
+          name: "📊 Volume",
+          value: `${data.volume.toLocaleString()}\n${data.rel_volume}x RelVol`,
+          inline: true,
+        },
+        {
+          name: "⏱ Time",
+          value: `${time}`,
+          inline: true,
+        }
+      )
+      .setTimestamp();
+  }
+}
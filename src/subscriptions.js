@@ -0,0 +1,130 @@
+// Per-user ticker subscriptions, delivered as DMs (subscriptions.json).
+//
+//   { "<userId>": {
+//       "subs": [{ "ticker": "AAPL", "signal": null }],      // null signal = every signal
+//       "quietHours": { "start": "22:00", "end": "07:00", "timeZone": "America/New_York" },
+//       "dailyCap": 10,
+//       "sent": { "day": "2025-10-20", "count": 3 } } }     // DMs this trading day
+//
+// Quiet hours drop DMs rather than queueing them, since a stale alert isn't worth sending.
+import fs from "fs";
+import { tradingDayKey } from "./marketCalendar.js";
+
+const SUBSCRIPTIONS_FILE = "./subscriptions.json";
+
+export const DEFAULT_DM_DAILY_CAP = 10;
+
+// "HH:MM" 24-hour
+export function isValidClock(str) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(str);
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function clockIn(timeZone, now) {
+  return now.toLocaleTimeString("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00)
+function inQuietHours(quiet, now) {
+  const t = clockIn(quiet.timeZone, now);
+  return quiet.start <= quiet.end ? t >= quiet.start && t < quiet.end : t >= quiet.start || t < quiet.end;
+}
+
+export class Subscriptions {
+  constructor(file = SUBSCRIPTIONS_FILE) {
+    this.file = file;
+    this.users = this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (e) {
+      console.error(`Failed reading ${this.file}, starting without subscriptions:`, e.message);
+      return {};
+    }
+  }
+
+  _save() {
+    fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2));
+  }
+
+  _user(userId) {
+    if (!this.users[userId]) this.users[userId] = { subs: [], quietHours: null, dailyCap: DEFAULT_DM_DAILY_CAP, sent: null };
+    return this.users[userId];
+  }
+
+  // Returns false when the exact subscription already exists
+  subscribe(userId, ticker, signal = null) {
+    const user = this._user(userId);
+    if (user.subs.some((s) => s.ticker === ticker && s.signal === signal)) return false;
+    user.subs.push({ ticker, signal });
+    this._save();
+    return true;
+  }
+
+  // signal omitted: drop every subscription to the ticker. Returns how many were removed.
+  unsubscribe(userId, ticker, signal) {
+    const user = this.users[userId];
+    if (!user) return 0;
+    const before = user.subs.length;
+    user.subs = user.subs.filter((s) => s.ticker !== ticker || (signal !== undefined && s.signal !== signal));
+    const removed = before - user.subs.length;
+    if (removed > 0) this._save();
+    return removed;
+  }
+
+  settings(userId) {
+    return this.users[userId] || { subs: [], quietHours: null, dailyCap: DEFAULT_DM_DAILY_CAP, sent: null };
+  }
+
+  setQuietHours(userId, quietHours) {
+    this._user(userId).quietHours = quietHours;
+    this._save();
+  }
+
+  setDailyCap(userId, cap) {
+    this._user(userId).dailyCap = cap;
+    this._save();
+  }
+
+  // Every subscribed ticker, so the scanner can cover the ones off the watchlist
+  tickers() {
+    const out = new Set();
+    for (const user of Object.values(this.users)) for (const s of user.subs) out.add(s.ticker);
+    return [...out];
+  }
+
+  // User ids subscribed to this ticker's signal
+  recipients(ticker, signal) {
+    return Object.entries(this.users)
+      .filter(([, user]) => user.subs.some((s) => s.ticker === ticker && (s.signal === null || s.signal === signal)))
+      .map(([userId]) => userId);
+  }
+
+  // [allowed, reason]: quiet hours and the per-user daily cap (per trading day)
+  canNotify(userId, now = new Date()) {
+    const user = this.settings(userId);
+    if (user.quietHours && inQuietHours(user.quietHours, now)) return [false, "quiet hours"];
+    const day = tradingDayKey(now);
+    const count = user.sent && user.sent.day === day ? user.sent.count : 0;
+    if (count >= user.dailyCap) return [false, "daily cap reached"];
+    return [true, null];
+  }
+
+  recordNotified(userId, now = new Date()) {
+    const user = this._user(userId);
+    const day = tradingDayKey(now);
+    user.sent = { day, count: (user.sent && user.sent.day === day ? user.sent.count : 0) + 1 };
+    this._save();
+  }
+}
@@ -0,0 +1,63 @@
+// Symbol lookup for slash-command autocomplete: ranked matches by symbol or company name.
+//
+// Ranking, best first: exact symbol, symbol prefix, company-name word prefix, symbol substring,
+// name substring, then fuzzy (symbol letters in order, or one typo in the symbol). Ties go to the
+// shorter symbol. Entries are lower-cased once up front, so a lookup over the ~7,000-symbol
+// universe is a single pass of string compares.
+
+function entry(symbol, name) {
+  const lowerName = (name || "").toLowerCase();
+  return { symbol, name: name || null, sym: symbol.toLowerCase(), lowerName, words: lowerName.split(/[^a-z0-9]+/).filter(Boolean) };
+}
+
+// q's letters appear in s in order
+function isSubsequence(q, s) {
+  let i = 0;
+  for (let j = 0; j < s.length && i < q.length; j++) if (s[j] === q[i]) i++;
+  return i === q.length;
+}
+
+// At most one insertion, deletion, substitution or adjacent swap apart
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.slice(i + 1) === b.slice(i + 1)) return true; // substitution
+  if (a.slice(i + 1) === b.slice(i)) return true; // extra letter in a
+  if (a.slice(i) === b.slice(i + 1)) return true; // extra letter in b
+  return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2); // swap
+}
+
+// Lower is better; null when it doesn't match at all
+function rank(e, q) {
+  if (e.sym === q) return 0;
+  if (e.sym.startsWith(q)) return 1;
+  if (e.words.some((w) => w.startsWith(q)) || e.lowerName.startsWith(q)) return 2;
+  if (e.sym.includes(q)) return 3;
+  if (q.length >= 3 && e.lowerName.includes(q)) return 4;
+  if (q.length >= 2 && (isSubsequence(q, e.sym) || (q.length >= 3 && withinOneEdit(q, e.sym)))) return 5;
+  return null;
+}
+
+export class SymbolIndex {
+  // universe: src/universe.js Universe, for the symbols and company names
+  constructor(universe) {
+    this.universe = universe;
+    this.entries = universe.symbols().map((s) => entry(s, universe.get(s).name));
+  }
+
+  // [{ symbol, name }] best first. within: search only these symbols (e.g. a watchlist) instead
+  // of the universe; an empty query then lists them in order.
+  search(query, { within = null, limit = 25 } = {}) {
+    const q = query.trim().toLowerCase();
+    const entries = within ? within.map((s) => entry(s, this.universe.get(s)?.name)) : this.entries;
+    if (!q) return within ? entries.slice(0, limit).map(({ symbol, name }) => ({ symbol, name })) : [];
+    const hits = [];
+    for (const e of entries) {
+      const r = rank(e, q);
+      if (r !== null) hits.push([r, e]);
+    }
+    hits.sort(([ra, a], [rb, b]) => ra - rb || a.symbol.length - b.symbol.length || a.symbol.localeCompare(b.symbol));
+    return hits.slice(0, limit).map(([, { symbol, name }]) => ({ symbol, name }));
+  }
+}
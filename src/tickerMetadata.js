@@ -0,0 +1,70 @@
+// tickers.csv metadata from Yahoo Finance data (see build-tickers.js): the quote gives the name,
+// exchange, quote type and market cap, the asset profile the sector and industry.
+// Values are written the way tickers.csv and the filters expect them (see src/universe.js).
+
+// Yahoo exchange codes -> exchange column values
+const EXCHANGES = {
+  NMS: "NASDAQ",
+  NGM: "NASDAQ",
+  NCM: "NASDAQ",
+  NAS: "NASDAQ",
+  NYQ: "NYSE",
+  ASE: "NYSE AMERICAN",
+  PCX: "NYSE ARCA",
+  BTS: "CBOE",
+};
+
+// Yahoo's sector names -> the GICS names tickers.csv uses; industries are kept as Yahoo has them
+const SECTORS = {
+  "Basic Materials": "Materials",
+  "Consumer Cyclical": "Consumer Discretionary",
+  "Consumer Defensive": "Consumer Staples",
+  "Financial Services": "Financials",
+  Healthcare: "Health Care",
+  Technology: "Information Technology",
+};
+
+// market cap bucket floors, largest first
+const CAP_FLOORS = [
+  ["mega", 200e9],
+  ["large", 10e9],
+  ["mid", 2e9],
+  ["small", 300e6],
+  ["micro", 50e6],
+  ["nano", 0],
+];
+
+const QUOTE_TYPES = { ETF: "etf", MUTUALFUND: "fund", EQUITY: "stock" };
+
+export function capBucket(marketCap) {
+  if (!(marketCap > 0)) return null;
+  return CAP_FLOORS.find(([, floor]) => marketCap >= floor)[0];
+}
+
+// The listed symbol a preferred, warrant, right or unit belongs to, with its asset type, or null:
+// ABR^D -> preferred of ABR; a fifth letter W, R or U on a listed four-letter symbol -> its warrant,
+// right or unit. symbols: every symbol in the universe.
+export function derivedSymbol(symbol, symbols) {
+  if (symbol.includes("^")) return { root: symbol.split("^")[0], assetType: "preferred" };
+  const m = symbol.match(/^([A-Z]{4})([WRU])$/);
+  if (m && symbols.has(m[1])) return { root: m[1], assetType: { W: "warrant", R: "right", U: "unit" }[m[2]] };
+  return null;
+}
+
+// { name, exchange, sector, industry, assetType, marketCap } for a tickers.csv row, any of them
+// null when Yahoo didn't say. quote: Yahoo quote; profile: the asset profile of the symbol (or of
+// the listed symbol a derived one belongs to); derived: derivedSymbol's result.
+export function metadataFromYahoo({ quote = {}, profile = {}, derived = null }) {
+  const name = quote.longName || quote.shortName || null;
+  let assetType = derived?.assetType || QUOTE_TYPES[quote.quoteType] || quote.quoteType?.toLowerCase() || null;
+  if (assetType === "stock" && name && /\bADRs?\b|\bADS\b|American Depositary/i.test(name)) assetType = "adr";
+  return {
+    name,
+    exchange: EXCHANGES[quote.exchange] || quote.fullExchangeName?.toUpperCase() || null,
+    sector: profile.sector ? SECTORS[profile.sector] || profile.sector : null,
+    industry: profile.industry || null,
+    assetType,
+    // a derived security's market cap is its issuer's, so it gets no bucket of its own
+    marketCap: derived ? null : capBucket(quote.marketCap),
+  };
+}
@@ -0,0 +1,82 @@
+// Bar timeframes: fetch windows, completed-bar filtering and per-ticker settings.
+import fs from "fs";
+import { HIST_INTERVAL, MACD_SLOW, MACD_SIGNAL } from "./config.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SESSION_MINUTES = 390; // 09:30-16:00 regular session
+
+// maxDays: how far back Yahoo's chart endpoint serves that interval
+export const TIMEFRAMES = {
+  "1m": { ms: MINUTE, maxDays: 7 },
+  "5m": { ms: 5 * MINUTE, maxDays: 59 },
+  "15m": { ms: 15 * MINUTE, maxDays: 59 },
+  "1h": { ms: 60 * MINUTE, maxDays: 729 },
+  "1d": { ms: DAY, maxDays: null },
+};
+
+// MACD needs MACD_SLOW + MACD_SIGNAL bars before its first value; fetch a few times that so the
+// EMAs have converged and divergence pivots have history to compare against.
+export const WARMUP_BARS = (MACD_SLOW + MACD_SIGNAL) * 3;
+
+export function isIntraday(interval) {
+  return interval !== "1d";
+}
+
+export function isValidTimeframe(interval) {
+  return Object.prototype.hasOwnProperty.call(TIMEFRAMES, interval);
+}
+
+// Calendar days that hold `bars` bars of this interval, padded for weekends and holidays
+export function lookbackDays(interval, bars = WARMUP_BARS) {
+  const tf = TIMEFRAMES[interval];
+  const barsPerDay = isIntraday(interval) ? Math.floor(SESSION_MINUTES / (tf.ms / MINUTE)) : 1;
+  const tradingDays = Math.ceil(bars / barsPerDay);
+  const days = Math.ceil((tradingDays * 7) / 5) + 5;
+  return tf.maxDays ? Math.min(days, tf.maxDays) : days;
+}
+
+// { period1, period2 } for the provider: daily as dates, intraday as exact timestamps
+export function fetchWindow(interval, now = new Date()) {
+  const start = new Date(now.getTime() - lookbackDays(interval) * DAY);
+  if (!isIntraday(interval)) {
+    return { period1: start.toISOString().split("T")[0], period2: now.toISOString().split("T")[0] };
+  }
+  return { period1: start, period2: now };
+}
+
+// Drop a trailing intraday bar that is still forming, so a half-built candle can't cross.
+// Daily bars are left alone: the current session's bar is the live reading.
+export function completedBars(bars, interval, now = new Date()) {
+  if (!isIntraday(interval) || bars.length === 0) return bars;
+  const last = bars[bars.length - 1];
+  if (new Date(last.date).getTime() + TIMEFRAMES[interval].ms > now.getTime()) {
+    return bars.slice(0, -1);
+  }
+  return bars;
+}
+
+// ---------- per-ticker settings (timeframes.json) ----------
+const TIMEFRAMES_FILE = "./timeframes.json";
+
+// { watchlist: "1d", tickers: { AAPL: "5m" } } — "watchlist" is the default for watchlists without their own
+export function loadTimeframeSettings() {
+  const defaults = { watchlist: HIST_INTERVAL, tickers: {} };
+  if (!fs.existsSync(TIMEFRAMES_FILE)) return defaults;
+  try {
+    const saved = JSON.parse(fs.readFileSync(TIMEFRAMES_FILE, "utf8"));
+    return { ...defaults, ...saved, tickers: { ...(saved.tickers || {}) } };
+  } catch (e) {
+    console.error(`Failed reading ${TIMEFRAMES_FILE}, using ${HIST_INTERVAL}:`, e.message);
+    return defaults;
+  }
+}
+
+export function saveTimeframeSettings(settings) {
+  fs.writeFileSync(TIMEFRAMES_FILE, JSON.stringify(settings, null, 2));
+}
+
+// A ticker override wins over the watchlist's own timeframe, which wins over the default
+export function timeframeFor(ticker, settings, watchlistInterval = null) {
+  return settings.tickers[ticker] || watchlistInterval || settings.watchlist || HIST_INTERVAL;
+}
@@ -0,0 +1,231 @@
+// The ticker universe (tickers.csv): which symbols may be watched, with metadata to filter on.
+//
+//   symbol,name,exchange,sector,industry,asset_type,market_cap,yahoo_symbol
+//   NVDA,NVIDIA Corp,NASDAQ,Information Technology,Semiconductors & Semiconductor Equipment,stock,mega,
+//   BRK/B,Berkshire Hathaway Class B,NYSE,Financials,Financial Services,stock,mega,
+//
+// Only symbol is required, and a headerless one-column file still loads. Header names are matched
+// case-insensitively, ignoring spaces and underscores ("Asset Type" = asset_type). Symbols are kept
+// in their canonical form (BRK.B, ABR^D); providers map them to their own (src/providers), and a
+// <provider>_symbol column overrides that mapping for one row.
+import fs from "fs";
+import chalk from "chalk";
+
+const UNIVERSE_FILE = "./tickers.csv";
+
+export const MARKET_CAP_BUCKETS = ["mega", "large", "mid", "small", "micro", "nano"];
+
+// filter key -> row field; sector and industry match on a substring, the rest exactly
+export const FILTER_FIELDS = {
+  exchange: "exchange",
+  sector: "sector",
+  industry: "industry",
+  type: "assetType",
+  cap: "marketCap",
+};
+const SUBSTRING_FIELDS = ["sector", "industry"];
+// filter key -> its tickers.csv column, for messages
+const FILTER_COLUMNS = { exchange: "exchange", sector: "sector", industry: "industry", type: "asset_type", cap: "market_cap" };
+const FILL_IN_HINT = "npm run build-tickers fills in every ticker from Yahoo";
+
+const COLUMNS = {
+  symbol: "symbol",
+  ticker: "symbol",
+  name: "name",
+  exchange: "exchange",
+  sector: "sector",
+  industry: "industry",
+  assettype: "assetType",
+  type: "assetType",
+  marketcap: "marketCap",
+  cap: "marketCap",
+};
+
+export function isValidSymbol(symbol) {
+  return /^[A-Z0-9.^=/-]{1,15}$/.test(symbol);
+}
+
+function headerKey(cell) {
+  return cell.trim().toLowerCase().replace(/[\s_]/g, "");
+}
+
+// One CSV line; double-quoted cells may contain commas
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// { rows, skipped }: rows keyed by canonical symbol, skipped as "line N: reason"
+export function parseUniverseCsv(text) {
+  const lines = text.split(/\r?\n/).map((l, i) => [i + 1, l]).filter(([, l]) => l.trim().length > 0);
+  const rows = new Map();
+  const skipped = [];
+  if (lines.length === 0) return { rows, skipped };
+
+  const first = splitCsvLine(lines[0][1]).map(headerKey);
+  const hasHeader = first.includes("symbol") || first.includes("ticker");
+  // column index -> field; "<provider>symbol" columns become provider overrides
+  const columns = hasHeader
+    ? first.map((h) => COLUMNS[h] || (h.endsWith("symbol") && h.length > 6 ? `provider:${h.slice(0, -6)}` : null))
+    : ["symbol"];
+
+  for (const [lineNo, line] of hasHeader ? lines.slice(1) : lines) {
+    const cells = splitCsvLine(line);
+    const row = { symbol: null, name: null, exchange: null, sector: null, industry: null, assetType: null, marketCap: null, providerSymbols: {} };
+    columns.forEach((field, i) => {
+      const value = cells[i] || null;
+      if (!field || !value) return;
+      if (field.startsWith("provider:")) row.providerSymbols[field.slice(9)] = value;
+      else row[field] = value;
+    });
+    const symbol = (row.symbol || "").toUpperCase();
+    if (!isValidSymbol(symbol)) {
+      skipped.push(`line ${lineNo}: invalid symbol "${row.symbol || ""}"`);
+      continue;
+    }
+    if (rows.has(symbol)) {
+      skipped.push(`line ${lineNo}: duplicate ${symbol}`);
+      continue;
+    }
+    row.symbol = symbol;
+    if (row.exchange) row.exchange = row.exchange.toUpperCase();
+    if (row.assetType) row.assetType = row.assetType.toLowerCase();
+    if (row.marketCap) {
+      row.marketCap = row.marketCap.toLowerCase();
+      if (!MARKET_CAP_BUCKETS.includes(row.marketCap)) {
+        skipped.push(`line ${lineNo}: unknown market cap "${row.marketCap}" for ${symbol} (kept without it)`);
+        row.marketCap = null;
+      }
+    }
+    rows.set(symbol, row);
+  }
+  return { rows, skipped };
+}
+
+// 'exchange=nasdaq industry=semiconductors sector="consumer discretionary" cap=large,mega'
+// -> { exchange: ["nasdaq"], industry: ["semiconductors"], ... }; throws on unknown keys
+export function parseFilter(text) {
+  const filter = {};
+  const re = /(\w+)\s*[=:]\s*("([^"]*)"|[^\s"]+)/g;
+  let rest = text;
+  for (const m of text.matchAll(re)) {
+    const key = m[1].toLowerCase();
+    if (!FILTER_FIELDS[key]) throw new Error(`unknown filter "${key}"; use ${Object.keys(FILTER_FIELDS).join(", ")}`);
+    const values = (m[3] ?? m[2]).split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+    filter[key] = [...(filter[key] || []), ...values];
+    rest = rest.replace(m[0], "");
+  }
+  if (rest.trim()) throw new Error(`can't read "${rest.trim()}"; write filters as key=value, e.g. exchange=nasdaq`);
+  if (Object.keys(filter).length === 0) throw new Error("the filter is empty");
+  return filter;
+}
+
+// Back to the text parseFilter reads
+export function describeFilter(filter) {
+  return Object.entries(filter)
+    .map(([k, values]) => `${k}=${values.map((v) => (v.includes(" ") ? `"${v}"` : v)).join(",")}`)
+    .join(" ");
+}
+
+export class Universe {
+  constructor(rows = new Map()) {
+    this.rows = rows;
+    this.knownCounts = {}; // filter key -> rows with that metadata
+  }
+
+  get size() {
+    return this.rows.size;
+  }
+
+  has(symbol) {
+    return this.rows.has(symbol);
+  }
+
+  get(symbol) {
+    return this.rows.get(symbol) || null;
+  }
+
+  symbols() {
+    return [...this.rows.keys()];
+  }
+
+  // Rows with a value for a filter key's field
+  known(key) {
+    if (!(key in this.knownCounts)) {
+      const field = FILTER_FIELDS[key];
+      this.knownCounts[key] = [...this.rows.values()].filter((row) => row[field]).length;
+    }
+    return this.knownCounts[key];
+  }
+
+  // Throws when the filter needs metadata no row has, since it could only ever match nothing.
+  // Returns a warning when some rows lack it (they never match), otherwise null.
+  checkFilter(filter) {
+    if (this.size === 0) throw new Error("there's no tickers.csv to filter on");
+    const keys = Object.keys(filter);
+    const missing = keys.filter((k) => this.known(k) === 0);
+    if (missing.length > 0) {
+      throw new Error(`tickers.csv has no ${missing.map((k) => FILTER_COLUMNS[k]).join(" or ")} column data, so nothing would match (${FILL_IN_HINT})`);
+    }
+    const partial = keys.filter((k) => this.known(k) < this.size).map((k) => `${FILTER_COLUMNS[k]} for ${this.known(k)} of ${this.size} tickers`);
+    return partial.length > 0 ? `tickers.csv only has ${partial.join(", ")}; the rest never match this filter (${FILL_IN_HINT})` : null;
+  }
+
+  // A ticker without metadata never matches a filter on that field
+  matches(symbol, filter) {
+    const row = this.rows.get(symbol);
+    if (!row) return false;
+    return Object.entries(filter).every(([key, values]) => {
+      const actual = row[FILTER_FIELDS[key]]?.toLowerCase();
+      if (!actual) return false;
+      return values.some((v) => (SUBSTRING_FIELDS.includes(key) ? actual.includes(v) : actual === v));
+    });
+  }
+
+  // symbols that pass the filter (all of them when there's no filter)
+  filter(symbols, filter) {
+    return filter ? symbols.filter((s) => this.matches(s, filter)) : symbols;
+  }
+
+  // symbol -> that provider's symbol, from the <provider>_symbol column
+  providerOverrides(provider) {
+    const out = new Map();
+    for (const row of this.rows.values()) if (row.providerSymbols[provider]) out.set(row.symbol, row.providerSymbols[provider]);
+    return out;
+  }
+}
+
+export function loadUniverse(file = UNIVERSE_FILE) {
+  if (!fs.existsSync(file)) {
+    console.warn(chalk.yellow(`${file} not found — any symbol with data can be added to a watchlist`));
+    return new Universe();
+  }
+  try {
+    const { rows, skipped } = parseUniverseCsv(fs.readFileSync(file, "utf8"));
+    console.log(chalk.green(`Loaded ${rows.size} tickers from ${file}`));
+    if (skipped.length > 0) {
+      console.warn(chalk.yellow(`${skipped.length} problem(s) in ${file}: ${skipped.slice(0, 5).join("; ")}${skipped.length > 5 ? "; …" : ""}`));
+    }
+    return new Universe(rows);
+  } catch (err) {
+    console.error(chalk.red(`Failed to read ${file}: ${err.message}`));
+    return new Universe();
+  }
+}
@@ -0,0 +1,185 @@
+// Named watchlists (watchlists.json); tickers.csv is only the universe symbols are checked against.
+//
+//   { "default": { "tickers": ["AAPL", "TSLA"], "interval": null, "cadenceSec": null, "shardCadenceSec": null,
+//                  "sessions": null, "filter": null },
+//     "semis":   { "tickers": ["NVDA", "AMD"], "interval": "15m", "cadenceSec": 300, "shardCadenceSec": { "1": 60 },
+//                  "sessions": ["regular"], "filter": { "exchange": ["nasdaq"], "industry": ["semiconductors"] } } }
+//
+// null settings fall back to the default timeframe (/timeframe), POLL_INTERVAL_SEC and SCAN_SESSIONS.
+// shardCadenceSec overrides cadenceSec for single shards, numbered from 1 as /status shows them.
+// A filter (see src/universe.js) limits the scan to the tickers whose tickers.csv metadata match.
+// Each watchlist is scanned by its own scheduler.
+import fs from "fs";
+import chalk from "chalk";
+
+const WATCHLISTS_FILE = "./watchlists.json";
+// the single list kept before named watchlists
+const LEGACY_WATCHLIST_FILE = "./macd-watchlist.json";
+
+export const DEFAULT_WATCHLIST = "default";
+// the bot's own scheduler and cooldown bucket for tickers only subscriptions or price alerts
+// follow (index.js); a watchlist by that name would be mistaken for it
+export const FOLLOWED_WATCHLIST = "followed";
+const STARTER_TICKERS = ["AAPL", "TSLA", "NVDA"];
+const SESSION_NAMES = ["pre", "regular", "after"];
+export const MIN_CADENCE_SEC = 10;
+export const MAX_CADENCE_SEC = 86400;
+
+export function isValidWatchlistName(name) {
+  return /^[a-z0-9-]{1,32}$/.test(name) && name !== FOLLOWED_WATCHLIST;
+}
+
+// "AAPL, tsla NVDA" -> ["AAPL", "TSLA", "NVDA"]
+export function parseSymbolList(text) {
+  return [...new Set(text.split(/[\s,;]+/).map((s) => s.trim().toUpperCase()).filter(Boolean))];
+}
+
+export function tickersToCsv(tickers) {
+  return ["symbol", ...tickers].join("\n") + "\n";
+}
+
+// "regular" | "pre,regular,after" | "always" -> "always" or a list of sessions; throws on unknown names
+export function parseSessions(text) {
+  const value = text.trim().toLowerCase();
+  if (value === "always") return "always";
+  const sessions = value.split(",").map((x) => x.trim()).filter(Boolean);
+  const unknown = sessions.filter((x) => !SESSION_NAMES.includes(x));
+  if (sessions.length === 0 || unknown.length > 0) {
+    throw new Error(`sessions must be "always" or any of ${SESSION_NAMES.join(", ")}, comma-separated`);
+  }
+  return sessions;
+}
+
+// "1=60, 2-4=900" -> { "1": 60, "2": 900, "3": 900, "4": 900 }; throws on anything else
+export function parseShardCadence(text) {
+  const cadence = {};
+  const parts = text.split(",").map((x) => x.trim()).filter(Boolean);
+  for (const part of parts) {
+    const m = part.match(/^(\d+)(?:\s*-\s*(\d+))?\s*=\s*(\d+)$/);
+    const [from, to, sec] = m ? [Number(m[1]), Number(m[2] || m[1]), Number(m[3])] : [];
+    if (!m || from < 1 || to < from || to - from > 1000) {
+      throw new Error(`shard cadence must look like "1=60, 2-4=900" (shard numbers from 1 = seconds)`);
+    }
+    if (sec < MIN_CADENCE_SEC || sec > MAX_CADENCE_SEC) {
+      throw new Error(`shard cadence must be between ${MIN_CADENCE_SEC} and ${MAX_CADENCE_SEC} seconds`);
+    }
+    for (let n = from; n <= to; n++) cadence[n] = sec;
+  }
+  if (parts.length === 0) throw new Error(`shard cadence must look like "1=60, 2-4=900" (shard numbers from 1 = seconds)`);
+  return cadence;
+}
+
+export class Watchlists {
+  // universe: tickers.csv symbols, used to recognise a legacy list that was just a copy of it
+  constructor(file = WATCHLISTS_FILE, { universe = [] } = {}) {
+    this.file = file;
+    this.lists = this._load(universe);
+  }
+
+  _load(universe) {
+    if (fs.existsSync(this.file)) {
+      try {
+        return JSON.parse(fs.readFileSync(this.file, "utf8"));
+      } catch (e) {
+        console.error(`Failed reading ${this.file}, starting with the default watchlist:`, e.message);
+        return { [DEFAULT_WATCHLIST]: emptyList(STARTER_TICKERS) };
+      }
+    }
+    const lists = { [DEFAULT_WATCHLIST]: emptyList(STARTER_TICKERS) };
+    if (fs.existsSync(LEGACY_WATCHLIST_FILE)) {
+      try {
+        const legacy = JSON.parse(fs.readFileSync(LEGACY_WATCHLIST_FILE, "utf8"));
+        // older versions saved the whole tickers.csv here; that was never a chosen watchlist
+        const saved = new Set(legacy);
+        const csvCopy = universe.length > 0 && universe.every((t) => saved.has(t));
+        if (csvCopy) {
+          console.warn(chalk.yellow(`${LEGACY_WATCHLIST_FILE} is a copy of tickers.csv; not importing it. Use /watchlist import to scan the full list.`));
+        } else {
+          lists[DEFAULT_WATCHLIST] = emptyList(legacy);
+          console.log(chalk.green(`Imported ${legacy.length} tickers from ${LEGACY_WATCHLIST_FILE} into the default watchlist`));
+        }
+      } catch (e) {
+        console.error(`Failed reading ${LEGACY_WATCHLIST_FILE}:`, e.message);
+      }
+    }
+    fs.writeFileSync(this.file, JSON.stringify(lists, null, 2));
+    return lists;
+  }
+
+  _save() {
+    fs.writeFileSync(this.file, JSON.stringify(this.lists, null, 2));
+  }
+
+  names() {
+    return Object.keys(this.lists);
+  }
+
+  get(name) {
+    return this.lists[name] || null;
+  }
+
+  // Returns false when the name is taken or reserved
+  create(name, settings = {}) {
+    if (this.lists[name] || name === FOLLOWED_WATCHLIST) return false;
+    this.lists[name] = { ...emptyList([]), ...settings };
+    this._save();
+    return true;
+  }
+
+  delete(name) {
+    if (!this.lists[name]) return false;
+    delete this.lists[name];
+    this._save();
+    return true;
+  }
+
+  // Returns the symbols that weren't already on the list
+  add(name, symbols) {
+    const list = this.lists[name];
+    const have = new Set(list.tickers);
+    const added = symbols.filter((s) => !have.has(s));
+    if (added.length === 0) return added;
+    list.tickers.push(...added);
+    this._save();
+    return added;
+  }
+
+  // Returns the symbols that were on the list
+  remove(name, symbols) {
+    const list = this.lists[name];
+    const have = new Set(list.tickers);
+    const removed = symbols.filter((s) => have.has(s));
+    if (removed.length === 0) return removed;
+    const drop = new Set(removed);
+    list.tickers = list.tickers.filter((s) => !drop.has(s));
+    this._save();
+    return removed;
+  }
+
+  replace(name, symbols) {
+    this.lists[name].tickers = [...symbols];
+    this._save();
+  }
+
+  // settings: any of interval, cadenceSec, shardCadenceSec, sessions, filter (null resets to the default)
+  configure(name, settings) {
+    Object.assign(this.lists[name], settings);
+    this._save();
+  }
+
+  // Names of the watchlists holding `ticker`, in creation order
+  containing(ticker) {
+    return this.names().filter((n) => this.lists[n].tickers.includes(ticker));
+  }
+
+  // Every ticker on any watchlist
+  tickers() {
+    const out = new Set();
+    for (const list of Object.values(this.lists)) for (const t of list.tickers) out.add(t);
+    return [...out];
+  }
+}
+
+function emptyList(tickers) {
+  return { tickers: [...tickers], interval: null, cadenceSec: null, shardCadenceSec: null, sessions: null, filter: null };
+}
@@ -0,0 +1,29 @@
+// analyzeBars with series precomputed over the whole history (the backtester's path) must see
+// exactly what it sees when handed only the bars up to each one.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MACDAnalyzer, indicatorSeries } from "../src/analyzer.js";
+import { macdSeries } from "../src/indicators.js";
+import { LocalProvider } from "../src/providers/index.js";
+
+const provider = new LocalProvider({ dir: new URL("../fixtures/bars", import.meta.url).pathname });
+
+function observed(res) {
+  if (!res) return null;
+  const { cross, divergence, divergences, indicators, idx, price, prevPrice, macdNow, signalNow, histNow, histPrev } = res;
+  return { cross, divergence, divergences, indicators, idx, price, prevPrice, macdNow, signalNow, histNow, histPrev };
+}
+
+test("precomputed MACD and indicator series give the same result as a bar-by-bar slice", async () => {
+  const analyzer = new MACDAnalyzer({ provider });
+  for (const ticker of ["AAPL", "TSLA", "NVDA"]) {
+    const raw = await provider.getHistorical(ticker, { period1: new Date(0), period2: new Date(), interval: "1d" });
+    const macdObj = macdSeries(raw.map((b) => b.close));
+    const indicators = indicatorSeries(raw);
+    for (let i = 1; i < raw.length; i++) {
+      const sliced = observed(analyzer.analyzeBars(ticker, raw.slice(0, i + 1)));
+      const precomputed = observed(analyzer.analyzeBars(ticker, raw, { macdObj, indicators, end: i }));
+      assert.deepEqual(precomputed, sliced, `${ticker} bar ${i}`);
+    }
+  }
+});
@@ -0,0 +1,37 @@
+// Watchlists, rules, strategies and timeframes are shared, so a server's /audit shows changes to them
+// made from any server, while setup and permission changes stay with their own server.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AuditLog } from "../src/audit.js";
+import { changesGlobalState, RESTRICTED_COMMANDS } from "../src/permissions.js";
+
+function withLog(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  try {
+    return fn(new AuditLog(path.join(dir, "audit.jsonl")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const entry = (guildId, command, outcome = "ok") => ({ guildId, userId: `${guildId}-admin`, command, action: command, outcome, shared: changesGlobalState(command) });
+
+test("guild A sees guild B's changes to shared state, but not B's own setup or refusals", () =>
+  withLog((log) => {
+    log.record(entry("A", "setup default"));
+    log.record(entry("B", "rules set"));
+    log.record(entry("B", "watchlist add"));
+    log.record(entry("B", "setup watchlist"));
+    log.record(entry("B", "rules delete", "denied"));
+    const seen = (guildId) => log.query({ guildId, includeShared: true, days: 1 }).map((e) => `${e.guildId} ${e.command}`);
+    assert.deepEqual(seen("A"), ["B watchlist add", "B rules set", "A setup default"]);
+    assert.deepEqual(log.query({ guildId: "A", days: 1 }).map((e) => e.command), ["setup default"]);
+  }));
+
+test("every restricted command except the per-server ones changes global state", () => {
+  const perServer = ["setup", "permissions", "audit"];
+  for (const command of RESTRICTED_COMMANDS) assert.equal(changesGlobalState(command), !perServer.includes(command), command);
+});
@@ -0,0 +1,23 @@
+// --from/--to are checked before a backtest runs: a bad date used to become NaN and an empty report.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { backtestRangeError } from "../src/backtest.js";
+
+test("valid ranges pass, with either end optional", () => {
+  assert.equal(backtestRangeError("2025-01-01", "2025-06-30"), null);
+  assert.equal(backtestRangeError("2025-01-01", "2025-01-01"), null);
+  assert.equal(backtestRangeError(undefined, "2025-06-30"), null);
+  assert.equal(backtestRangeError("2025-01-01", null), null);
+});
+
+test("malformed and nonexistent dates are rejected", () => {
+  for (const d of ["2025-13-01", "2025-02-30", "01/02/2025", "2025-1-5", "yesterday"]) {
+    assert.match(backtestRangeError(d, undefined), /Invalid date/, d);
+    assert.match(backtestRangeError(undefined, d), /Invalid date/, d);
+  }
+});
+
+test("a reversed range is rejected", () => {
+  assert.match(backtestRangeError("2025-06-30", "2025-01-01"), /2025-06-30 is after end date 2025-01-01/);
+  assert.match(backtestRangeError("2999-01-01", undefined), /is after today/);
+});
@@ -0,0 +1,91 @@
+// A split or dividend re-adjusts every earlier bar at the provider, so the cached bars before it
+// must be replaced: a poll that sees a new event refetches the whole window, others only the tail.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Fetcher } from "../src/analyzer.js";
+import { BarCache } from "../src/barCache.js";
+
+const DAY = 86400000;
+
+// Weekday bars at a close of 100 from 2025-01-02 to 2025-06-27; getHistorical answers from them
+// and records how far back each request went
+function fakeProvider(now) {
+  const bars = [];
+  for (let t = Date.parse("2025-01-02T00:00:00Z"); t < Date.parse("2025-06-28T00:00:00Z"); t += DAY) {
+    const day = new Date(t).getUTCDay();
+    if (day !== 0 && day !== 6) bars.push({ date: new Date(t), open: 100, high: 101, low: 99, close: 100, adjClose: 100, volume: 1e6 });
+  }
+  return {
+    name: "fake",
+    reportsSplits: true,
+    bars,
+    clock: now,
+    requests: [],
+    now() {
+      return this.clock;
+    },
+    async getHistorical(ticker, { period1, period2 }) {
+      this.requests.push(new Date(period1).toISOString().split("T")[0]);
+      const from = new Date(period1).getTime();
+      const to = new Date(period2).getTime() + DAY;
+      return this.bars.filter((b) => b.date.getTime() >= from && b.date.getTime() < to).map((b) => ({ ...b }));
+    },
+  };
+}
+
+async function withCache(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "barcache-"));
+  try {
+    return await fn(new BarCache(dir));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a poll without new events only refetches the cached tail", () =>
+  withCache(async (cache) => {
+    const provider = fakeProvider(new Date("2025-06-30T21:00:00Z"));
+    const fetcher = new Fetcher(provider, cache);
+    await fetcher.fetchCloseSeries("AAA", "1d");
+    provider.bars.push({ date: new Date("2025-06-30T00:00:00Z"), open: 100, high: 101, low: 99, close: 100, adjClose: 100, volume: 1e6 });
+    provider.clock = new Date("2025-07-01T21:00:00Z");
+    await fetcher.fetchCloseSeries("AAA", "1d");
+    assert.equal(provider.requests.length, 2);
+    assert.equal(provider.requests[1], "2025-06-26");
+  }));
+
+test("a new split replaces the cached bars from before it with the provider's adjusted ones", () =>
+  withCache(async (cache) => {
+    const provider = fakeProvider(new Date("2025-06-30T21:00:00Z"));
+    const fetcher = new Fetcher(provider, cache);
+    await fetcher.fetchCloseSeries("AAA", "1d");
+
+    // a 2:1 split effective 2025-06-30: the provider's history is now in post-split prices
+    for (const b of provider.bars) Object.assign(b, { open: 50, high: 50.5, low: 49.5, close: 50, adjClose: 50, volume: 2e6 });
+    provider.bars.push({ date: new Date("2025-06-30T00:00:00Z"), open: 50, high: 50.5, low: 49.5, close: 50, adjClose: 50, volume: 2e6, split: { numerator: 2, denominator: 1 } });
+    provider.clock = new Date("2025-07-01T21:00:00Z");
+    const res = await fetcher.fetchCloseSeries("AAA", "1d");
+
+    assert.equal(provider.requests.length, 3);
+    assert.ok(provider.requests[2] < provider.requests[1], "the refetch covers the whole window");
+    assert.ok(cache.get("AAA", "1d").every((b) => b.close === 50 && b.adjClose === 50));
+    assert.deepEqual(res.quality.split, { date: "2025-06-30T00:00:00.000Z", ratio: "2:1", source: "provider", rescaled: false });
+  }));
+
+test("a new dividend refreshes the adjClose of every cached bar", () =>
+  withCache(async (cache) => {
+    const provider = fakeProvider(new Date("2025-06-30T21:00:00Z"));
+    const fetcher = new Fetcher(provider, cache);
+    await fetcher.fetchCloseSeries("AAA", "1d");
+
+    for (const b of provider.bars) b.adjClose = 99;
+    provider.bars.push({ date: new Date("2025-06-30T00:00:00Z"), open: 99, high: 100, low: 98, close: 99, adjClose: 99, volume: 1e6, dividend: 1 });
+    provider.clock = new Date("2025-07-01T21:00:00Z");
+    await fetcher.fetchCloseSeries("AAA", "1d");
+
+    assert.equal(provider.requests.length, 3);
+    assert.ok(cache.get("AAA", "1d").every((b) => b.adjClose === 99));
+  }));
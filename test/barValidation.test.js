@@ -0,0 +1,61 @@
+// Splits come from the provider; a price jump alone is never taken for one. A real crash must
+// reach the indicators as it happened, and must not mute the ticker's alerts.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cleanBars } from "../src/barValidation.js";
+
+// 30 weekday bars from 2025-03-03, with the close and volume of each from the callbacks
+function series(close, volume) {
+  const bars = [];
+  for (let day = new Date("2025-03-03T00:00:00Z"); bars.length < 30; day = new Date(day.getTime() + 86400000)) {
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    const i = bars.length;
+    bars.push({ date: day, open: close(i), high: close(i) * 1.01, low: close(i) * 0.99, close: close(i), volume: volume(i) });
+  }
+  return bars;
+}
+
+const JUMP = 15;
+const closes = (bars) => bars.map((b) => +b.close.toFixed(6));
+
+test("a real 50% drop on heavy volume is kept and doesn't report a split", () => {
+  const crash = series((i) => (i < JUMP ? 100 : 50), (i) => (i === JUMP ? 8e6 : i > JUMP ? 2e6 : 1e6));
+  for (const inferSplits of [true, false]) {
+    const { bars, quality } = cleanBars(crash, { inferSplits });
+    assert.deepEqual(closes(bars), closes(crash), `inferSplits: ${inferSplits}`);
+    assert.equal(quality.split, null);
+    assert.deepEqual(quality.splits, []);
+  }
+});
+
+test("a 50% drop on unchanged volume isn't taken for a split either", () => {
+  const drop = series((i) => (i < JUMP ? 100 : 50), () => 1e6);
+  const { bars, quality } = cleanBars(drop);
+  assert.deepEqual(closes(bars), closes(drop));
+  assert.equal(quality.split, null);
+});
+
+test("an unadjusted 2:1 with volume doubling is inferred when the provider doesn't report splits", () => {
+  const split = series((i) => (i < JUMP ? 100 : 50.5), (i) => (i < JUMP ? 1e6 : 2.1e6));
+  const { bars, quality } = cleanBars(split);
+  assert.equal(bars[0].close, 50);
+  assert.deepEqual(quality.split, { date: "2025-03-24T00:00:00.000Z", ratio: "2:1", source: "prices", rescaled: true });
+  assert.equal(cleanBars(split, { inferSplits: false }).quality.split, null);
+});
+
+test("a split the provider reports rescales bars that weren't adjusted for it", () => {
+  const reverse = series((i) => (i < JUMP ? 2 : 19.5), (i) => (i < JUMP ? 1e7 : 1e6));
+  reverse[JUMP].split = { numerator: 1, denominator: 10 };
+  const { bars, quality } = cleanBars(reverse, { inferSplits: false });
+  assert.equal(bars[0].close, 20);
+  assert.deepEqual(quality.split, { date: "2025-03-24T00:00:00.000Z", ratio: "1:10", source: "provider", rescaled: true });
+});
+
+test("a split the provider reports on bars already adjusted for it leaves the prices but is still reported", () => {
+  const adjusted = series((i) => (i < JUMP ? 50 : 49), (i) => (i < JUMP ? 2e6 : 2.1e6));
+  adjusted[JUMP].split = { numerator: 2, denominator: 1 };
+  const { bars, quality } = cleanBars(adjusted, { inferSplits: false });
+  assert.deepEqual(closes(bars), closes(adjusted));
+  assert.deepEqual(quality.split, { date: "2025-03-24T00:00:00.000Z", ratio: "2:1", source: "provider", rescaled: false });
+  assert.equal(quality.corrections.find((c) => c.type === "split"), undefined);
+});
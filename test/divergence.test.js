@@ -0,0 +1,124 @@
+// Divergences on small hand-drawn series: price and the MACD line are straight lines between a
+// few points, ATR is fixed, so which pivots are found, when they're confirmed and how strong the
+// divergence scores can all be worked out by hand.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findDivergences } from "../src/divergence.js";
+
+// Values at every bar of `length`, straight lines between [index, value] points, flat after the last
+function path(points, length) {
+  const out = [];
+  for (let i = 0; i < length; i++) {
+    const k = points.findIndex(([at]) => at >= i);
+    if (k === -1) out.push(points[points.length - 1][1]);
+    else if (k === 0 || points[k][0] === i) out.push(points[k][1]);
+    else {
+      const [[i1, v1], [i2, v2]] = [points[k - 1], points[k]];
+      out.push(v1 + ((v2 - v1) * (i - i1)) / (i2 - i1));
+    }
+  }
+  return out;
+}
+
+// Bars whose high, low and close are the price, the MACD line through `values` (no histogram, so
+// only the MACD line is compared) and a flat ATR
+function fixture(prices, values, length, atr = 5) {
+  const bars = path(prices, length).map((p, i) => ({ date: new Date(Date.UTC(2025, 0, 1 + i)), high: p, low: p, close: p }));
+  const macd = path(values, length);
+  return { bars, macdObj: { macd, hist: macd.map(() => null) }, atr: bars.map(() => atr) };
+}
+
+// Mirror image of a fixture: highs become lows and the MACD line flips sign
+function mirrored(prices, values) {
+  return [prices.map(([i, p]) => [i, 200 - p]), values.map(([i, v]) => [i, -v])];
+}
+
+// Two highs at bars 10 and 30 with a trough between them, price easing off after the second
+const HIGHS = (high1, high2) => [[0, 100], [10, high1], [20, 102], [30, high2], [34, high2 - 4]];
+const MACD = (value1, value2) => [[0, 0], [10, value1], [20, (value1 + value2) / 2], [30, value2]];
+const LENGTH = 35;
+
+function divergencesAt(idx, { prices, values, atr }) {
+  const { bars, macdObj, atr: atrs } = fixture(prices, values, LENGTH, atr);
+  return findDivergences(bars, macdObj, idx, { atr: atrs });
+}
+
+test("a higher high in price on a lower MACD high is a regular bearish divergence", () => {
+  const [d, ...rest] = divergencesAt(33, { prices: HIGHS(110, 115), values: MACD(2, 1) });
+  assert.equal(rest.length, 0);
+  assert.equal(d.type, "bearish-div");
+  assert.equal(d.kind, "regular");
+  assert.equal(d.source, "macd");
+  assert.equal(d.bars, 20);
+  assert.deepEqual(d.pivots.map((p) => [p.index, p.price, p.value]), [[10, 110, 2], [30, 115, 1]]);
+});
+
+test("a lower low in price on a higher MACD low is a regular bullish divergence", () => {
+  const [prices, values] = mirrored(HIGHS(110, 115), MACD(2, 1));
+  const [d, ...rest] = divergencesAt(33, { prices, values });
+  assert.equal(rest.length, 0);
+  assert.equal(d.type, "bullish-div");
+  assert.equal(d.kind, "regular");
+  assert.deepEqual(d.pivots.map((p) => [p.index, p.price, p.value]), [[10, 90, -2], [30, 85, -1]]);
+});
+
+test("a lower high on a higher MACD high is hidden bearish, and its mirror hidden bullish", () => {
+  const [bearish] = divergencesAt(33, { prices: HIGHS(115, 110), values: MACD(1, 2) });
+  assert.equal(bearish.type, "hidden-bearish-div");
+  assert.equal(bearish.kind, "hidden");
+  assert.equal(bearish.direction, "bearish");
+
+  const [prices, values] = mirrored(HIGHS(115, 110), MACD(1, 2));
+  const [bullish] = divergencesAt(33, { prices, values });
+  assert.equal(bullish.type, "hidden-bullish-div");
+  assert.equal(bullish.direction, "bullish");
+});
+
+test("price and MACD making higher highs together is no divergence", () => {
+  assert.deepEqual(divergencesAt(33, { prices: HIGHS(110, 115), values: MACD(1, 2) }), []);
+});
+
+test("the second pivot only counts once CONFIRM_BARS bars after it stayed below it", () => {
+  const series = { prices: HIGHS(110, 115), values: MACD(2, 1) };
+  assert.deepEqual(divergencesAt(30, series), []);
+  assert.deepEqual(divergencesAt(31, series), []);
+  const [d] = divergencesAt(32, series);
+  assert.equal(d.type, "bearish-div");
+  assert.equal(d.confirmedAt.index, 32);
+  assert.deepEqual(d.confirmedAt.date, new Date(Date.UTC(2025, 0, 33)));
+
+  // a pullback of a full ATR confirms it a bar early
+  const [early] = divergencesAt(31, { ...series, atr: 1 });
+  assert.equal(early.confirmedAt.index, 31);
+});
+
+test("bars after idx change nothing, even when they take out the pivot", () => {
+  const prices = [...HIGHS(110, 115).slice(0, 4), [32, 113], [40, 130]];
+  const values = MACD(2, 1);
+  const full = fixture(prices, values, 41);
+  const cut = fixture(prices, values, 33);
+  const seen = findDivergences(full.bars, full.macdObj, 32, { atr: full.atr });
+  assert.equal(seen.length, 1);
+  assert.deepEqual(seen, findDivergences(cut.bars, cut.macdObj, 32, { atr: cut.atr }));
+  // once price is past the second high, the divergence is gone
+  assert.deepEqual(findDivergences(full.bars, full.macdObj, 40, { atr: full.atr }), []);
+});
+
+test("strength adds up the price move in ATRs and the MACD move against its range", () => {
+  // 5 points = 1 ATR of a 4-ATR cap (0.25), MACD 2 -> 1 = half its range (0.5): (0.25 + 0.5) / 1.5
+  assert.equal(divergencesAt(33, { prices: HIGHS(110, 115), values: MACD(2, 1) })[0].strength, 50);
+  // 4+ ATRs and the whole range: full strength
+  assert.equal(divergencesAt(33, { prices: HIGHS(110, 130), values: MACD(2, 0) })[0].strength, 100);
+  // a smaller move on either side scores less
+  assert.equal(divergencesAt(33, { prices: HIGHS(110, 112.5), values: MACD(2, 1) })[0].strength, 42);
+});
+
+test("pivots closer together than the ideal span score less", () => {
+  // the same moves as the 50-strength divergence, 7 bars apart instead of 20: scaled by 0.7
+  const prices = [[0, 100], [10, 110], [14, 104], [17, 115], [21, 111]];
+  const values = [[0, 0], [10, 2], [17, 1]];
+  const { bars, macdObj, atr } = fixture(prices, values, 22);
+  const [d] = findDivergences(bars, macdObj, 20, { atr });
+  assert.equal(d.bars, 7);
+  assert.equal(d.strength, 35);
+});
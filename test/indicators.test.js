@@ -0,0 +1,76 @@
+// Golden values for the MACD math in src/indicators.js, against fixtures/indicators/reference.json:
+// StockCharts' published 10-day EMA table and an independent MACD implementation's output.
+// The streaming classes must reproduce the batch series at every bar.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { emaSeries, macdSeries, EmaStream, MacdStream } from "../src/indicators.js";
+
+const REFERENCE = JSON.parse(fs.readFileSync(new URL("../fixtures/indicators/reference.json", import.meta.url), "utf8"));
+
+// Same nulls in the same places, numbers within tolerance
+function assertSeries(actual, expected, tolerance, label) {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i] === null) {
+      assert.equal(actual[i], null, `${label}[${i}] should be null`);
+      continue;
+    }
+    assert.ok(actual[i] !== null, `${label}[${i}] should be ${expected[i]}, got null`);
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, `${label}[${i}]: ${actual[i]} vs ${expected[i]}`);
+  }
+}
+
+test("emaSeries matches the StockCharts 10-day EMA table, seeded with the 10-day SMA", () => {
+  const { closes, period, ema } = REFERENCE.stockcharts;
+  const series = emaSeries(closes, period);
+  const seed = closes.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  assert.equal(series[period - 1], seed);
+  // the table rounds to cents; its own rounding puts one row a hair past half a cent
+  assertSeries(series, ema, 0.01, "ema10");
+});
+
+test("emaSeries matches the reference 12- and 26-bar EMAs", () => {
+  const { closes, ema12, ema26 } = REFERENCE.macd;
+  assertSeries(emaSeries(closes, 12), ema12, 1e-8, "ema12");
+  assertSeries(emaSeries(closes, 26), ema26, 1e-8, "ema26");
+});
+
+test("macdSeries matches the reference MACD, signal and histogram", () => {
+  const { closes, params, macd, signal, hist } = REFERENCE.macd;
+  const series = macdSeries(closes, params);
+  assertSeries(series.macd, macd, 1e-8, "macd");
+  assertSeries(series.signal, signal, 1e-8, "signal");
+  assertSeries(series.hist, hist, 1e-8, "hist");
+});
+
+test("macdSeries starts MACD at the slow EMA's seed and the signal after `signal` MACD values", () => {
+  const { closes, params } = REFERENCE.macd;
+  const series = macdSeries(closes, params);
+  assert.equal(series.macd.findIndex((v) => v !== null), params.slow - 1);
+  assert.equal(series.signal.findIndex((v) => v !== null), params.slow + params.signal - 2);
+  const firstMacd = series.macd.slice(params.slow - 1, params.slow - 1 + params.signal);
+  const seed = firstMacd.reduce((a, b) => a + b, 0) / params.signal;
+  assert.ok(Math.abs(series.signal[params.slow + params.signal - 2] - seed) < 1e-12);
+});
+
+test("EmaStream fed one value at a time matches emaSeries at every index", () => {
+  for (const { closes, period } of [REFERENCE.stockcharts, { closes: REFERENCE.macd.closes, period: 12 }]) {
+    const batch = emaSeries(closes, period);
+    const stream = new EmaStream(period);
+    closes.forEach((c, i) => assert.equal(stream.update(c), batch[i], `ema${period}[${i}]`));
+  }
+});
+
+test("MacdStream fed bar by bar matches macdSeries at every index, also after a clone", () => {
+  const { closes, params } = REFERENCE.macd;
+  const batch = macdSeries(closes, params);
+  const stream = new MacdStream(params);
+  let resumed = null;
+  closes.forEach((c, i) => {
+    const out = stream.update(c);
+    assert.deepEqual(out, { macd: batch.macd[i], signal: batch.signal[i], hist: batch.hist[i] }, `bar ${i}`);
+    if (i === 30) resumed = stream.clone();
+    else if (resumed) assert.deepEqual(resumed.update(c), out, `resumed bar ${i}`);
+  });
+});
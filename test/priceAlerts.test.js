@@ -0,0 +1,47 @@
+// Day-move alerts re-arm on a new trading day, but only fire on that day's own bars.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PriceAlerts, dayMove } from "../src/priceAlerts.js";
+
+function withAlerts(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "price-alerts-"));
+  try {
+    return fn(new PriceAlerts(path.join(dir, "price-alerts.json")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const bar = (date, close) => ({ date: new Date(date), open: close, high: close, low: close, close, volume: 1000 });
+
+test("a re-arming move alert doesn't fire again on the previous session's bar after midnight", () =>
+  withAlerts((alerts) => {
+    alerts.add({ userId: "u", channelId: "c", ticker: "TSLA", type: "move", percent: -5, rearm: true });
+    const monday = [bar("2025-03-03T00:00:00Z", 100), bar("2025-03-04T00:00:00Z", 94)];
+
+    // Tuesday afternoon ET: down 6% on the day
+    assert.equal(alerts.check("TSLA", dayMove(monday, "1d"), new Date("2025-03-04T19:00:00Z")).length, 1);
+    // Wednesday pre-market: a new trading day, but no Wednesday bar yet
+    assert.equal(alerts.check("TSLA", dayMove(monday, "1d"), new Date("2025-03-05T10:00:00Z")).length, 0);
+    assert.equal(alerts.check("TSLA", dayMove(monday, "1d"), new Date("2025-03-05T13:00:00Z")).length, 0);
+    assert.equal(alerts.forUser("u")[0].armed, true);
+    // Wednesday's own bar moving 5% again fires
+    const wednesday = [...monday, bar("2025-03-05T00:00:00Z", 89)];
+    const fired = alerts.check("TSLA", dayMove(wednesday, "1d"), new Date("2025-03-05T15:00:00Z"));
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].firedDay, "2025-03-05");
+  }));
+
+test("intraday: the previous session's last bar doesn't count as today's move", () =>
+  withAlerts((alerts) => {
+    alerts.add({ userId: "u", channelId: "c", ticker: "NVDA", type: "move", percent: 3, rearm: true });
+    const bars = [bar("2025-03-03T20:55:00Z", 100), bar("2025-03-04T15:00:00Z", 102), bar("2025-03-04T20:55:00Z", 104)];
+    assert.equal(alerts.check("NVDA", dayMove(bars, "5m"), new Date("2025-03-04T21:00:00Z")).length, 1);
+    assert.equal(alerts.check("NVDA", dayMove(bars, "5m"), new Date("2025-03-05T09:30:00Z")).length, 0);
+    assert.equal(alerts.check("NVDA", dayMove(bars, "5m"), new Date("2025-03-05T09:35:00Z")).length, 0);
+    const premarket = [...bars, bar("2025-03-05T09:30:00Z", 108)];
+    assert.equal(alerts.check("NVDA", dayMove(premarket, "5m"), new Date("2025-03-05T09:36:00Z")).length, 1);
+  }));
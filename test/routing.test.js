@@ -0,0 +1,34 @@
+// Each guild picks which watchlists it hears from: a muted watchlist posts nothing there, and with
+// watchlistsOptIn only the watchlists routed to a channel do.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveChannels } from "../src/routing.js";
+
+const routes = (fields) => ({ defaultChannel: null, signals: {}, watchlists: {}, watchlistsOptIn: false, ...fields });
+
+test("a guild following only watchlist X gets nothing from watchlist Y", () => {
+  const routing = {
+    A: routes({ defaultChannel: "a-general", watchlists: { x: "a-x" }, watchlistsOptIn: true }),
+    B: routes({ defaultChannel: "b-general" }),
+  };
+  assert.deepEqual(resolveChannels(routing, { signal: "bullish-cross", watchlist: "x" }), ["a-x", "b-general"]);
+  assert.deepEqual(resolveChannels(routing, { signal: "bullish-cross", watchlist: "y" }), ["b-general"]);
+  // digests aren't from a watchlist, so they still reach A's default
+  assert.deepEqual(resolveChannels(routing, { signal: "scorecard" }), ["a-general", "b-general"]);
+});
+
+test("a muted watchlist posts nothing in that guild, not even through a signal route", () => {
+  const routing = {
+    A: routes({ defaultChannel: "a-general", signals: { "bearish-cross": "a-bears" }, watchlists: { y: null } }),
+  };
+  assert.deepEqual(resolveChannels(routing, { signal: "bearish-cross", watchlist: "y" }), []);
+  assert.deepEqual(resolveChannels(routing, { signal: "bearish-cross", watchlist: "x" }), ["a-bears"]);
+  assert.deepEqual(resolveChannels(routing, { signal: "bullish-cross", watchlist: "x" }), ["a-general"]);
+});
+
+test("the DISCORD_CHANNEL_ID fallback respects its guild's mutes", () => {
+  const routing = { A: routes({ watchlists: { y: null } }) };
+  const fallback = { fallbackChannelId: "env-channel", fallbackGuildId: "A" };
+  assert.deepEqual(resolveChannels(routing, { signal: "bullish-cross", watchlist: "x", ...fallback }), ["env-channel"]);
+  assert.deepEqual(resolveChannels(routing, { signal: "bullish-cross", watchlist: "y", ...fallback }), []);
+});
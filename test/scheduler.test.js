@@ -0,0 +1,68 @@
+// Per-shard cadence: a shard with a short cadence is rescanned without waiting for slower shards,
+// and the saved cursor is written once per shard rather than once per ticker.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ScanScheduler } from "../src/scheduler.js";
+
+// scan-state.json is written to the working directory
+async function inTempDir(fn) {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+  process.chdir(dir);
+  try {
+    return await fn(dir);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a fast shard is rescanned on its own cadence while a slow one waits", () =>
+  inTempDir(async () => {
+    const scanned = [];
+    const scheduler = new ScanScheduler({
+      name: "test",
+      getTickers: () => ["A", "B", "C", "D"],
+      scanTicker: async (t) => scanned.push(t),
+      shardSize: 2,
+      cadenceSec: (shard) => (shard === 0 ? 0.05 : 3600),
+    });
+    scheduler.start();
+    await sleep(400);
+    scheduler.stop();
+    const count = (t) => scanned.filter((s) => s === t).length;
+    assert.ok(count("A") >= 3, `A scanned ${count("A")} times`);
+    assert.equal(count("C"), 1);
+    assert.equal(scheduler.status().passes, 1);
+  }));
+
+test("scan state is written once per shard, not per ticker", () =>
+  inTempDir(async () => {
+    const write = fs.writeFileSync;
+    let writes = 0;
+    fs.writeFileSync = (...args) => {
+      if (String(args[0]).endsWith("scan-state.json")) writes++;
+      return write(...args);
+    };
+    try {
+      const scheduler = new ScanScheduler({
+        name: "test",
+        getTickers: () => ["A", "B", "C", "D", "E", "F"],
+        scanTicker: async () => {},
+        shardSize: 3,
+        cadenceSec: 3600,
+      });
+      scheduler.start();
+      await sleep(100);
+      scheduler.stop();
+      assert.equal(writes, 2);
+      assert.equal(JSON.parse(fs.readFileSync("scan-state.json", "utf8")).test.passes, 1);
+    } finally {
+      fs.writeFileSync = write;
+    }
+  }));
@@ -0,0 +1,59 @@
+// build-tickers.js turns Yahoo quotes and profiles into tickers.csv values the filters understand.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { capBucket, derivedSymbol, metadataFromYahoo } from "../src/tickerMetadata.js";
+import { Universe, parseFilter } from "../src/universe.js";
+
+test("market caps fall into the README's buckets", () => {
+  assert.equal(capBucket(3.5e12), "mega");
+  assert.equal(capBucket(200e9), "mega");
+  assert.equal(capBucket(199e9), "large");
+  assert.equal(capBucket(2e9), "mid");
+  assert.equal(capBucket(300e6), "small");
+  assert.equal(capBucket(60e6), "micro");
+  assert.equal(capBucket(1e6), "nano");
+  assert.equal(capBucket(null), null);
+});
+
+test("preferreds and listed warrants, rights and units belong to their issuer", () => {
+  const listed = new Set(["ABR", "ACAH", "ACAHW"]);
+  assert.deepEqual(derivedSymbol("ABR^D", listed), { root: "ABR", assetType: "preferred" });
+  assert.deepEqual(derivedSymbol("ACAHW", listed), { root: "ACAH", assetType: "warrant" });
+  // a five-letter symbol is only a warrant when its four-letter root is listed
+  assert.equal(derivedSymbol("GOOGW", listed), null);
+  assert.equal(derivedSymbol("ABR", listed), null);
+});
+
+test("Yahoo's values are mapped to the exchange, GICS sector and type names filters use", () => {
+  const semis = metadataFromYahoo({
+    quote: { quoteType: "EQUITY", longName: "NVIDIA Corporation", exchange: "NMS", marketCap: 4e12 },
+    profile: { sector: "Technology", industry: "Semiconductors" },
+  });
+  assert.deepEqual(semis, {
+    name: "NVIDIA Corporation",
+    exchange: "NASDAQ",
+    sector: "Information Technology",
+    industry: "Semiconductors",
+    assetType: "stock",
+    marketCap: "mega",
+  });
+  const adr = metadataFromYahoo({ quote: { quoteType: "EQUITY", longName: "Alibaba Group Holding Limited American Depositary Shares", exchange: "NYQ", marketCap: 3e11 } });
+  assert.equal(adr.assetType, "adr");
+  assert.equal(adr.exchange, "NYSE");
+  const etf = metadataFromYahoo({ quote: { quoteType: "ETF", longName: "SPDR S&P 500 ETF Trust", exchange: "PCX" } });
+  assert.deepEqual([etf.assetType, etf.exchange, etf.marketCap], ["etf", "NYSE ARCA", null]);
+  const pref = metadataFromYahoo({ quote: { quoteType: "EQUITY", exchange: "NYQ", marketCap: 2e9 }, profile: { sector: "Real Estate" }, derived: { root: "ABR", assetType: "preferred" } });
+  assert.deepEqual([pref.assetType, pref.sector, pref.marketCap], ["preferred", "Real Estate", null]);
+});
+
+test("the README's example filters match generated rows", () => {
+  const row = (symbol, meta) => [symbol, { symbol, providerSymbols: {}, ...meta }];
+  const universe = new Universe(
+    new Map([
+      row("NVDA", metadataFromYahoo({ quote: { quoteType: "EQUITY", exchange: "NMS", marketCap: 4e12 }, profile: { sector: "Technology", industry: "Semiconductors" } })),
+      row("NKE", metadataFromYahoo({ quote: { quoteType: "EQUITY", exchange: "NYQ", marketCap: 1e11 }, profile: { sector: "Consumer Cyclical", industry: "Footwear & Accessories" } })),
+    ])
+  );
+  assert.deepEqual(universe.filter(universe.symbols(), parseFilter("exchange=nasdaq industry=semiconductors")), ["NVDA"]);
+  assert.deepEqual(universe.filter(universe.symbols(), parseFilter('sector="consumer discretionary" cap=large,mega')), ["NKE"]);
+});
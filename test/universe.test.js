@@ -0,0 +1,33 @@
+// tickers.csv metadata: filters on missing metadata are refused or flagged rather than silently
+// matching nothing, and the shipped file carries the columns the README's filters use.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { Universe, parseUniverseCsv, parseFilter } from "../src/universe.js";
+
+const universeFrom = (text) => new Universe(parseUniverseCsv(text).rows);
+
+test("a filter on a column no row has throws", () => {
+  const universe = universeFrom("symbol\nAAPL\nMSFT\n");
+  assert.throws(() => universe.checkFilter(parseFilter("exchange=nasdaq")), /no exchange column data/);
+  assert.throws(() => new Universe().checkFilter(parseFilter("exchange=nasdaq")), /no tickers\.csv/);
+});
+
+test("a filter on a partly filled column warns with the coverage", () => {
+  const universe = universeFrom("symbol,exchange,asset_type\nAAPL,NASDAQ,stock\nMSFT,,stock\nJPM,NYSE,stock\n");
+  assert.equal(universe.checkFilter(parseFilter("type=stock")), null);
+  assert.match(universe.checkFilter(parseFilter("exchange=nyse type=stock")), /exchange for 2 of 3 tickers/);
+});
+
+test("the shipped tickers.csv loads cleanly and answers the README's example filters", () => {
+  const { rows, skipped } = parseUniverseCsv(fs.readFileSync(new URL("../tickers.csv", import.meta.url), "utf8"));
+  assert.deepEqual(skipped, []);
+  const universe = new Universe(rows);
+  for (const text of ["exchange=nasdaq industry=semiconductors", 'sector="consumer discretionary" cap=large,mega', "type=preferred"]) {
+    const filter = parseFilter(text);
+    assert.doesNotThrow(() => universe.checkFilter(filter), text);
+    assert.ok(universe.filter(universe.symbols(), filter).length > 0, text);
+  }
+  assert.equal(universe.get("NVDA").exchange, "NASDAQ");
+  assert.equal(universe.get("BRK/B").sector, "Financials");
+});
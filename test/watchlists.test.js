@@ -0,0 +1,34 @@
+// The "followed" name belongs to the bot's own scheduler, so no watchlist may use it.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Watchlists, FOLLOWED_WATCHLIST, isValidWatchlistName, parseShardCadence } from "../src/watchlists.js";
+
+function withFile(contents, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watchlists-"));
+  const file = path.join(dir, "watchlists.json");
+  try {
+    if (contents) fs.writeFileSync(file, JSON.stringify(contents));
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const list = (tickers) => ({ tickers, interval: null, cadenceSec: null, sessions: null, filter: null });
+
+test("the followed name is rejected by validation and create", () =>
+  withFile({ default: list(["AAPL"]) }, (file) => {
+    assert.equal(isValidWatchlistName(FOLLOWED_WATCHLIST), false);
+    assert.equal(isValidWatchlistName("followed-2"), true);
+    const watchlists = new Watchlists(file);
+    assert.equal(watchlists.create(FOLLOWED_WATCHLIST), false);
+    assert.equal(watchlists.get(FOLLOWED_WATCHLIST), null);
+  }));
+
+test("shard cadence parses single shards and ranges, numbered from 1", () => {
+  assert.deepEqual(parseShardCadence("1=60, 3-4=900"), { 1: 60, 3: 900, 4: 900 });
+  for (const bad of ["", "0=60", "2-1=60", "1=5", "1=60s", "first=60"]) assert.throws(() => parseShardCadence(bad), bad);
+});